@@ -0,0 +1,71 @@
+// Builds src/engine/data/population-grid.json from GeoNames places with at least
+// 1000 inhabitants (the all-the-cities package). Places are binned into a
+// 0.5 degree grid; the population they do not cover is spread as a rural
+// baseline around settled cells so the grid sums to WORLD_POPULATION.
+//
+//   node scripts/build-population-grid.js
+
+const fs = require('fs');
+const path = require('path');
+const cities = require('all-the-cities');
+
+const RESOLUTION = 0.5;
+const ROWS = 180 / RESOLUTION;
+const COLS = 360 / RESOLUTION;
+const WORLD_POPULATION = 8.0e9;
+const BLUR_RADIUS = 2;
+const OUTPUT = path.join(__dirname, '..', 'src', 'engine', 'data', 'population-grid.json');
+
+const cellIndex = (lat, lon) => {
+  const row = Math.min(ROWS - 1, Math.floor((90 - lat) / RESOLUTION));
+  const col = Math.min(COLS - 1, Math.floor((lon + 180) / RESOLUTION));
+  return row * COLS + col;
+};
+
+const urban = new Float64Array(ROWS * COLS);
+cities.forEach(({ population, loc }) => {
+  const [lon, lat] = loc.coordinates;
+  urban[cellIndex(lat, lon)] += population;
+});
+
+const rural = new Float64Array(ROWS * COLS);
+for (let row = 0; row < ROWS; row++) {
+  for (let col = 0; col < COLS; col++) {
+    const value = urban[row * COLS + col];
+    if (!value) continue;
+    const weight = Math.sqrt(value);
+    for (let dr = -BLUR_RADIUS; dr <= BLUR_RADIUS; dr++) {
+      for (let dc = -BLUR_RADIUS; dc <= BLUR_RADIUS; dc++) {
+        const r = row + dr;
+        if (r < 0 || r >= ROWS) continue;
+        const c = (col + dc + COLS) % COLS;
+        rural[r * COLS + c] += weight / (1 + dr * dr + dc * dc);
+      }
+    }
+  }
+}
+
+const urbanTotal = urban.reduce((sum, value) => sum + value, 0);
+const ruralTotal = rural.reduce((sum, value) => sum + value, 0);
+const ruralScale = Math.max(WORLD_POPULATION - urbanTotal, 0) / ruralTotal;
+
+const cells = [];
+let total = 0;
+for (let i = 0; i < urban.length; i++) {
+  const population = Math.round(urban[i] + rural[i] * ruralScale);
+  if (population > 0) {
+    cells.push(i, population);
+    total += population;
+  }
+}
+
+fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+fs.writeFileSync(OUTPUT, JSON.stringify({
+  source: 'GeoNames cities1000 via all-the-cities, rural remainder spread around settlements',
+  resolution: RESOLUTION,
+  rows: ROWS,
+  cols: COLS,
+  total,
+  cells
+}));
+console.log(`Wrote ${cells.length / 2} cells, ${total.toLocaleString()} people, to ${OUTPUT}`);
@@ -1,71 +1,689 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
-import { Play, Pause, RotateCcw, Info, AlertTriangle, Zap, Shield, Database, Globe } from 'lucide-react';
+import { Play, Pause, RotateCcw, Info, AlertTriangle, Zap, Shield, Database, Globe, Activity } from 'lucide-react';
 import * as THREE from 'three';
+import {
+  COMPOSITIONS,
+  DAYS_PER_YEAR,
+  DEFAULT_SAMPLE_COUNT,
+  DEFLECTION_METHODS,
+  EARTH_RADIUS_KM,
+  MAX_LAUNCH_C3,
+  SWEEP_OUTPUTS,
+  SWEEP_PARAMETERS,
+  SWEEP_THRESHOLDS,
+  aggregateImpacts,
+  approachGeometry,
+  bestTransfer,
+  binaryCompanion,
+  calculateDeflection,
+  calculateImpact,
+  captureRadius,
+  createRandom,
+  createSimulationClock,
+  clampLatitude,
+  craterFormationDuration,
+  craterProfileAt,
+  deflectionTradeStudy,
+  destinationPoint,
+  ejectaCurtain,
+  ejectaPosition,
+  formatTimeToImpact,
+  fragmentCloud,
+  fragmentTrain,
+  getBorderLines,
+  getLandPolygons,
+  kineticEnergy,
+  impactParameterForEntryAngle,
+  julianDate,
+  latLonToVector,
+  localFrame,
+  missionTarget,
+  normalizeLongitude,
+  planTransfer,
+  porkchop,
+  positionAt,
+  propagateApproach,
+  radiantEntry,
+  rateHazard,
+  runMonteCarloInBatches,
+  runSweepInBatches,
+  simulateImpactor,
+  simulationSpan,
+  surfaceTypeAt,
+  sweepContour,
+  sweepCrossings,
+  uncertaintyRangesFor,
+  vInfinityFromEntrySpeed,
+  vInfinityFromSpeedAt,
+  vectorToLatLon
+} from './engine';
+import { DEFAULT_BASE_URL, MissingApiKeyError, NetworkError, RateLimitError, addDays, createNeoClient, importOrbitFile } from './neo';
+import { DEFAULT_SCENARIO, scenarioFromJson, scenarioFromQuery, scenarioToJson, scenarioToQuery } from './scenario';
+import { MAX_COMPARED_REPORTS, buildReport, compareReports, formatValue, reportToCsv, reportToJson, reportToPdf, sweepToCsv } from './report';
+import { RECORDING_FORMATS, createFrameSink, isRecordingFormatSupported } from './recording';
+import {
+  CAMERA_MODES,
+  cameraPose,
+  cinematicEvents,
+  createCameraPresetStore,
+  pathDirection,
+  rotateCamera,
+  zoomCamera
+} from './camera';
 
-const fetchNASANearEarthObjects = async () => {
-  try {
-    const startDate = new Date().toISOString().split('T')[0];
-    const endDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    
-    const response = await fetch(
-      `https://api.nasa.gov/neo/rest/v1/feed?start_date=${startDate}&end_date=${endDate}&api_key=${process.env.REACT_APP_NASA_API_KEY}`
-    );
-    
-    if (!response.ok) throw new Error('NASA API request failed');
-    
-    const data = await response.json();
-    const asteroids = [];
-    
-    Object.values(data.near_earth_objects).forEach(dayAsteroids => {
-      dayAsteroids.forEach(asteroid => {
-        const diameterMin = asteroid.estimated_diameter?.meters?.estimated_diameter_min || 50;
-        const diameterMax = asteroid.estimated_diameter?.meters?.estimated_diameter_max || 100;
-        const avgDiameter = (diameterMin + diameterMax) / 2;
-        
-        const velocityKmS = parseFloat(
-          asteroid.close_approach_data?.[0]?.relative_velocity?.kilometers_per_second || 20
-        );
-        
-        asteroids.push({
-          name: asteroid.name.replace(/[()]/g, ''),
-          size: Math.round(avgDiameter),
-          velocity: parseFloat(velocityKmS.toFixed(1)),
-          composition: avgDiameter > 200 ? 'carbonaceous' : 'stony',
-          angle: 45,
-          isPotentiallyHazardous: asteroid.is_potentially_hazardous_asteroid
+const neoClient = createNeoClient({
+  baseUrl: process.env.REACT_APP_NEO_BASE_URL || DEFAULT_BASE_URL,
+  apiKey: process.env.REACT_APP_NASA_API_KEY
+});
+
+const cameraPresetStore = createCameraPresetStore();
+
+// NeoWs carries no spectral type, so NEOs load as S-type, the most common
+// class among near-Earth asteroids.
+const NEO_COMPOSITION = 'stony';
+
+const describeNeoError = (error) => {
+  if (error instanceof MissingApiKeyError) return `${error.message} You can also set REACT_APP_NEO_BASE_URL=fixture for offline data.`;
+  if (error instanceof RateLimitError) {
+    return error.retryAfter
+      ? `${error.message} Retry in about ${Math.ceil(error.retryAfter / 60)} min.`
+      : error.message;
+  }
+  if (error instanceof NetworkError) return `${error.message}. Check your connection.`;
+  return error.message;
+};
+
+const drawEarthTexture = (ctx, width, height) => {
+  const toX = (lon) => ((lon + 180) / 360) * width;
+  const toY = (lat) => ((90 - lat) / 180) * height;
+  
+  ctx.fillStyle = 'rgba(26, 99, 246, 1)';
+  ctx.fillRect(0, 0, width, height);
+  
+  ctx.fillStyle = 'rgba(74, 124, 63, 1)';
+  getLandPolygons().forEach(polygon => {
+    [-360, 0, 360].forEach(offset => {
+      ctx.beginPath();
+      polygon.forEach(ring => {
+        ring.forEach(([lon, lat], i) => {
+          if (i === 0) ctx.moveTo(toX(lon + offset), toY(lat));
+          else ctx.lineTo(toX(lon + offset), toY(lat));
         });
+        ctx.closePath();
       });
+      ctx.fill('evenodd');
+    });
+  });
+  
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.lineWidth = 1;
+  getBorderLines().forEach(line => {
+    ctx.beginPath();
+    line.forEach(([lon, lat], i) => {
+      if (i === 0 || Math.abs(lon - line[i - 1][0]) > 180) ctx.moveTo(toX(lon), toY(lat));
+      else ctx.lineTo(toX(lon), toY(lat));
     });
+    ctx.stroke();
+  });
+};
+
+// Hazard ratings treat past impacts as certain and found a year ahead; Apophis
+// is rated at its December 2004 peak.
+const HISTORICAL_SCENARIOS = {
+  tunguska: { name: 'Tunguska Event', size: 60, velocity: 27, composition: 'stony', angle: 30, site: { lat: 60.89, lon: 101.89 }, probability: 1, yearsToImpact: 1 },
+  chelyabinsk: { name: 'Chelyabinsk Meteor', size: 20, velocity: 19, composition: 'stony', angle: 18, site: { lat: 54.84, lon: 61.12 }, probability: 1, yearsToImpact: 1 },
+  chicxulub: { name: 'Chicxulub Impactor', size: 10000, velocity: 20, composition: 'carbonaceous', angle: 60, site: { lat: 21.4, lon: -89.52 }, probability: 1, yearsToImpact: 1 },
+  apophis: { name: '99942 Apophis', size: 370, velocity: 12.6, composition: 'stony', angle: 15, probability: 0.027, yearsToImpact: 24.3 }
+};
+
+const TORINO_COLORS = ['bg-gray-200 text-gray-900', 'bg-green-600', 'bg-yellow-500 text-gray-900', 'bg-yellow-500 text-gray-900',
+  'bg-yellow-500 text-gray-900', 'bg-orange-600', 'bg-orange-600', 'bg-orange-600', 'bg-red-600', 'bg-red-600', 'bg-red-600'];
+
+const HazardRating = ({ rating, size = 'text-xs' }) => (
+  <div className={`flex items-center gap-1 ${size} font-bold`}>
+    <span title={rating.torinoExplanation} className={`px-2 py-0.5 rounded-full cursor-help ${TORINO_COLORS[rating.torino]}`}>
+      TORINO {rating.torino}
+    </span>
+    <span title={rating.palermoExplanation} className="px-2 py-0.5 rounded-full cursor-help bg-gray-700 text-gray-200">
+      PS {rating.palermo === null ? '—' : rating.palermo.toFixed(2)}
+    </span>
+  </div>
+);
+
+const rateScenario = ({ size, composition, velocity, probability, yearsToImpact }) => rateHazard({
+  probability,
+  energy: kineticEnergy({ diameter: size, density: COMPOSITIONS[composition].density, velocity }),
+  yearsToImpact
+});
+
+// Keeps what is typed while editing, so clearing the field or typing a sign
+// does not snap it to 0. In-range numbers apply as they are typed and the
+// value is brought into range when the field loses focus.
+const CoordinateInput = ({ label, min, max, value, normalize, onChange, disabled }) => {
+  const [draft, setDraft] = useState(null);
+  
+  const edit = (text) => {
+    setDraft(text);
+    const number = parseFloat(text);
+    if (number >= min && number <= max) onChange(number);
+  };
+  
+  const commit = () => {
+    const number = parseFloat(draft);
+    if (Number.isFinite(number)) onChange(normalize(number));
+    setDraft(null);
+  };
+  
+  return (
+    <label className="text-xs text-gray-400">
+      {label}
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step="0.01"
+        value={draft ?? value}
+        onChange={(e) => edit(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        disabled={disabled}
+        className="w-full mt-1 p-2 rounded bg-gray-700 text-white font-mono"
+      />
+    </label>
+  );
+};
+
+const UNCERTAINTY_FIELDS = [
+  { key: 'diameter', label: 'Diameter', unit: 'm' },
+  { key: 'density', label: 'Density', unit: 'kg/m³' },
+  { key: 'velocity', label: 'V∞', unit: 'km/s' },
+  { key: 'entryAngle', label: 'Entry angle', unit: '°' },
+  { key: 'deflectionPerformance', label: 'Deflection performance', unit: '× Δv' }
+];
+
+const SWEEP_RANGES = {
+  diameter: { min: 50, max: 2000, step: 50 },
+  velocity: { min: 5, max: 40, step: 1 },
+  angle: { min: 15, max: 90, step: 5 },
+  density: { min: 1000, max: 8000, step: 250 },
+  leadTime: { min: 0, max: 30, step: 1 }
+};
+const SWEEP_THRESHOLD_COLORS = { missionViable: '#22c55e', globalCatastrophe: '#f472b6' };
+const SWEEP_CHART = { width: 320, height: 220, left: 40, right: 8, top: 8, bottom: 18 };
+
+// Offset along an axis of the given length; heatmap cells are centred on
+// their values, so a gridded axis is inset by half a cell at each end.
+const chartScale = (values, length, gridded) => {
+  const [low, high] = [Math.min(...values), Math.max(...values)];
+  const inset = gridded ? length / values.length / 2 : 0;
+  return (value) => inset + (high > low ? (value - low) / (high - low) : 0.5) * (length - 2 * inset);
+};
+
+const formatTick = (value) => (value !== 0 && (Math.abs(value) >= 1e5 || Math.abs(value) < 1e-2)
+  ? value.toExponential(1)
+  : String(Number(value.toPrecision(3))));
+
+// A one-parameter sweep is a line with each threshold's crossings marked; a
+// two-parameter sweep is a heatmap with each threshold's contour over it.
+const SweepChart = ({ grid, output }) => {
+  const canvasRef = useRef(null);
+  
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    const { width, height, left, right, top, bottom } = SWEEP_CHART;
+    const plot = { width: width - left - right, height: height - top - bottom };
+    const scaled = (value) => (SWEEP_OUTPUTS[output].logarithmic ? Math.log10(Math.max(value, 1e-6)) : value);
+    const values = grid.cells.flat().map((cell) => cell[output]);
+    const toX = chartScale(grid.x.values, plot.width, Boolean(grid.y));
+    const px = (value) => left + toX(value);
+    
+    context.clearRect(0, 0, width, height);
+    context.lineWidth = 2;
+    if (grid.y) {
+      const toY = chartScale(grid.y.values, plot.height, true);
+      const py = (value) => top + plot.height - toY(value);
+      const shade = chartScale(values.map(scaled), 1, false);
+      const [cellWidth, cellHeight] = [plot.width / grid.x.values.length, plot.height / grid.y.values.length];
+      grid.cells.forEach((row, j) => row.forEach((cell, i) => {
+        context.fillStyle = `hsl(${240 * (1 - shade(scaled(cell[output])))}, 80%, 50%)`;
+        context.fillRect(px(grid.x.values[i]) - cellWidth / 2, py(grid.y.values[j]) - cellHeight / 2, cellWidth + 0.5, cellHeight + 0.5);
+      }));
+      SWEEP_THRESHOLDS.forEach(({ key, output: thresholdOutput, level }) => {
+        context.strokeStyle = SWEEP_THRESHOLD_COLORS[key];
+        context.beginPath();
+        sweepContour(grid, thresholdOutput, level).forEach(([from, to]) => {
+          context.moveTo(px(from.x), py(from.y));
+          context.lineTo(px(to.x), py(to.y));
+        });
+        context.stroke();
+      });
+    } else {
+      const toY = chartScale(values.map(scaled), plot.height, false);
+      context.strokeStyle = '#60a5fa';
+      context.beginPath();
+      grid.cells[0].forEach((cell, i) => context.lineTo(px(grid.x.values[i]), top + plot.height - toY(scaled(cell[output]))));
+      context.stroke();
+      context.setLineDash([4, 3]);
+      SWEEP_THRESHOLDS.forEach(({ key, output: thresholdOutput, level }) => {
+        context.strokeStyle = SWEEP_THRESHOLD_COLORS[key];
+        sweepCrossings(grid, thresholdOutput, level).forEach((value) => {
+          context.beginPath();
+          context.moveTo(px(value), top);
+          context.lineTo(px(value), top + plot.height);
+          context.stroke();
+        });
+      });
+      context.setLineDash([]);
+    }
     
-    return asteroids.slice(0, 10);
+    const [xLow, xHigh] = [grid.x.values[0], grid.x.values[grid.x.values.length - 1]];
+    const [yLow, yHigh] = grid.y
+      ? [grid.y.values[0], grid.y.values[grid.y.values.length - 1]]
+      : [Math.min(...values), Math.max(...values)];
+    context.strokeStyle = '#4b5563';
+    context.lineWidth = 1;
+    context.strokeRect(left, top, plot.width, plot.height);
+    context.font = '10px sans-serif';
+    context.fillStyle = '#9ca3af';
+    context.textAlign = 'left';
+    context.fillText(formatTick(xLow), left, height - 4);
+    context.textAlign = 'right';
+    context.fillText(formatTick(xHigh), width - right, height - 4);
+    context.fillText(formatTick(yHigh), left - 4, top + 8);
+    context.fillText(formatTick(yLow), left - 4, top + plot.height);
+  }, [grid, output]);
+  
+  return (
+    <canvas
+      ref={canvasRef}
+      width={SWEEP_CHART.width}
+      height={SWEEP_CHART.height}
+      className="w-full rounded border border-gray-700 bg-gray-900"
+    />
+  );
+};
+
+// The scenario in the page URL, falling back to the defaults when there is
+// none or it cannot be read.
+const readSharedScenario = () => {
+  try {
+    return { scenario: scenarioFromQuery(window.location.search) || DEFAULT_SCENARIO, error: null };
   } catch (error) {
-    console.error('Failed to fetch NASA data:', error);
-    return [];
+    console.error('Failed to read shared scenario:', error);
+    return { scenario: DEFAULT_SCENARIO, error: `Ignored the scenario in the link: ${error.message}` };
   }
 };
 
-const HISTORICAL_SCENARIOS = {
-  tunguska: { name: 'Tunguska Event', size: 60, velocity: 27, composition: 'stony', angle: 30 },
-  chelyabinsk: { name: 'Chelyabinsk Meteor', size: 20, velocity: 19, composition: 'stony', angle: 18 },
-  chicxulub: { name: 'Chicxulub Impactor', size: 10000, velocity: 20, composition: 'carbonaceous', angle: 60 },
-  apophis: { name: '99942 Apophis', size: 370, velocity: 12.6, composition: 'stony', angle: 15 }
+const scenarioUrl = (scenario) => {
+  const url = new URL(window.location.href);
+  url.search = scenarioToQuery(scenario);
+  return url.toString();
+};
+
+// Wall-clock length of a run at 1x, and how far into it the deflection launches.
+const PLAYBACK_SECONDS = 4.8;
+const DEFLECTION_LAUNCH_PROGRESS = 2 / PLAYBACK_SECONDS;
+// How long the flash at the intercept stays up.
+const INTERCEPT_FLASH_PROGRESS = 0.5 / PLAYBACK_SECONDS;
+// Share of the run a missile flight takes without a planned transfer, and the
+// least a planned one is drawn with so short flights stay visible.
+const DEFAULT_MISSILE_FLIGHT = 0.1;
+const MIN_MISSILE_FLIGHT = 0.03;
+// The porkchop plot searches launch and arrival dates over this many years.
+const MISSION_WINDOW_YEARS = 2;
+const PORKCHOP_STEPS = 32;
+// Impact date for bodies without a known close approach. Only where Earth is
+// along its orbit depends on it.
+const NOMINAL_IMPACT_TIME = Date.UTC(2035, 0, 1);
+// Seeded so impact debris looks the same on every run and in every recording.
+const FRAGMENT_SEED = 7;
+// The crater is carved into a finer patch of ground reaching this many final
+// crater radii, and its formation, minutes long in reality, plays over
+// CRATER_ANIMATION_SECONDS. The fireball flashes up and fades on its own clock.
+const CRATER_PATCH_RADII = 4;
+const CRATER_PATCH_RINGS = 64;
+const CRATER_PATCH_SEGMENTS = 96;
+const CRATER_ANIMATION_SECONDS = 8;
+const EJECTA_PARTICLES = 800;
+const EJECTA_COLOR = [0.78, 0.66, 0.5];
+const FIREBALL_GROWTH_SECONDS = 0.5;
+const FIREBALL_FADE_SECONDS = 2.5;
+// Seconds kept in a recording after the outcome: the whole crater formation
+// and a moment of the settled crater.
+const RECORDING_AFTERMATH_SECONDS = CRATER_ANIMATION_SECONDS + 1;
+const RECORDING_SIZES = [[640, 360], [1280, 720], [1920, 1080]];
+const RECORDING_FRAME_RATES = [15, 24, 30, 60];
+
+// Bodies added alongside the primary. The binary secondary has the
+// Dimorphos/Didymos size ratio and separation.
+const COMPANION_DELAY_SECONDS = 600;
+const FRAGMENT_TRAIN = { count: 5, interval: 1800 };
+const BINARY_SECONDARY = { sizeRatio: 0.2, separation: 1.19 };
+const COMPANION_TRAIL_COLOR = 0xffaa44;
+// Fragment trails of a disrupted primary, by whether the fragment still hits.
+const FRAGMENT_TRAIL_COLORS = { hit: 0xff4444, miss: 0x44ff88 };
+const COMPANION_FIELDS = [
+  { key: 'size', label: 'Ø (m)', step: 10, min: 1, max: 20000 },
+  { key: 'velocity', label: 'V∞ (km/s)', step: 0.5, min: 0.5, max: 75 },
+  { key: 'delay', label: 'Delay (s)', step: 60, min: -86400, max: 86400 },
+  { key: 'impactParameter', label: 'b / capture', step: 0.05, min: 0, max: 3 },
+  { key: 'heading', label: 'Heading (°)', step: 5, min: 0, max: 359 },
+  { key: 'lat', label: 'Lat (°)', step: 0.1, min: -90, max: 90, site: true },
+  { key: 'lon', label: 'Lon (°)', step: 0.1, min: -180, max: 180, site: true }
+];
+
+const fileSlug = (name) => name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'scenario';
+
+const downloadFile = (fileName, content, type) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+const REPORT_FORMATS = {
+  pdf: { label: 'PDF', type: 'application/pdf', render: reportToPdf },
+  csv: { label: 'CSV', type: 'text/csv', render: reportToCsv },
+  json: { label: 'JSON', type: 'application/json', render: reportToJson }
 };
 
-const COMPOSITIONS = {
-  stony: { density: 3000, color: 0x8B7355, name: 'Stony', albedo: 0.20 },
-  iron: { density: 7800, color: 0x696969, name: 'Iron', albedo: 0.15 },
-  carbonaceous: { density: 2000, color: 0x2F1B0C, name: 'Carbonaceous', albedo: 0.05 }
+const ReportExport = ({ onExport }) => (
+  <div className="flex items-center gap-2 mt-3 text-xs">
+    <span className="text-gray-300">Export report:</span>
+    {Object.entries(REPORT_FORMATS).map(([format, { label }]) => (
+      <button key={format} onClick={() => onExport(format)} className="px-2 py-1 rounded bg-gray-800 hover:bg-gray-700 font-bold">
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+const CombinedImpacts = ({ summary }) => (
+  <div className="bg-black bg-opacity-30 p-2 rounded text-xs mt-2 space-y-1">
+    <div className="font-bold">
+      ALL BODIES - {summary.impacts} of {summary.bodies} reach Earth{summary.airbursts ? `, ${summary.airbursts} as airbursts` : ''}
+    </div>
+    <div>Combined energy: {summary.energy.toFixed(2)} MT, largest crater {summary.largestCrater.toFixed(2)} km</div>
+    <div>At risk: {summary.populationAtRisk.toLocaleString()}, estimated fatalities: {summary.casualties.toLocaleString()}</div>
+  </div>
+);
+
+// Launch date across, arrival date up, coloured by launch energy from blue (low
+// C3) to red; transfers beyond the launcher are grey. Click a cell to fly it.
+const PorkchopPlot = ({ grid, best, selected, onSelect }) => {
+  const canvasRef = useRef(null);
+  const steps = grid.launches.length;
+  
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    const cell = canvas.width / steps;
+    grid.transfers.forEach((row, arrivalIndex) => row.forEach((transfer, launchIndex) => {
+      const scale = transfer && Math.min(Math.log10(transfer.c3 + 1) / Math.log10(MAX_LAUNCH_C3 + 1), 1);
+      context.fillStyle = !transfer ? '#111827' : transfer.c3 > MAX_LAUNCH_C3 ? '#374151' : `hsl(${240 * (1 - scale)}, 80%, 50%)`;
+      context.fillRect(launchIndex * cell, (steps - 1 - arrivalIndex) * cell, cell, cell);
+    }));
+    [[best, '#ffffff'], [selected, '#22c55e']].forEach(([transfer, color]) => {
+      if (!transfer) return;
+      const nearest = (dates, date) => dates.reduce((closest, value, index) => (Math.abs(value - date) < Math.abs(dates[closest] - date) ? index : closest), 0);
+      context.strokeStyle = color;
+      context.lineWidth = 2;
+      context.strokeRect(nearest(grid.launches, transfer.launch) * cell, (steps - 1 - nearest(grid.arrivals, transfer.arrival)) * cell, cell, cell);
+    });
+  }, [grid, best, selected, steps]);
+  
+  const pick = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const launchIndex = Math.min(steps - 1, Math.floor(((event.clientX - bounds.left) / bounds.width) * steps));
+    const arrivalIndex = steps - 1 - Math.min(steps - 1, Math.floor(((event.clientY - bounds.top) / bounds.height) * steps));
+    const transfer = grid.transfers[arrivalIndex]?.[launchIndex];
+    if (transfer && transfer.c3 <= MAX_LAUNCH_C3) onSelect(transfer);
+  };
+  
+  return (
+    <canvas
+      ref={canvasRef}
+      width={steps * 8}
+      height={steps * 8}
+      onClick={pick}
+      className="w-full aspect-square cursor-crosshair rounded border border-gray-700"
+    />
+  );
+};
+
+const TRADE_STUDY_FAILURES = {
+  leadTime: { label: 'Too late to deploy', color: '#374151' },
+  deltaV: { label: 'Too little Δv', color: '#b91c1c' },
+  fragments: { label: 'Fragments still hit', color: '#ea580c' }
+};
+
+// Misses shade from dark to bright green as the margin grows to 100 R⊕.
+const tradeStudyColor = ({ miss, margin, reason }) => (miss
+  ? `hsl(140, 70%, ${25 + 30 * Math.min(Math.log10(1 + margin) / 2, 1)}%)`
+  : TRADE_STUDY_FAILURES[reason].color);
+
+const TradeStudyMatrix = ({ study, selected, disabled, onSelect }) => (
+  <div className="space-y-1">
+    {study.cells.map((row, index) => (
+      <div key={study.methods[index]} className="flex items-center gap-1">
+        <span className="w-20 shrink-0 truncate text-xs text-gray-400">{DEFLECTION_METHODS[study.methods[index]].name}</span>
+        <div className="flex-1 grid gap-px" style={{ gridTemplateColumns: `repeat(${row.length}, minmax(0, 1fr))` }}>
+          {row.map((cell) => (
+            <button
+              key={cell.leadTime}
+              onClick={() => onSelect(cell)}
+              disabled={disabled}
+              title={`${DEFLECTION_METHODS[cell.method].name}, ${cell.leadTime} years: ${cell.miss
+                ? `clears Earth by ${cell.margin.toFixed(2)} R⊕`
+                : TRADE_STUDY_FAILURES[cell.reason].label}`}
+              className={`h-4 rounded-sm ${
+                selected.method === cell.method && selected.leadTime === cell.leadTime ? 'ring-2 ring-white' : ''
+              }`}
+              style={{ backgroundColor: tradeStudyColor(cell) }}
+            />
+          ))}
+        </div>
+      </div>
+    ))}
+    <div className="flex items-center gap-1 text-xs text-gray-400">
+      <span className="w-20 shrink-0" />
+      <div className="flex-1 flex justify-between">
+        <span>{study.leadTimes[0]} y</span>
+        <span>Lead time →</span>
+        <span>{study.leadTimes[study.leadTimes.length - 1]} y</span>
+      </div>
+    </div>
+  </div>
+);
+
+const COMPARISON_ZONE_COLORS = { crater: 0xff0000, fireball: 0xffdd00, airblast: 0xff6600, thermal: 0xffaa00, seismic: 0xaa66ff };
+
+// One renderer split into a viewport per scenario. The viewports share one
+// camera, so dragging or zooming moves every globe together; only the damage
+// zones drawn in each differ. Scene units are kilometres.
+const ComparisonGlobes = ({ entries }) => {
+  const containerRef = useRef(null);
+  
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !entries.length) return;
+    
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setScissorTest(true);
+    container.appendChild(renderer.domElement);
+    
+    const scene = new THREE.Scene();
+    const canvas = document.createElement('canvas');
+    canvas.width = 1024;
+    canvas.height = 512;
+    drawEarthTexture(canvas.getContext('2d'), canvas.width, canvas.height);
+    const texture = new THREE.CanvasTexture(canvas);
+    const earth = new THREE.Mesh(new THREE.SphereGeometry(EARTH_RADIUS_KM, 64, 64), new THREE.MeshBasicMaterial({ map: texture }));
+    scene.add(earth);
+    
+    const toVector = ({ lat, lon }, lift = 1.0005) => {
+      const { x, y, z } = latLonToVector(lat, lon, EARTH_RADIUS_KM * lift);
+      return new THREE.Vector3(x, y, z);
+    };
+    const groups = entries.map(({ site, zones }) => {
+      const group = new THREE.Group();
+      zones.forEach(({ key, radius }) => {
+        const points = Array.from({ length: 96 }, (_, i) => toVector(destinationPoint(site, (360 * i) / 96, radius)));
+        group.add(new THREE.LineLoop(
+          new THREE.BufferGeometry().setFromPoints(points),
+          new THREE.LineBasicMaterial({ color: COMPARISON_ZONE_COLORS[key] })
+        ));
+      });
+      const marker = new THREE.Mesh(new THREE.SphereGeometry(8, 8, 8), new THREE.MeshBasicMaterial({ color: 0xffffff }));
+      marker.position.copy(toVector(site));
+      group.add(marker);
+      scene.add(group);
+      return group;
+    });
+    
+    const largest = Math.max(...entries.flatMap(({ zones }) => zones.map(({ radius }) => radius)), 50);
+    const view = { ...entries[0].site, altitude: Math.min(Math.max(largest * 4, 300), 40000) };
+    const camera = new THREE.PerspectiveCamera(45, 1, 1, 200000);
+    
+    const render = () => {
+      const width = container.clientWidth;
+      const height = container.clientHeight;
+      renderer.setSize(width, height);
+      const column = width / entries.length;
+      camera.position.copy(toVector(view, 1 + view.altitude / EARTH_RADIUS_KM));
+      camera.up.set(0, 1, 0);
+      camera.lookAt(0, 0, 0);
+      camera.aspect = column / height;
+      camera.updateProjectionMatrix();
+      groups.forEach((group, index) => {
+        groups.forEach((other) => {
+          other.visible = other === group;
+        });
+        renderer.setViewport(index * column, 0, column, height);
+        renderer.setScissor(index * column, 0, column, height);
+        renderer.render(scene, camera);
+      });
+    };
+    
+    let dragging = null;
+    const onPointerDown = (event) => {
+      dragging = { x: event.clientX, y: event.clientY };
+    };
+    const onPointerMove = (event) => {
+      if (!dragging) return;
+      const degreesPerPixel = (view.altitude / EARTH_RADIUS_KM) * (180 / Math.PI) / container.clientHeight;
+      view.lat = clampLatitude(view.lat + (event.clientY - dragging.y) * degreesPerPixel);
+      view.lon = normalizeLongitude(view.lon - (event.clientX - dragging.x) * degreesPerPixel);
+      dragging = { x: event.clientX, y: event.clientY };
+      render();
+    };
+    const onPointerUp = () => {
+      dragging = null;
+    };
+    const onWheel = (event) => {
+      event.preventDefault();
+      view.altitude = Math.min(Math.max(view.altitude * (1 + event.deltaY * 0.001), 50), 40000);
+      render();
+    };
+    const element = renderer.domElement;
+    element.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    element.addEventListener('wheel', onWheel, { passive: false });
+    window.addEventListener('resize', render);
+    render();
+    
+    return () => {
+      element.removeEventListener('pointerdown', onPointerDown);
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      element.removeEventListener('wheel', onWheel);
+      window.removeEventListener('resize', render);
+      scene.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+      texture.dispose();
+      renderer.dispose();
+      container.removeChild(element);
+    };
+  }, [entries]);
+  
+  return <div ref={containerRef} className="w-full h-full cursor-grab" />;
 };
 
-const DEFLECTION_METHODS = {
-  none: { name: 'No Deflection', effectiveness: 0, minLeadTime: 0, color: 0x888888 },
-  kinetic: { name: 'Kinetic Impactor', effectiveness: 0.15, minLeadTime: 5, color: 0x00ff00 },
-  nuclear: { name: 'Nuclear Standoff', effectiveness: 0.8, minLeadTime: 2, color: 0xff0000 },
-  gravity: { name: 'Gravity Tractor', effectiveness: 0.05, minLeadTime: 20, color: 0x0088ff },
-  laser: { name: 'Laser Ablation', effectiveness: 0.10, minLeadTime: 10, color: 0xff00ff }
+// Pinned scenarios side by side: synchronized globes with each one's damage
+// zones, then every report field with the rows that differ highlighted.
+const ScenarioComparison = ({ pinned, onClose }) => {
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+  const comparison = useMemo(() => compareReports(pinned.map(({ report }) => report)), [pinned]);
+  const globes = useMemo(() => pinned.map(({ site, report }) => ({ site, zones: report.damageZones })), [pinned]);
+  const sections = [...comparison.sections, { key: 'damageZones', title: 'Damage zone radii', rows: comparison.damageZones }];
+  
+  return (
+    <div className="absolute inset-0 z-20 bg-gray-900 bg-opacity-95 flex flex-col p-4 gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-bold">Scenario comparison</h2>
+        <div className="flex items-center gap-4 text-sm">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={differencesOnly} onChange={(e) => setDifferencesOnly(e.target.checked)} />
+            Differences only
+          </label>
+          <button onClick={onClose} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded">Close</button>
+        </div>
+      </div>
+      <div className="relative h-64 shrink-0 rounded border border-gray-700 overflow-hidden">
+        <ComparisonGlobes entries={globes} />
+        <div className="absolute inset-x-0 top-0 flex pointer-events-none">
+          {pinned.map(({ id, label }) => (
+            <div key={id} className="flex-1 p-2 text-xs font-bold truncate">{label}</div>
+          ))}
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto">
+        <table className="w-full text-xs">
+          <thead className="sticky top-0 bg-gray-800">
+            <tr>
+              <th className="text-left p-2">Field</th>
+              {pinned.map(({ id, label }) => <th key={id} className="text-right p-2">{label}</th>)}
+            </tr>
+          </thead>
+          {sections.map(({ key, title, rows }) => (
+            <tbody key={key}>
+              <tr>
+                <td colSpan={pinned.length + 1} className="p-2 pt-4 font-bold text-blue-400">{title}</td>
+              </tr>
+              {rows.filter(({ differs }) => differs || !differencesOnly).map((row) => (
+                <tr key={row.key} className={row.differs ? 'bg-yellow-900 bg-opacity-30' : ''}>
+                  <td className="p-2 text-gray-300">{row.label}{row.unit ? ` (${row.unit})` : ''}</td>
+                  {row.values.map((value, index) => (
+                    <td key={pinned[index].id} className={`p-2 text-right font-mono ${row.differs && index > 0 ? 'text-yellow-300' : ''}`}>
+                      {formatValue(value)}
+                      {row.differs && row.ratios && index > 0 && (
+                        <span className="ml-1 text-gray-400">×{formatValue(row.ratios[index])}</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          ))}
+        </table>
+      </div>
+    </div>
+  );
 };
 
 const AsteroidSimulator = () => {
+  const [sharedScenario] = useState(readSharedScenario);
+  const initial = sharedScenario.scenario;
   const containerRef = useRef(null);
   const sceneRef = useRef(null);
   const rendererRef = useRef(null);
@@ -75,29 +693,56 @@ const AsteroidSimulator = () => {
   const missTrajectoryRef = useRef(null);
   const impactZonesRef = useRef([]);
   const fragmentsRef = useRef([]);
+  const craterRef = useRef(null);
   const earthRef = useRef(null);
   const cameraRef = useRef(null);
-  const controlsRef = useRef({ azimuth: 0, elevation: 30, distance: 15000 });
-  const animationFrameRef = useRef(0);
+  const controlsRef = useRef({ ...initial.camera });
+  const clockRef = useRef(null);
+  const stepSimulationRef = useRef(null);
+  const cameraPoseRef = useRef(null);
+  const aftermathRef = useRef(null);
+  const arrivedRef = useRef(new Set());
+  const bodyObjectsRef = useRef([]);
+  const sceneAnimatorRef = useRef(null);
+  const recordingRef = useRef(false);
   const isAnimatingRef = useRef(false);
   const mountedRef = useRef(true);
   const missileRef = useRef(null);
   const missileTrajectoryRef = useRef(null);
+  const interceptFlashRef = useRef(null);
   const impactPointRef = useRef(null);
+  const wavefrontsRef = useRef([]);
+  const tsunamiRef = useRef(null);
+  const corridorRef = useRef(null);
   
   const [isPlaying, setIsPlaying] = useState(false);
-  const [progress, setProgress] = useState(0);
-  const [timeScale, setTimeScale] = useState(1);
+  const [simTime, setSimTime] = useState(0);
+  const [recordingSettings, setRecordingSettings] = useState({ width: 1280, height: 720, fps: 30, format: 'png' });
+  const [recordingProgress, setRecordingProgress] = useState(null);
+  const [recordingError, setRecordingError] = useState(null);
+  const [timeScale, setTimeScale] = useState(initial.timeScale);
+  const [cameraMode, setCameraMode] = useState(initial.camera.mode);
+  const [autoRotate, setAutoRotate] = useState(initial.camera.autoRotate);
+  const [cameraPresets, setCameraPresets] = useState(cameraPresetStore.list);
+  const [cameraPresetName, setCameraPresetName] = useState('');
   
-  const [asteroidSize, setAsteroidSize] = useState(100);
-  const [velocity, setVelocity] = useState(20);
-  const [composition, setComposition] = useState('stony');
-  const [impactAngle, setImpactAngle] = useState(45);
+  const [asteroidSize, setAsteroidSize] = useState(initial.asteroid.size);
+  const [velocity, setVelocity] = useState(initial.asteroid.velocity);
+  const [composition, setComposition] = useState(initial.asteroid.composition);
+  const [impactParameter, setImpactParameter] = useState(initial.approach.impactParameter);
+  const [approachHeading, setApproachHeading] = useState(initial.approach.heading);
+  const [impactSite, setImpactSite] = useState(initial.approach.site);
+  const [companions, setCompanions] = useState(initial.companions);
   
-  const [deflectionMethod, setDeflectionMethod] = useState('none');
-  const [deflectionLeadTime, setDeflectionLeadTime] = useState(10);
-  const [deflectionAngle, setDeflectionAngle] = useState(0);
+  const [deflectionMethod, setDeflectionMethod] = useState(initial.deflection.method);
+  const [deflectionLeadTime, setDeflectionLeadTime] = useState(initial.deflection.leadTime);
+  const [deflectionParams, setDeflectionParams] = useState(initial.deflection.params);
   const [missileDeployed, setMissileDeployed] = useState(false);
+  const [missionPlan, setMissionPlan] = useState(initial.deflection.mission);
+  // Years before impact that the porkchop plot's launch window opens.
+  const [missionWindow, setMissionWindow] = useState(() => (initial.deflection.mission
+    ? Math.max(MISSION_WINDOW_YEARS, Math.ceil(initial.deflection.mission.launch / DAYS_PER_YEAR))
+    : 7));
   
   const [hasImpacted, setHasImpacted] = useState(false);
   const [hasMissed, setHasMissed] = useState(false);
@@ -106,55 +751,182 @@ const AsteroidSimulator = () => {
   const [impactData, setImpactData] = useState(null);
   const [threatLevel, setThreatLevel] = useState('MODERATE');
   
+  const [uncertaintyRanges, setUncertaintyRanges] = useState(() => initial.uncertainty?.ranges ??
+    uncertaintyRangesFor({ diameter: initial.asteroid.size, density: COMPOSITIONS[initial.asteroid.composition].density, velocity: initial.asteroid.velocity, entryAngle: 45 })
+  );
+  const [uncertaintySamples, setUncertaintySamples] = useState(initial.uncertainty?.samples ?? DEFAULT_SAMPLE_COUNT);
+  const [bPlaneSigma, setBPlaneSigma] = useState(initial.uncertainty?.bPlaneSigma ?? 0);
+  const [monteCarlo, setMonteCarlo] = useState(null);
+  const [monteCarloProgress, setMonteCarloProgress] = useState(null);
+  const [monteCarloError, setMonteCarloError] = useState(null);
+  const [sweepAxes, setSweepAxes] = useState({ x: { key: 'diameter', ...SWEEP_RANGES.diameter }, y: null });
+  const [sweepOutput, setSweepOutput] = useState('energy');
+  const [sweepGrid, setSweepGrid] = useState(null);
+  const [sweepProgress, setSweepProgress] = useState(null);
+  const [sweepError, setSweepError] = useState(null);
+  
   const [nasaAsteroids, setNasaAsteroids] = useState([]);
-  const [selectedAsteroidName, setSelectedAsteroidName] = useState('Custom Asteroid');
+  const [selectedAsteroidName, setSelectedAsteroidName] = useState(initial.name);
   const [loadingNASA, setLoadingNASA] = useState(false);
+  const [neoError, setNeoError] = useState(null);
+  const [neoRange, setNeoRange] = useState(() => {
+    const today = new Date().toISOString().split('T')[0];
+    return { startDate: today, endDate: addDays(today, 7) };
+  });
+  const [neoQuery, setNeoQuery] = useState(neoRange);
+  const [neoEncounter, setNeoEncounter] = useState(null);
+  const [neoLookupError, setNeoLookupError] = useState(null);
+  const [importedScenarios, setImportedScenarios] = useState([]);
+  const [pinnedScenarios, setPinnedScenarios] = useState([]);
+  const [showComparison, setShowComparison] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [scenarioMessage, setScenarioMessage] = useState(() => sharedScenario.error && { error: true, text: sharedScenario.error });
 
   const EARTH_RADIUS = 4500;
+  const WAVEFRONT_HOURS_PER_SECOND = 1;
+  
+  const impactSurface = useMemo(() => surfaceTypeAt(impactSite.lat, impactSite.lon), [impactSite]);
+  
+  const nominalApproach = useMemo(() => propagateApproach({
+    vInfinity: velocity,
+    impactParameter: impactParameter * captureRadius(velocity),
+    site: impactSite,
+    heading: approachHeading
+  }), [velocity, impactParameter, approachHeading, impactSite]);
+  
+  const deflection = useMemo(() => calculateDeflection({
+    method: deflectionMethod,
+    params: deflectionParams[deflectionMethod],
+    leadTime: deflectionLeadTime,
+    diameter: asteroidSize,
+    density: COMPOSITIONS[composition].density,
+    vInfinity: velocity,
+    impactParameter: impactParameter * captureRadius(velocity)
+  }), [deflectionMethod, deflectionParams, deflectionLeadTime, asteroidSize, composition, velocity, impactParameter]);
+  
+  const approach = useMemo(() => (deflection.deployed
+    ? propagateApproach({
+      vInfinity: velocity,
+      impactParameter: deflection.bPlaneDistance,
+      site: impactSite,
+      heading: approachHeading
+    })
+    : nominalApproach), [deflection, nominalApproach, velocity, impactSite, approachHeading]);
+  
+  const calculateImpactEffects = useMemo(() => calculateImpact({
+    diameter: asteroidSize,
+    velocity: nominalApproach.entrySpeed,
+    density: COMPOSITIONS[composition].density,
+    strength: COMPOSITIONS[composition].strength,
+    angle: nominalApproach.entryAngle,
+    target: impactSurface === 'ocean' ? 'water' : 'sedimentary',
+    site: impactSite
+  }), [asteroidSize, nominalApproach, composition, impactSite, impactSurface]);
+  
+  // After a disruption the primary mesh carries on as the largest remnant and
+  // the other fragments fly as bodies of their own.
+  const remnant = deflection.disruption?.disrupted ? deflection.disruption.fragments[0] : null;
+  
+  const primaryEffects = useMemo(() => (remnant
+    ? calculateImpact({
+      diameter: remnant.diameter,
+      velocity: nominalApproach.entrySpeed,
+      density: COMPOSITIONS[composition].density,
+      strength: COMPOSITIONS[composition].strength,
+      angle: nominalApproach.entryAngle,
+      target: impactSurface === 'ocean' ? 'water' : 'sedimentary',
+      site: impactSite
+    })
+    : calculateImpactEffects), [remnant, nominalApproach, composition, impactSite, impactSurface, calculateImpactEffects]);
+  
+  const companionRuns = useMemo(() => companions.map(simulateImpactor), [companions]);
+  
+  const fragmentRuns = useMemo(() => (deflection.disruption?.disrupted
+    ? fragmentCloud({ name: selectedAsteroidName, velocity, composition, heading: approachHeading, site: impactSite }, deflection)
+      .slice(1)
+      .map((body) => ({ ...simulateImpactor(body), fragment: true }))
+    : []), [deflection, selectedAsteroidName, velocity, composition, approachHeading, impactSite]);
+  
+  const bodyRuns = useMemo(() => [...companionRuns, ...fragmentRuns], [companionRuns, fragmentRuns]);
+  
+  const combinedImpacts = useMemo(() => (bodyRuns.length
+    ? aggregateImpacts([{ site: impactSite, effects: approach.hit ? primaryEffects : null }, ...bodyRuns])
+    : null), [bodyRuns, impactSite, approach, primaryEffects]);
+  
+  // What the disruption alone did: the intact body against the remnant and fragments.
+  const disruptionOutcome = useMemo(() => (fragmentRuns.length
+    ? aggregateImpacts([{ site: impactSite, effects: approach.hit ? primaryEffects : null }, ...fragmentRuns])
+    : null), [fragmentRuns, impactSite, approach, primaryEffects]);
+  
+  const runSpan = useMemo(() => simulationSpan([{ approach }, ...bodyRuns]), [approach, bodyRuns]);
+  
+  // Mission dates are Julian dates; the plan keeps them as days before impact.
+  const impactJulianDate = julianDate(neoEncounter?.time ?? NOMINAL_IMPACT_TIME);
+  
+  const interceptTarget = useMemo(() => missionTarget({
+    elements: neoEncounter?.orbit,
+    vInfinity: velocity,
+    impact: impactJulianDate
+  }), [neoEncounter, velocity, impactJulianDate]);
   
-  const calculateImpactEffects = useMemo(() => {
-    const mass = (4/3) * Math.PI * Math.pow(asteroidSize/2, 3) * COMPOSITIONS[composition].density;
-    const kineticEnergy = 0.5 * mass * Math.pow(velocity * 1000, 2) / 4.184e15;
-    
-    const impactVelocity = velocity * 1000 * Math.sin(impactAngle * Math.PI / 180);
-    const craterDiameter = 1.8 * Math.pow(mass, 0.22) * Math.pow(impactVelocity, 0.44) * Math.pow(Math.sin(impactAngle * Math.PI / 180), 0.33);
-    const craterDepth = craterDiameter / 5;
-    
-    const airblastRadius = Math.pow(kineticEnergy, 0.33) * 2.2;
-    const thermalRadius = Math.pow(kineticEnergy, 0.41) * 1.5;
-    const seismicRadius = Math.pow(kineticEnergy, 0.33) * 5;
-    const magnitude = (2/3) * Math.log10(kineticEnergy * 4.184e15) - 2.9;
-    
-    const populationDensity = 50;
-    const affectedArea = Math.PI * Math.pow(airblastRadius, 2);
-    const populationAtRisk = Math.round(affectedArea * populationDensity);
-    
-    let threat = 'LOW';
-    if (kineticEnergy > 1000) threat = 'CATASTROPHIC';
-    else if (kineticEnergy > 100) threat = 'SEVERE';
-    else if (kineticEnergy > 10) threat = 'HIGH';
-    else if (kineticEnergy > 1) threat = 'MODERATE';
-    
-    return {
-      mass: (mass / 1e12).toFixed(2),
-      energy: kineticEnergy.toFixed(2),
-      craterDiameter: craterDiameter.toFixed(1),
-      craterDepth: craterDepth.toFixed(1),
-      airblastRadius: airblastRadius.toFixed(1),
-      thermalRadius: thermalRadius.toFixed(1),
-      seismicRadius: seismicRadius.toFixed(1),
-      magnitude: magnitude.toFixed(1),
-      populationAtRisk: populationAtRisk.toLocaleString(),
-      threatLevel: threat
+  // Only solved while the Defense tab shows it.
+  const porkchopGrid = useMemo(() => {
+    if (activeTab !== 'defense' || deflectionMethod === 'none') return null;
+    const dates = {
+      start: impactJulianDate - missionWindow * DAYS_PER_YEAR,
+      end: impactJulianDate - (missionWindow - MISSION_WINDOW_YEARS) * DAYS_PER_YEAR
     };
-  }, [asteroidSize, velocity, composition, impactAngle]);
+    return porkchop({ target: interceptTarget, launch: dates, arrival: dates, steps: PORKCHOP_STEPS });
+  }, [activeTab, deflectionMethod, interceptTarget, impactJulianDate, missionWindow]);
   
-  const deflectionSuccess = useMemo(() => {
-    const method = DEFLECTION_METHODS[deflectionMethod];
-    if (!method || deflectionLeadTime < method.minLeadTime) return false;
-    const maxDeflection = method.effectiveness * deflectionLeadTime;
-    return maxDeflection >= 0.5;
-  }, [deflectionMethod, deflectionLeadTime]);
+  const bestMission = useMemo(() => porkchopGrid && bestTransfer(porkchopGrid), [porkchopGrid]);
+  
+  const tradeStudy = useMemo(() => (activeTab === 'defense'
+    ? deflectionTradeStudy({
+      params: deflectionParams,
+      diameter: asteroidSize,
+      density: COMPOSITIONS[composition].density,
+      vInfinity: velocity,
+      impactParameter: impactParameter * captureRadius(velocity)
+    })
+    : null), [activeTab, deflectionParams, asteroidSize, composition, velocity, impactParameter]);
+  
+  const plannedTransfer = useMemo(() => missionPlan && planTransfer({
+    target: interceptTarget,
+    launch: impactJulianDate - missionPlan.launch,
+    arrival: impactJulianDate - missionPlan.arrival
+  }), [missionPlan, interceptTarget, impactJulianDate]);
+  
+  // Launch to impact maps onto the rest of the run after the launch, so the
+  // missile's share of it matches the transfer's share of the real timeline.
+  const missileIntercept = useMemo(() => {
+    const remaining = 1 - DEFLECTION_LAUNCH_PROGRESS;
+    const flight = plannedTransfer
+      ? Math.max(remaining * plannedTransfer.timeOfFlight / missionPlan.launch, MIN_MISSILE_FLIGHT)
+      : DEFAULT_MISSILE_FLIGHT;
+    return DEFLECTION_LAUNCH_PROGRESS + Math.min(flight, remaining);
+  }, [plannedTransfer, missionPlan]);
+  
+  const hazardRating = useMemo(() => rateHazard({
+    probability: monteCarlo ? monteCarlo.impactProbability : approach.hit ? 1 : 0,
+    energy: calculateImpactEffects.energy,
+    yearsToImpact: deflectionLeadTime
+  }), [monteCarlo, approach, calculateImpactEffects, deflectionLeadTime]);
+  
+  const scenarioState = useMemo(() => ({
+    name: selectedAsteroidName,
+    asteroid: { size: asteroidSize, velocity, composition },
+    approach: { impactParameter, heading: approachHeading, site: impactSite },
+    deflection: { method: deflectionMethod, leadTime: deflectionLeadTime, params: deflectionParams, mission: missionPlan },
+    uncertainty: { ranges: uncertaintyRanges, samples: uncertaintySamples, bPlaneSigma },
+    companions,
+    timeScale
+  }), [selectedAsteroidName, asteroidSize, velocity, composition, impactParameter, approachHeading, impactSite,
+    deflectionMethod, deflectionLeadTime, deflectionParams, missionPlan, uncertaintyRanges, uncertaintySamples, bPlaneSigma, companions, timeScale]);
+  
+  useEffect(() => {
+    window.history.replaceState(null, '', scenarioUrl({ ...scenarioState, camera: { ...controlsRef.current } }));
+  }, [scenarioState]);
   
   useEffect(() => {
     setThreatLevel(calculateImpactEffects.threatLevel);
@@ -163,64 +935,47 @@ const AsteroidSimulator = () => {
   useEffect(() => {
     const loadNASAAsteroids = async () => {
       setLoadingNASA(true);
-      const asteroids = await fetchNASANearEarthObjects();
-      setNasaAsteroids(asteroids);
+      setNeoError(null);
+      try {
+        const asteroids = await neoClient.feed(neoQuery);
+        if (!mountedRef.current) return;
+        setNasaAsteroids(asteroids);
+      } catch (error) {
+        if (!mountedRef.current) return;
+        console.error('Failed to fetch NASA data:', error);
+        setNasaAsteroids([]);
+        setNeoError(error);
+      }
       setLoadingNASA(false);
     };
     loadNASAAsteroids();
-  }, []);
+  }, [neoQuery]);
 
-  const getImpactPoint = (angle) => {
-    const angleRad = (angle * Math.PI) / 180;
-    const latitude = (angle - 45) * 2;
-    const latRad = (latitude * Math.PI) / 180;
-    
-    const x = EARTH_RADIUS * Math.cos(latRad) * Math.cos(angleRad);
-    const y = EARTH_RADIUS * Math.sin(latRad);
-    const z = EARTH_RADIUS * Math.cos(latRad) * Math.sin(angleRad);
-    
-    return { x, y, z };
-  };
+  const getImpactPoint = (site) => latLonToVector(site.lat, site.lon, EARTH_RADIUS);
+  
+  const toScenePoint = (point) =>
+    new THREE.Vector3(point.x, point.y, point.z).multiplyScalar(EARTH_RADIUS / EARTH_RADIUS_KM);
   
   const updateTrajectory = () => {
     if (!trajectoryRef.current || !sceneRef.current) return;
     
-    const points = [];
-    const steps = 100;
-    const effectiveAngle = impactAngle + deflectionAngle;
-    
-    const impactPoint = getImpactPoint(effectiveAngle);
-    const startDistance = 20000;
-    
-    const dir = new THREE.Vector3(impactPoint.x, impactPoint.y, impactPoint.z).normalize();
-    const startPos = dir.clone().multiplyScalar(-startDistance);
-    startPos.y = Math.abs(startPos.y) + 5000;
-    
-    for (let i = 0; i <= steps; i++) {
-      const t = i / steps;
-      const pos = new THREE.Vector3().lerpVectors(startPos, new THREE.Vector3(impactPoint.x, impactPoint.y, impactPoint.z), t);
-      
-      const curve = Math.sin(t * Math.PI) * 2000 * (1 - effectiveAngle / 90);
-      pos.y += curve;
-      
-      points.push(pos);
-    }
-    
+    const points = approach.path.map(toScenePoint);
     const geometry = new THREE.BufferGeometry().setFromPoints(points);
     if (trajectoryRef.current.geometry) trajectoryRef.current.geometry.dispose();
     trajectoryRef.current.geometry = geometry;
     trajectoryRef.current.visible = true;
   };
 
-  const createFragments = (position) => {
+  const createFragments = (position, { size: bodySize = asteroidSize, color = COMPOSITIONS[composition].color, seed = FRAGMENT_SEED } = {}) => {
     if (!sceneRef.current) return;
     
     const fragmentCount = 20;
+    const random = createRandom(seed);
     for (let i = 0; i < fragmentCount; i++) {
-      const size = (Math.random() * 20 + 10) * (asteroidSize / 100);
+      const size = (random() * 20 + 10) * (bodySize / 100);
       const geometry = new THREE.SphereGeometry(size, 8, 8);
       const material = new THREE.MeshPhongMaterial({
-        color: COMPOSITIONS[composition].color,
+        color,
         emissive: 0xff3300,
         emissiveIntensity: 0.5
       });
@@ -229,15 +984,15 @@ const AsteroidSimulator = () => {
       fragment.position.copy(position);
       
       fragment.userData.velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 200,
-        (Math.random() - 0.5) * 200,
-        (Math.random() - 0.5) * 200
+        (random() - 0.5) * 200,
+        (random() - 0.5) * 200,
+        (random() - 0.5) * 200
       );
       
       fragment.userData.rotation = new THREE.Vector3(
-        Math.random() * 0.1,
-        Math.random() * 0.1,
-        Math.random() * 0.1
+        random() * 0.1,
+        random() * 0.1,
+        random() * 0.1
       );
       
       sceneRef.current.add(fragment);
@@ -245,16 +1000,16 @@ const AsteroidSimulator = () => {
     }
   };
 
-  const animateFragments = () => {
+  const animateFragments = (frames) => {
     fragmentsRef.current.forEach((fragment, index) => {
-      fragment.position.add(fragment.userData.velocity);
-      fragment.rotation.x += fragment.userData.rotation.x;
-      fragment.rotation.y += fragment.userData.rotation.y;
-      fragment.rotation.z += fragment.userData.rotation.z;
+      fragment.position.addScaledVector(fragment.userData.velocity, frames);
+      fragment.rotation.x += fragment.userData.rotation.x * frames;
+      fragment.rotation.y += fragment.userData.rotation.y * frames;
+      fragment.rotation.z += fragment.userData.rotation.z * frames;
       
-      fragment.userData.velocity.y -= 5;
+      fragment.userData.velocity.y -= 5 * frames;
       
-      fragment.material.opacity = Math.max(0, fragment.material.opacity - 0.01);
+      fragment.material.opacity = Math.max(0, fragment.material.opacity - 0.01 * frames);
       fragment.material.transparent = true;
       
       if (fragment.material.opacity <= 0) {
@@ -266,10 +1021,197 @@ const AsteroidSimulator = () => {
     });
   };
 
+  // The globe's facets lie up to several units inside the true sphere, deeper
+  // than most craters, so the crater is carved into a finer patch laid on the
+  // facet under the site and the globe is clipped away beneath the patch.
+  const createCrater = (effects, site) => {
+    removeCrater();
+    const scene = sceneRef.current;
+    const earth = earthRef.current;
+    if (!scene || !earth) return;
+    const unitsPerKm = EARTH_RADIUS / EARTH_RADIUS_KM;
+    const frame = localFrame(site.lat, site.lon);
+    const up = new THREE.Vector3(frame.up.x, frame.up.y, frame.up.z);
+    const crater = {
+      transientDiameter: effects.transientCraterDiameter,
+      diameter: effects.craterDiameter,
+      depth: effects.craterDepth,
+      type: effects.craterType
+    };
+    const [hit] = new THREE.Raycaster(up.clone().multiplyScalar(EARTH_RADIUS * 1.1), up.clone().negate()).intersectObject(earth);
+    const groundAt = (direction) => (hit ? hit.face.normal.dot(hit.point) / hit.face.normal.dot(direction) : EARTH_RADIUS);
+
+    const fireball = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 32, 16),
+      new THREE.MeshBasicMaterial({ color: 0xffdd88, transparent: true, blending: THREE.AdditiveBlending, depthWrite: false })
+    );
+    fireball.position.copy(up).multiplyScalar(groundAt(up) + (effects.airburst ? effects.airburstAltitude : 0) * unitsPerKm);
+    fireball.scale.setScalar(1e-3);
+    scene.add(fireball);
+
+    const state = { crater, frame, unitsPerKm, ground: groundAt(up), fireball, fireballRadius: effects.fireballRadius, patch: null, ejecta: null };
+    craterRef.current = state;
+    if (!(crater.diameter > 0) || effects.tsunami) return;
+
+    const radius = (CRATER_PATCH_RADII * crater.diameter) / 2;
+    const vertices = [];
+    const uvs = [];
+    for (let ring = 0; ring <= CRATER_PATCH_RINGS; ring++) {
+      const distance = radius * Math.pow(ring / CRATER_PATCH_RINGS, 1.5);
+      for (let segment = 0; segment <= CRATER_PATCH_SEGMENTS; segment++) {
+        const point = destinationPoint(site, (360 * segment) / CRATER_PATCH_SEGMENTS, distance);
+        const { x, y, z } = latLonToVector(point.lat, point.lon, 1);
+        const direction = new THREE.Vector3(x, y, z);
+        vertices.push({ direction, distance, ground: groundAt(direction) });
+        uvs.push((site.lon + normalizeLongitude(point.lon - site.lon) + 180) / 360, (point.lat + 90) / 180);
+      }
+    }
+    const indices = [];
+    const row = CRATER_PATCH_SEGMENTS + 1;
+    for (let ring = 0; ring < CRATER_PATCH_RINGS; ring++) {
+      for (let segment = 0; segment < CRATER_PATCH_SEGMENTS; segment++) {
+        const a = ring * row + segment;
+        indices.push(a, a + row, a + 1, a + 1, a + row, a + row + 1);
+      }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices.length * 3, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(new Array(vertices.length * 3).fill(1), 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    const patch = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+      map: earth.material.map,
+      vertexColors: true,
+      shininess: 5,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -4
+    }));
+    scene.add(patch);
+
+    // A fragment of the globe is dropped when it is inside every plane: an
+    // octagonal prism within the patch, on this side of the Earth only.
+    const hole = 0.85 * radius * unitsPerKm;
+    const site3 = up.clone().multiplyScalar(EARTH_RADIUS);
+    const east = new THREE.Vector3(frame.east.x, frame.east.y, frame.east.z);
+    const north = new THREE.Vector3(frame.north.x, frame.north.y, frame.north.z);
+    earth.material.clippingPlanes = [
+      ...Array.from({ length: 8 }, (_, i) => {
+        const normal = east.clone().multiplyScalar(Math.cos((i * Math.PI) / 4)).addScaledVector(north, Math.sin((i * Math.PI) / 4));
+        return new THREE.Plane(normal, -normal.dot(site3) - hole);
+      }),
+      new THREE.Plane(up.clone().negate(), EARTH_RADIUS / 2)
+    ];
+    earth.material.clipIntersection = true;
+    earth.material.needsUpdate = true;
+
+    const particles = ejectaCurtain(crater, { count: EJECTA_PARTICLES });
+    const ejecta = new THREE.Points(
+      new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(particles.length * 3, 3)),
+      new THREE.PointsMaterial({ color: 0x8a7560, size: Math.max(0.03 * crater.transientDiameter * unitsPerKm, 0.02) })
+    );
+    ejecta.frustumCulled = false;
+    scene.add(ejecta);
+    if (impactPointRef.current) impactPointRef.current.visible = false;
+
+    Object.assign(state, {
+      patch,
+      vertices,
+      ejecta,
+      particles,
+      duration: craterFormationDuration(crater),
+      depth: crater.transientDiameter / (2 * Math.SQRT2),
+      rim: Math.max(...vertices.map(({ distance }) => craterProfileAt(crater, Infinity)(distance)), 1e-6),
+      done: false
+    });
+    animateCrater(0);
+  };
+
+  const animateCrater = (seconds) => {
+    const state = craterRef.current;
+    const { fireball, patch, ejecta, frame, unitsPerKm, ground } = state;
+    const fade = Math.min(Math.max((seconds - FIREBALL_GROWTH_SECONDS) / FIREBALL_FADE_SECONDS, 0), 1);
+    fireball.visible = fade < 1;
+    fireball.scale.setScalar(Math.max(state.fireballRadius * unitsPerKm * Math.sqrt(Math.min(seconds / FIREBALL_GROWTH_SECONDS, 1)), 1e-3));
+    fireball.material.opacity = 0.9 * (1 - fade);
+    fireball.material.color.setHSL(0.14 - 0.12 * fade, 1, 0.75 - 0.25 * fade);
+
+    if (!patch || state.done) return;
+    const time = Math.min((seconds / CRATER_ANIMATION_SECONDS) * state.duration, state.duration);
+    state.done = time >= state.duration;
+
+    const profile = craterProfileAt(state.crater, time);
+    const positions = patch.geometry.attributes.position;
+    const colors = patch.geometry.attributes.color;
+    state.vertices.forEach(({ direction, distance, ground: base }, index) => {
+      const height = profile(distance);
+      const radial = base + height * unitsPerKm;
+      positions.setXYZ(index, direction.x * radial, direction.y * radial, direction.z * radial);
+      const disturbed = Math.min(Math.abs(height) / (0.3 * state.rim), 1);
+      const shade = 1 - 0.45 * Math.min(Math.max(-height / state.depth, 0), 1);
+      colors.setXYZ(index, ...EJECTA_COLOR.map((channel) => (1 + (channel - 1) * disturbed) * shade));
+    });
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+    patch.geometry.computeVertexNormals();
+
+    const { east, north, up } = frame;
+    const points = ejecta.geometry.attributes.position;
+    state.particles.forEach((particle, index) => {
+      const at = ejectaPosition(particle, time) || { distance: 0, height: -state.depth * 2 };
+      const [across, along] = [Math.sin(particle.bearing) * at.distance, Math.cos(particle.bearing) * at.distance];
+      const lift = ground + at.height * unitsPerKm;
+      points.setXYZ(
+        index,
+        (east.x * across + north.x * along) * unitsPerKm + up.x * lift,
+        (east.y * across + north.y * along) * unitsPerKm + up.y * lift,
+        (east.z * across + north.z * along) * unitsPerKm + up.z * lift
+      );
+    });
+    points.needsUpdate = true;
+  };
+
+  const removeCrater = () => {
+    const state = craterRef.current;
+    if (!state) return;
+    [state.fireball, state.patch, state.ejecta].forEach((object) => {
+      if (!object) return;
+      if (sceneRef.current) sceneRef.current.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    if (earthRef.current && earthRef.current.material.clippingPlanes?.length) {
+      earthRef.current.material.clippingPlanes = [];
+      earthRef.current.material.needsUpdate = true;
+    }
+    if (impactPointRef.current) impactPointRef.current.visible = true;
+    craterRef.current = null;
+  };
+
+  const animateWavefronts = (frameSeconds) => {
+    tsunamiRef.current.elapsed += frameSeconds;
+    const { site, elapsed, waveSpeed } = tsunamiRef.current;
+    const normal = new THREE.Vector3().copy(getImpactPoint(site)).normalize();
+    
+    wavefrontsRef.current.forEach((wavefront, i) => {
+      const hours = (elapsed - i) * WAVEFRONT_HOURS_PER_SECOND;
+      const angular = (hours * waveSpeed) / EARTH_RADIUS_KM;
+      wavefront.visible = hours > 0 && angular < Math.PI;
+      if (!wavefront.visible) return;
+      
+      const lift = EARTH_RADIUS * 1.002;
+      wavefront.position.copy(normal).multiplyScalar(lift * Math.cos(angular));
+      wavefront.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+      const radius = lift * Math.sin(angular);
+      wavefront.scale.set(radius, radius, 1);
+      wavefront.material.opacity = Math.max(0.15, 0.8 * (1 - angular / Math.PI));
+    });
+  };
+
   const launchMissile = () => {
     if (!sceneRef.current || !asteroidRef.current || missileDeployed) return;
     
-    const impactPoint = getImpactPoint(impactAngle);
+    const impactPoint = getImpactPoint(impactSite);
     const missileGeo = new THREE.ConeGeometry(30, 150, 8);
     const missileMat = new THREE.MeshPhongMaterial({
       color: DEFLECTION_METHODS[deflectionMethod].color,
@@ -295,8 +1237,11 @@ const AsteroidSimulator = () => {
     
     const missilePoints = [];
     const steps = 50;
-    const asteroidPos = asteroidRef.current.position.clone();
+    const { path } = approach;
+    const interceptTime = path[0].time + missileIntercept * (path[path.length - 1].time - path[0].time);
+    const asteroidPos = toScenePoint(positionAt(path, interceptTime));
     const missileStart = missile.position.clone();
+    missile.userData.start = missileStart;
     
     for (let i = 0; i <= steps; i++) {
       const t = i / steps;
@@ -317,23 +1262,32 @@ const AsteroidSimulator = () => {
     setMissileDeployed(true);
   };
 
-  const animateMissile = () => {
+  const removeInterceptFlash = () => {
+    const flash = interceptFlashRef.current;
+    if (!flash) return;
+    sceneRef.current.remove(flash);
+    flash.geometry.dispose();
+    flash.material.dispose();
+    interceptFlashRef.current = null;
+  };
+  
+  // The flash lasts from the intercept for INTERCEPT_FLASH_PROGRESS of the run
+  // clock, so it shows the same in playback, recording and scrubbing.
+  const updateInterceptFlash = (progress) => {
+    if (progress < missileIntercept || progress >= missileIntercept + INTERCEPT_FLASH_PROGRESS) removeInterceptFlash();
+  };
+  
+  // The missile closes on the asteroid so that it arrives at the intercept.
+  const animateMissile = (progress) => {
+    updateInterceptFlash(progress);
     if (!missileRef.current || !asteroidRef.current) return;
     
     const targetPos = asteroidRef.current.position.clone();
-    const direction = new THREE.Vector3().subVectors(targetPos, missileRef.current.position).normalize();
-    
-    missileRef.current.position.add(direction.multiplyScalar(150));
-    missileRef.current.lookAt(targetPos);
+    const flight = Math.min((progress - DEFLECTION_LAUNCH_PROGRESS) / (missileIntercept - DEFLECTION_LAUNCH_PROGRESS), 1);
+    missileRef.current.position.lerpVectors(missileRef.current.userData.start, targetPos, Math.max(flight, 0));
+    if (flight < 1) missileRef.current.lookAt(targetPos);
     
-    const distance = missileRef.current.position.distanceTo(targetPos);
-    if (distance < 200) {
-      const method = DEFLECTION_METHODS[deflectionMethod];
-      if (method && deflectionLeadTime >= method.minLeadTime) {
-        const angle = method.effectiveness * deflectionLeadTime * 10;
-        setDeflectionAngle(Math.min(angle, 45));
-      }
-      
+    if (flight >= 1) {
       const explosionGeo = new THREE.SphereGeometry(300, 16, 16);
       const explosionMat = new THREE.MeshBasicMaterial({
         color: 0xff6600,
@@ -343,12 +1297,8 @@ const AsteroidSimulator = () => {
       const explosion = new THREE.Mesh(explosionGeo, explosionMat);
       explosion.position.copy(missileRef.current.position);
       sceneRef.current.add(explosion);
-      
-      setTimeout(() => {
-        sceneRef.current.remove(explosion);
-        explosion.geometry.dispose();
-        explosion.material.dispose();
-      }, 500);
+      interceptFlashRef.current = explosion;
+      updateInterceptFlash(progress);
       
       sceneRef.current.remove(missileRef.current);
       if (missileTrajectoryRef.current) {
@@ -389,6 +1339,7 @@ const AsteroidSimulator = () => {
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.localClippingEnabled = true;
     containerRef.current.appendChild(renderer.domElement);
     rendererRef.current = renderer;
     
@@ -425,35 +1376,10 @@ const AsteroidSimulator = () => {
     canvas.width = 2048;
     canvas.height = 1024;
     const ctx = canvas.getContext('2d');
-    
-    ctx.fillStyle = 'rgba(26, 99, 246, 1)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    
-    ctx.fillStyle = 'rgba(26, 99, 246, 1)';
-    const continents = [
-      { x: 0.5, y: 0.5, w: 0.15, h: 0.25 },
-      { x: 0.15, y: 0.4, w: 0.12, h: 0.35 },
-      { x: 0.6, y: 0.3, w: 0.25, h: 0.3 },
-      { x: 0.75, y: 0.65, w: 0.08, h: 0.12 }
-    ];
-    
-    continents.forEach(c => {
-      ctx.beginPath();
-      ctx.ellipse(
-        c.x * canvas.width, 
-        c.y * canvas.height,
-        c.w * canvas.width,
-        c.h * canvas.height,
-        0, 0, Math.PI * 2
-      );
-      ctx.fill();
-    });
-    
-    ctx.fillStyle = '#rgba(26, 99, 246, 1)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height * 0.1);
-    ctx.fillRect(0, canvas.height * 0.9, canvas.width, canvas.height * 0.1);
+    drawEarthTexture(ctx, canvas.width, canvas.height);
     
     const earthTexture = new THREE.CanvasTexture(canvas);
+    earthTexture.wrapS = THREE.RepeatWrapping;
     const earthMaterial = new THREE.MeshPhongMaterial({
       map: earthTexture,
       shininess: 25,
@@ -486,11 +1412,7 @@ const AsteroidSimulator = () => {
     });
     
     const asteroid = new THREE.Mesh(asteroidGeometry, asteroidMaterial);
-    const impactPoint = getImpactPoint(impactAngle);
-    const dir = new THREE.Vector3(impactPoint.x, impactPoint.y, impactPoint.z).normalize();
-    const startPos = dir.clone().multiplyScalar(-20000);
-    startPos.y = Math.abs(startPos.y) + 5000;
-    asteroid.position.copy(startPos);
+    asteroid.position.copy(toScenePoint(approach.path[0]));
     asteroid.castShadow = true;
     scene.add(asteroid);
     asteroidRef.current = asteroid;
@@ -532,53 +1454,94 @@ const AsteroidSimulator = () => {
     const impactMarkerGeo = new THREE.SphereGeometry(100, 16, 16);
     const impactMarkerMat = new THREE.MeshBasicMaterial({ color: 0xff0000, transparent: true, opacity: 0.7 });
     const impactMarker = new THREE.Mesh(impactMarkerGeo, impactMarkerMat);
-    const ip = getImpactPoint(impactAngle);
+    const ip = getImpactPoint(impactSite);
     impactMarker.position.set(ip.x, ip.y, ip.z);
     scene.add(impactMarker);
     impactPointRef.current = impactMarker;
     
+    const wavefrontGeometry = new THREE.BufferGeometry().setFromPoints(
+      Array.from({ length: 128 }, (_, i) => {
+        const a = (i / 128) * Math.PI * 2;
+        return new THREE.Vector3(Math.cos(a), Math.sin(a), 0);
+      })
+    );
+    wavefrontsRef.current = [0, 1, 2].map(() => {
+      const wavefront = new THREE.LineLoop(
+        wavefrontGeometry,
+        new THREE.LineBasicMaterial({ color: 0x66ccff, transparent: true, opacity: 0.8 })
+      );
+      wavefront.visible = false;
+      scene.add(wavefront);
+      return wavefront;
+    });
+    
     const gridHelper = new THREE.PolarGridHelper(8000, 16, 8, 64, 0x444444, 0x222222);
     gridHelper.position.y = -5000;
     scene.add(gridHelper);
     
     let time = 0;
-    const animate = () => {
-      if (!mountedRef.current) return;
+    let lastFrame = null;
+    // Everything that moves between frames, scaled by the elapsed seconds so
+    // the live view and fixed-rate recordings evolve the same way.
+    const advanceScene = (elapsed) => {
+      const frames = elapsed * 60;
+      time += 0.01 * frames;
+      if (stepSimulationRef.current) stepSimulationRef.current(elapsed);
       
-      animationRef.current = requestAnimationFrame(animate);
-      time += 0.01;
+      if (aftermathRef.current !== null) aftermathRef.current += elapsed;
       
       const controls = controlsRef.current;
-      const azimuthRad = (controls.azimuth * Math.PI) / 180;
-      const elevationRad = (controls.elevation * Math.PI) / 180;
-      
-      camera.position.x = controls.distance * Math.cos(elevationRad) * Math.sin(azimuthRad);
-      camera.position.y = controls.distance * Math.sin(elevationRad);
-      camera.position.z = controls.distance * Math.cos(elevationRad) * Math.cos(azimuthRad);
-      camera.lookAt(0, 0, 0);
+      const { position, target, up } = cameraPoseRef.current(controls);
+      camera.position.set(position.x, position.y, position.z);
+      camera.up.set(up.x, up.y, up.z);
+      camera.lookAt(target.x, target.y, target.z);
+      const near = controls.mode === 'crater' ? Math.min(0.1, controls.craterDistance / 100) : 0.1;
+      if (camera.near !== near) {
+        camera.near = near;
+        camera.updateProjectionMatrix();
+      }
       
-      controlsRef.current.azimuth += 0.05;
+      if (controls.mode === 'orbit' && controls.autoRotate) controls.azimuth += 0.05 * frames;
       
-      if (earth) earth.rotation.y += 0.001;
       if (asteroidRef.current && !isAnimatingRef.current) {
-        asteroidRef.current.rotation.x += 0.02;
-        asteroidRef.current.rotation.y += 0.015;
+        asteroidRef.current.rotation.x += 0.02 * frames;
+        asteroidRef.current.rotation.y += 0.015 * frames;
       }
       
-      atmosphere.rotation.y += 0.0005;
+      atmosphere.rotation.y += 0.0005 * frames;
       
       if (impactMarker) {
         impactMarker.material.opacity = 0.4 + Math.sin(time * 3) * 0.3;
       }
       
-      if (missileRef.current && isAnimatingRef.current) {
-        animateMissile();
+      if (fragmentsRef.current.length > 0) {
+        animateFragments(frames);
       }
       
-      if (fragmentsRef.current.length > 0) {
-        animateFragments();
+      if (craterRef.current) {
+        animateCrater(aftermathRef.current ?? 0);
+      }
+      
+      if (tsunamiRef.current) {
+        animateWavefronts(elapsed);
       }
+    };
+    sceneAnimatorRef.current = {
+      advance: advanceScene,
+      restart: () => {
+        time = 0;
+      }
+    };
+    
+    const animate = (now = performance.now()) => {
+      if (!mountedRef.current) return;
+      
+      animationRef.current = requestAnimationFrame(animate);
+      const elapsed = lastFrame === null ? 0 : (now - lastFrame) / 1000;
+      lastFrame = now;
+      if (recordingRef.current) return;
       
+      advanceScene(elapsed);
       renderer.render(scene, camera);
     };
     animate();
@@ -594,28 +1557,44 @@ const AsteroidSimulator = () => {
     let isDragging = false;
     let previousMouseX = 0;
     let previousMouseY = 0;
+    let downX = 0;
+    let downY = 0;
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
     
     const handleMouseDown = (e) => {
       isDragging = true;
-      previousMouseX = e.clientX;
-      previousMouseY = e.clientY;
+      previousMouseX = downX = e.clientX;
+      previousMouseY = downY = e.clientY;
     };
     
     const handleMouseMove = (e) => {
       if (!isDragging) return;
-      const deltaX = e.clientX - previousMouseX;
-      const deltaY = e.clientY - previousMouseY;
-      controlsRef.current.azimuth += deltaX * 0.3;
-      controlsRef.current.elevation = Math.max(-80, Math.min(80, controlsRef.current.elevation - deltaY * 0.3));
+      controlsRef.current = rotateCamera(controlsRef.current, e.clientX - previousMouseX, e.clientY - previousMouseY);
       previousMouseX = e.clientX;
       previousMouseY = e.clientY;
     };
     
-    const handleMouseUp = () => { isDragging = false; };
+    const handleMouseUp = (e) => {
+      isDragging = false;
+      if (isAnimatingRef.current || Math.abs(e.clientX - downX) > 3 || Math.abs(e.clientY - downY) > 3) return;
+      
+      const rect = renderer.domElement.getBoundingClientRect();
+      pointer.set(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, camera);
+      const [hit] = raycaster.intersectObject(earth);
+      if (hit) {
+        const { lat, lon } = vectorToLatLon(earth.worldToLocal(hit.point.clone()));
+        setImpactSite({ lat: Number(lat.toFixed(2)), lon: Number(lon.toFixed(2)) });
+      }
+    };
     
     const handleWheel = (e) => {
       e.preventDefault();
-      controlsRef.current.distance = Math.max(8000, Math.min(40000, controlsRef.current.distance + e.deltaY * 5));
+      controlsRef.current = zoomCamera(controlsRef.current, e.deltaY);
     };
     
     renderer.domElement.addEventListener('mousedown', handleMouseDown);
@@ -637,6 +1616,7 @@ const AsteroidSimulator = () => {
         renderer.domElement.removeEventListener('mouseup', handleMouseUp);
         renderer.domElement.removeEventListener('wheel', handleWheel);
       }
+      removeCrater();
       scene.traverse((object) => {
         if (object.geometry) object.geometry.dispose();
         if (object.material) {
@@ -657,17 +1637,13 @@ const AsteroidSimulator = () => {
   useEffect(() => {
     updateTrajectory();
     if (impactPointRef.current) {
-      const ip = getImpactPoint(impactAngle + deflectionAngle);
+      const ip = getImpactPoint(impactSite);
       impactPointRef.current.position.set(ip.x, ip.y, ip.z);
     }
     if (asteroidRef.current && !isPlaying) {
-      const impactPoint = getImpactPoint(impactAngle);
-      const dir = new THREE.Vector3(impactPoint.x, impactPoint.y, impactPoint.z).normalize();
-      const startPos = dir.clone().multiplyScalar(-20000);
-      startPos.y = Math.abs(startPos.y) + 5000;
-      asteroidRef.current.position.copy(startPos);
+      asteroidRef.current.position.copy(toScenePoint(approach.path[0]));
     }
-  }, [impactAngle, deflectionAngle, asteroidSize]);
+  }, [approach, asteroidSize]);
   
   useEffect(() => {
     if (asteroidRef.current) {
@@ -677,91 +1653,178 @@ const AsteroidSimulator = () => {
     }
   }, [composition, asteroidSize]);
   
-  const animateAsteroid = () => {
-    if (!asteroidRef.current) return;
-    
-    isAnimatingRef.current = true;
-    const duration = 300 / timeScale;
-    let frame = 0;
-    
-    const step = () => {
-      if (!isPlaying || frame >= duration || !mountedRef.current) {
-        isAnimatingRef.current = false;
-        if (frame >= duration && mountedRef.current) {
-          const distanceToCenter = asteroidRef.current.position.length();
-          const asteroidRadius = (asteroidSize / 100);
-          
-          if (distanceToCenter <= EARTH_RADIUS + asteroidRadius) {
-            handleImpact();
-          } else {
-            handleMiss();
-          }
-        }
-        return;
-      }
-      
-      const t = frame / duration;
-      const effectiveAngle = impactAngle + deflectionAngle;
-      const impactPoint = getImpactPoint(effectiveAngle);
-      
-      const dir = new THREE.Vector3(impactPoint.x, impactPoint.y, impactPoint.z).normalize();
-      const startPos = dir.clone().multiplyScalar(-20000);
-      startPos.y = Math.abs(startPos.y) + 5000;
-      
-      const currentPos = new THREE.Vector3().lerpVectors(
-        startPos, 
-        new THREE.Vector3(impactPoint.x, impactPoint.y, impactPoint.z), 
-        t
+  useEffect(() => {
+    const { path } = approach;
+    clockRef.current = createSimulationClock({
+      start: runSpan.start,
+      end: runSpan.end,
+      // The primary's approach always plays over PLAYBACK_SECONDS; later bodies extend the run.
+      duration: PLAYBACK_SECONDS * (runSpan.end - runSpan.start) / (path[path.length - 1].time - path[0].time)
+    });
+    setSimTime(runSpan.start);
+  }, [approach, runSpan]);
+  
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+    const objects = bodyRuns.map((run) => {
+      const mesh = new THREE.Mesh(
+        new THREE.SphereGeometry(run.size / 60, 24, 24),
+        new THREE.MeshPhongMaterial({ color: COMPOSITIONS[run.composition].color, emissive: 0xff3300, emissiveIntensity: 0.2, shininess: 5 })
       );
-      
-      const curve = Math.sin(t * Math.PI) * 2000 * (1 - effectiveAngle / 90);
-      currentPos.y += curve;
-      
-      asteroidRef.current.position.copy(currentPos);
-      
-      const distanceToCenter = asteroidRef.current.position.length();
-      const asteroidRadius = (asteroidSize / 100);
-      
-      if (distanceToCenter <= EARTH_RADIUS + asteroidRadius) {
-        setProgress(100);
+      mesh.scale.setScalar(run.size / 15);
+      mesh.visible = false;
+      const trail = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(run.approach.path.map(toScenePoint)),
+        run.fragment
+          ? new THREE.LineBasicMaterial({ color: FRAGMENT_TRAIL_COLORS[run.effects ? 'hit' : 'miss'], transparent: true, opacity: 0.35 })
+          : new THREE.LineBasicMaterial({ color: COMPANION_TRAIL_COLOR, transparent: true, opacity: 0.6 })
+      );
+      scene.add(mesh, trail);
+      return { mesh, trail };
+    });
+    bodyObjectsRef.current = objects;
+    return () => {
+      objects.forEach(({ mesh, trail }) => {
+        scene.remove(mesh, trail);
+        [mesh, trail].forEach((object) => {
+          object.geometry.dispose();
+          object.material.dispose();
+        });
+      });
+    };
+  }, [bodyRuns]);
+  
+  // Progress through the primary's own approach, which the deflection launch
+  // and camera shots are keyed to.
+  const approachProgress = (time) => {
+    const { path } = approach;
+    return Math.min(Math.max((time - path[0].time) / (path[path.length - 1].time - path[0].time), 0), 1);
+  };
+  
+  // Fragments appear once the disrupting burst has gone off, or straight away
+  // when the timeline is moved past the launch.
+  const isDisrupted = (time) => Boolean(remnant) && approachProgress(time) >= DEFLECTION_LAUNCH_PROGRESS && !missileRef.current;
+  
+  // Puts every body where the clock says it is; rendering never moves the clock.
+  const showSimulationTime = () => {
+    const clock = clockRef.current;
+    if (!clock || !asteroidRef.current) return;
+    const progress = approachProgress(clock.time);
+    const disrupted = isDisrupted(clock.time);
+    asteroidRef.current.position.copy(toScenePoint(positionAt(approach.path, clock.time)));
+    asteroidRef.current.scale.setScalar((disrupted ? remnant.diameter : asteroidSize) / 15);
+    asteroidRef.current.material.emissiveIntensity = progress > 0.7 ? ((progress - 0.7) / 0.3) * 0.8 : 0.2;
+    bodyObjectsRef.current.forEach(({ mesh, trail }, index) => {
+      const run = bodyRuns[index];
+      if (!run) return;
+      const time = clock.time - run.delay;
+      mesh.position.copy(toScenePoint(positionAt(run.approach.path, time)));
+      mesh.visible = time >= run.approach.path[0].time && !(run.effects && arrivedRef.current.has(index)) && (!run.fragment || disrupted);
+      if (run.fragment) trail.visible = disrupted;
+    });
+    setSimTime(clock.time);
+  };
+  
+  const arriveBody = (index) => {
+    const run = bodyRuns[index];
+    const object = bodyObjectsRef.current[index];
+    if (!run.effects || !object) return;
+    createFragments(object.mesh.position.clone(), {
+      size: run.size,
+      color: COMPOSITIONS[run.composition].color,
+      seed: FRAGMENT_SEED + index + 1
+    });
+    object.mesh.visible = false;
+  };
+  
+  const stepSimulation = (elapsed) => {
+    const clock = clockRef.current;
+    if (!isPlaying || !isAnimatingRef.current || !clock) return;
+    
+    clock.advance(elapsed, timeScale);
+    if (deflection.deployed && !missileDeployed && !missileRef.current && approachProgress(clock.time) >= DEFLECTION_LAUNCH_PROGRESS) {
+      launchMissile();
+    }
+    animateMissile(approachProgress(clock.time));
+    showSimulationTime();
+    
+    const arrived = arrivedRef.current;
+    const { path } = approach;
+    if (!arrived.has('primary') && clock.time >= path[path.length - 1].time) {
+      arrived.add('primary');
+      if (approach.hit) {
         handleImpact();
-        return;
+      } else {
+        handleMiss();
       }
-      
-      const scale = asteroidSize / 15;
-      asteroidRef.current.scale.set(scale, scale, scale);
-      
-      if (t > 0.7) {
-        const heatIntensity = (t - 0.7) / 0.3;
-        asteroidRef.current.material.emissive.setHex(0xff3300);
-        asteroidRef.current.material.emissiveIntensity = heatIntensity * 0.8;
-      }
-      
-      setProgress(t * 100);
-      frame++;
-      
-      animationFrameRef.current = setTimeout(step, 16 / timeScale);
-    };
+    }
+    const disrupted = isDisrupted(clock.time);
+    bodyRuns.forEach((run, index) => {
+      if (arrived.has(index) || clock.time < run.arrival || (run.fragment && !disrupted)) return;
+      arrived.add(index);
+      arriveBody(index);
+    });
     
-    step();
+    if (clock.finished) {
+      setIsPlaying(false);
+      isAnimatingRef.current = false;
+    }
+  };
+  stepSimulationRef.current = stepSimulation;
+  
+  const cameraEvents = useMemo(() => cinematicEvents({
+    path: approach.path,
+    hit: approach.hit,
+    launch: deflection.deployed ? DEFLECTION_LAUNCH_PROGRESS : null
+  }), [approach, deflection]);
+  
+  // Read by the render loop every frame, so it always sees the current approach.
+  const currentCameraPose = (controls) => {
+    const clock = clockRef.current;
+    const time = clock ? clock.time : approach.path[0].time;
+    return cameraPose(controls, {
+      progress: approachProgress(time),
+      events: cameraEvents,
+      aftermath: aftermathRef.current,
+      asteroid: asteroidRef.current ? asteroidRef.current.position : toScenePoint(positionAt(approach.path, time)),
+      direction: pathDirection(approach.path, time),
+      site: getImpactPoint(impactSite),
+      earthRadius: EARTH_RADIUS
+    });
+  };
+  cameraPoseRef.current = currentCameraPose;
+  
+  const updateCamera = (changes) => {
+    controlsRef.current = { ...controlsRef.current, ...changes };
+    setCameraMode(controlsRef.current.mode);
+    setAutoRotate(controlsRef.current.autoRotate);
+  };
+  
+  const saveCameraPreset = () => {
+    const name = cameraPresetName.trim() || `${CAMERA_MODES[cameraMode].label} ${cameraPresets.length + 1}`;
+    setCameraPresets(cameraPresetStore.save(name, controlsRef.current));
+    setCameraPresetName('');
   };
   
   const handleImpact = () => {
     setHasImpacted(true);
-    const data = calculateImpactEffects;
+    aftermathRef.current = 0;
+    const data = primaryEffects;
     setImpactData(data);
     
     if (asteroidRef.current) {
-      createFragments(asteroidRef.current.position.clone());
+      createFragments(asteroidRef.current.position.clone(), { size: remnant ? remnant.diameter : asteroidSize });
       asteroidRef.current.visible = false;
     }
+    createCrater(data, impactSite);
     
     if (impactZonesRef.current.length > 0) {
-      const impactPoint = getImpactPoint(impactAngle + deflectionAngle);
+      const impactPoint = getImpactPoint(impactSite);
       
-      const craterScale = parseFloat(data.craterDiameter) * 5;
-      const airblastScale = parseFloat(data.airblastRadius) * 3;
-      const thermalScale = parseFloat(data.thermalRadius) * 2;
+      const craterScale = data.craterDiameter * 5;
+      const airblastScale = data.airblastRadius * 3;
+      const thermalScale = data.thermalRadius * 2;
       
       impactZonesRef.current[0].position.set(impactPoint.x, impactPoint.y, impactPoint.z);
       impactZonesRef.current[0].scale.set(craterScale, craterScale, 1);
@@ -779,12 +1842,18 @@ const AsteroidSimulator = () => {
       impactZonesRef.current[2].lookAt(0, 0, 0);
     }
     
-    setIsPlaying(false);
-    isAnimatingRef.current = false;
+    if (data.tsunami) {
+      tsunamiRef.current = {
+        site: impactSite,
+        elapsed: 0,
+        waveSpeed: data.tsunami.waveSpeed
+      };
+    }
   };
   
   const handleMiss = () => {
     setHasMissed(true);
+    aftermathRef.current = 0;
     
     if (missTrajectoryRef.current && asteroidRef.current) {
       const points = [];
@@ -803,31 +1872,30 @@ const AsteroidSimulator = () => {
       missTrajectoryRef.current.geometry = geometry;
       missTrajectoryRef.current.visible = true;
     }
-    
-    setIsPlaying(false);
-    isAnimatingRef.current = false;
   };
   
-  const handleReset = () => {
-    if (animationFrameRef.current) {
-      clearTimeout(animationFrameRef.current);
+  const removeMissile = () => {
+    if (missileRef.current && sceneRef.current) {
+      sceneRef.current.remove(missileRef.current);
+      missileRef.current = null;
     }
-    
-    setIsPlaying(false);
-    setProgress(0);
+    if (missileTrajectoryRef.current && sceneRef.current) {
+      sceneRef.current.remove(missileTrajectoryRef.current);
+      missileTrajectoryRef.current = null;
+    }
+    if (sceneRef.current) removeInterceptFlash();
+    setMissileDeployed(false);
+  };
+  
+  // Undoes the impact or miss so the run can be replayed from any time.
+  const clearOutcome = () => {
     setHasImpacted(false);
     setHasMissed(false);
-    setMissileDeployed(false);
-    isAnimatingRef.current = false;
+    aftermathRef.current = null;
+    arrivedRef.current.clear();
     
     if (asteroidRef.current) {
-      const impactPoint = getImpactPoint(impactAngle);
-      const dir = new THREE.Vector3(impactPoint.x, impactPoint.y, impactPoint.z).normalize();
-      const startPos = dir.clone().multiplyScalar(-20000);
-      startPos.y = Math.abs(startPos.y) + 5000;
-      asteroidRef.current.position.copy(startPos);
       asteroidRef.current.visible = true;
-      asteroidRef.current.material.emissiveIntensity = 0.2;
       const scale = asteroidSize / 15;
       asteroidRef.current.scale.set(scale, scale, scale);
     }
@@ -838,71 +1906,436 @@ const AsteroidSimulator = () => {
       fragment.material.dispose();
     });
     fragmentsRef.current = [];
-    
-    if (missileRef.current && sceneRef.current) {
-      sceneRef.current.remove(missileRef.current);
-      missileRef.current = null;
-    }
-    if (missileTrajectoryRef.current && sceneRef.current) {
-      sceneRef.current.remove(missileTrajectoryRef.current);
-      missileTrajectoryRef.current = null;
-    }
+    removeCrater();
     
     impactZonesRef.current.forEach(zone => {
       zone.material.opacity = 0;
     });
     
+    tsunamiRef.current = null;
+    wavefrontsRef.current.forEach(wavefront => {
+      wavefront.visible = false;
+    });
+    
     if (missTrajectoryRef.current) {
       missTrajectoryRef.current.visible = false;
     }
-    
+  };
+  
+  const handleReset = () => {
+    setIsPlaying(false);
+    clearOutcome();
+    removeMissile();
+    if (clockRef.current) clockRef.current.seek(clockRef.current.start);
+    showSimulationTime();
     updateTrajectory();
   };
   
-  const loadScenario = (key) => {
-    const scenario = HISTORICAL_SCENARIOS[key];
+  const scrubTimeline = (fraction) => {
+    const clock = clockRef.current;
+    if (!clock) return;
+    if (arrivedRef.current.size) clearOutcome();
+    clock.seekProgress(fraction);
+    if (approachProgress(clock.time) < DEFLECTION_LAUNCH_PROGRESS) removeMissile();
+    updateInterceptFlash(approachProgress(clock.time));
+    showSimulationTime();
+  };
+  
+  // Flying a transfer intercepts at its arrival, which sets the lead time; a
+  // kinetic impactor also hits at the transfer's arrival speed.
+  const applyTransfer = (transfer) => {
+    setMissionPlan({ launch: impactJulianDate - transfer.launch, arrival: impactJulianDate - transfer.arrival });
+    setDeflectionLeadTime(Number(((impactJulianDate - transfer.arrival) / DAYS_PER_YEAR).toFixed(2)));
+    if (deflectionMethod === 'kinetic') {
+      const { min, max, step } = DEFLECTION_METHODS.kinetic.parameters.find(({ key }) => key === 'impactSpeed');
+      const impactSpeed = Math.min(max, Math.max(min, Math.round(transfer.arrivalSpeed / step) * step));
+      setDeflectionParams((current) => ({ ...current, kinetic: { ...current.kinetic, impactSpeed } }));
+    }
+  };
+  
+  const loadTradeStudyCell = ({ method, leadTime }) => {
+    setDeflectionMethod(method);
+    setDeflectionLeadTime(leadTime);
+    setMissionPlan(null);
+    handleReset();
+  };
+  
+  // Calendar dates when the impact date is known, otherwise days before impact.
+  const formatMissionDate = (jd) => (neoEncounter
+    ? new Date((jd - 2440587.5) * 86400000).toISOString().split('T')[0]
+    : `I−${Math.round(impactJulianDate - jd)} d`);
+  
+  const primaryBody = () => ({
+    name: selectedAsteroidName,
+    size: asteroidSize,
+    velocity,
+    composition,
+    impactParameter,
+    heading: approachHeading,
+    site: impactSite,
+    delay: 0
+  });
+  
+  const addCompanion = () => {
+    setCompanions([...companions, {
+      ...primaryBody(),
+      name: `Body ${companions.length + 2}`,
+      delay: COMPANION_DELAY_SECONDS * (companions.length + 1)
+    }]);
+  };
+  
+  const addBinarySecondary = () => {
+    setCompanions([...companions, binaryCompanion(primaryBody(), {
+      size: Math.max(1, Math.round(asteroidSize * BINARY_SECONDARY.sizeRatio)),
+      separation: BINARY_SECONDARY.separation
+    })]);
+  };
+  
+  // The primary becomes the first fragment and the rest replace any other bodies.
+  const splitIntoFragmentTrain = () => {
+    const [first, ...rest] = fragmentTrain(primaryBody(), FRAGMENT_TRAIN);
+    setAsteroidSize(first.size);
+    setCompanions(rest);
+  };
+  
+  const updateCompanion = (index, { key, min, max, site }, value) => {
+    if (!Number.isFinite(value)) return;
+    const clamped = Math.min(Math.max(value, min), max);
+    setCompanions(companions.map((body, i) => {
+      if (i !== index) return body;
+      return site ? { ...body, site: { ...body.site, [key]: clamped } } : { ...body, [key]: clamped };
+    }));
+  };
+  
+  const loadScenario = (scenario) => {
     setAsteroidSize(scenario.size);
-    setVelocity(scenario.velocity);
+    const vInfinity = vInfinityFromEntrySpeed(scenario.velocity);
+    setVelocity(Number(vInfinity.toFixed(1)));
     setComposition(scenario.composition);
-    setImpactAngle(scenario.angle);
+    setImpactParameter(Number((impactParameterForEntryAngle(vInfinity, scenario.angle) / captureRadius(vInfinity)).toFixed(2)));
+    if (scenario.site) setImpactSite(scenario.site);
+    setCompanions([]);
+    setMissionPlan(null);
     setSelectedAsteroidName(scenario.name);
+    setNeoEncounter(null);
     handleReset();
   };
 
-  const loadNASAAsteroid = (asteroid) => {
-    setAsteroidSize(asteroid.size);
-    setVelocity(asteroid.velocity);
-    setComposition(asteroid.composition);
-    setImpactAngle(asteroid.angle);
-    setSelectedAsteroidName(asteroid.name);
-    handleReset();
+  const runUncertainty = async () => {
+    setMonteCarloError(null);
+    setMonteCarloProgress(0);
+    try {
+      const result = await runMonteCarloInBatches({
+        samples: uncertaintySamples,
+        ...uncertaintyRanges,
+        strength: COMPOSITIONS[composition].strength,
+        bPlaneSigma,
+        deflection: { method: deflectionMethod, params: deflectionParams[deflectionMethod], leadTime: deflectionLeadTime },
+        site: impactSite,
+        heading: approachHeading,
+        target: impactSurface === 'ocean' ? 'water' : 'sedimentary'
+      }, { onProgress: setMonteCarloProgress });
+      if (!mountedRef.current) return;
+      setMonteCarlo(result);
+    } catch (error) {
+      if (!mountedRef.current) return;
+      setMonteCarloError(error.message);
+    } finally {
+      if (mountedRef.current) setMonteCarloProgress(null);
+    }
   };
   
-  useEffect(() => {
-    const method = DEFLECTION_METHODS[deflectionMethod];
-    if (method && deflectionLeadTime >= method.minLeadTime) {
-      const angle = method.effectiveness * deflectionLeadTime * 10;
-      setDeflectionAngle(Math.min(angle, 45));
-    } else {
-      setDeflectionAngle(0);
+  // Inputs that are not swept stay at the current scenario's values.
+  const runParameterSweep = async () => {
+    setSweepError(null);
+    setSweepProgress(0);
+    try {
+      const grid = await runSweepInBatches({
+        base: {
+          diameter: asteroidSize,
+          density: COMPOSITIONS[composition].density,
+          velocity,
+          angle: nominalApproach.entryAngle,
+          leadTime: deflectionLeadTime,
+          strength: COMPOSITIONS[composition].strength,
+          target: impactSurface === 'ocean' ? 'water' : 'sedimentary',
+          method: deflectionMethod,
+          params: deflectionParams[deflectionMethod]
+        },
+        ...sweepAxes
+      }, { onProgress: setSweepProgress });
+      if (!mountedRef.current) return;
+      setSweepGrid(grid);
+    } catch (error) {
+      if (!mountedRef.current) return;
+      setSweepError(error.message);
     }
-  }, [deflectionMethod, deflectionLeadTime]);
+    setSweepProgress(null);
+  };
+  
+  const setSweepAxis = (axis, key) => setSweepAxes({ ...sweepAxes, [axis]: key ? { key, ...SWEEP_RANGES[key] } : null });
+  
+  const exportSweep = () => {
+    downloadFile(`${fileSlug(selectedAsteroidName)}-sweep.csv`, sweepToCsv(sweepGrid), 'text/csv');
+  };
   
   useEffect(() => {
-    if (isPlaying) {
-      animateAsteroid();
-      if (deflectionMethod !== 'none' && !missileDeployed && deflectionLeadTime >= DEFLECTION_METHODS[deflectionMethod].minLeadTime) {
-        setTimeout(() => {
-          launchMissile();
-        }, 2000 / timeScale);
+    if (!sceneRef.current) return;
+    if (corridorRef.current) {
+      sceneRef.current.remove(corridorRef.current);
+      corridorRef.current.geometry.dispose();
+      corridorRef.current.material.dispose();
+      corridorRef.current = null;
+    }
+    if (!monteCarlo || !monteCarlo.impactPoints.length) return;
+    
+    const points = monteCarlo.impactPoints.map(({ lat, lon }) => {
+      const p = latLonToVector(lat, lon, EARTH_RADIUS * 1.003);
+      return new THREE.Vector3(p.x, p.y, p.z);
+    });
+    const corridor = new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.PointsMaterial({ color: 0xff3366, size: 40, transparent: true, opacity: 0.6 })
+    );
+    sceneRef.current.add(corridor);
+    corridorRef.current = corridor;
+  }, [monteCarlo]);
+  
+  const currentScenario = () => ({ ...scenarioState, camera: { ...controlsRef.current } });
+  
+  const applyScenario = (scenario) => {
+    setSelectedAsteroidName(scenario.name);
+    setAsteroidSize(scenario.asteroid.size);
+    setVelocity(scenario.asteroid.velocity);
+    setComposition(scenario.asteroid.composition);
+    setImpactParameter(scenario.approach.impactParameter);
+    setApproachHeading(scenario.approach.heading);
+    setImpactSite(scenario.approach.site);
+    setDeflectionMethod(scenario.deflection.method);
+    setDeflectionLeadTime(scenario.deflection.leadTime);
+    setDeflectionParams(scenario.deflection.params);
+    setMissionPlan(scenario.deflection.mission);
+    if (scenario.deflection.mission) {
+      setMissionWindow(Math.max(MISSION_WINDOW_YEARS, Math.ceil(scenario.deflection.mission.launch / DAYS_PER_YEAR)));
+    }
+    setUncertaintyRanges(scenario.uncertainty?.ranges ?? uncertaintyRangesFor({
+      diameter: scenario.asteroid.size,
+      density: COMPOSITIONS[scenario.asteroid.composition].density,
+      velocity: scenario.asteroid.velocity,
+      entryAngle: 45
+    }));
+    setUncertaintySamples(scenario.uncertainty?.samples ?? DEFAULT_SAMPLE_COUNT);
+    setBPlaneSigma(scenario.uncertainty?.bPlaneSigma ?? 0);
+    setMonteCarlo(null);
+    setCompanions(scenario.companions);
+    setTimeScale(scenario.timeScale);
+    updateCamera(scenario.camera);
+    setNeoEncounter(null);
+    handleReset();
+  };
+  
+  const saveScenarioFile = () => {
+    downloadFile(`${fileSlug(selectedAsteroidName)}.json`, scenarioToJson(currentScenario()), 'application/json');
+  };
+  
+  // The renderer does not keep its drawing buffer, so draw a frame right before reading it.
+  const captureSnapshot = () => {
+    const renderer = rendererRef.current;
+    if (!renderer || !sceneRef.current || !cameraRef.current) return null;
+    renderer.render(sceneRef.current, cameraRef.current);
+    const canvas = renderer.domElement;
+    const base64 = canvas.toDataURL('image/jpeg', 0.85).split(',')[1];
+    return { data: Uint8Array.from(atob(base64), (char) => char.charCodeAt(0)), width: canvas.width, height: canvas.height };
+  };
+  
+  // Pins keep the scenario and a report of its results as they were when pinned.
+  const pinScenario = () => {
+    const scenario = currentScenario();
+    const report = buildReport({
+      scenario,
+      effects: impactData || calculateImpactEffects,
+      deflection,
+      hazard: hazardRating,
+      entryAngle: nominalApproach.entryAngle,
+      surface: impactSurface
+    });
+    const label = `${selectedAsteroidName} · ${COMPOSITIONS[composition].name} · ${DEFLECTION_METHODS[deflectionMethod].name}`;
+    setPinnedScenarios((current) => [...current, { id: Date.now(), label, scenario, site: impactSite, report }].slice(-MAX_COMPARED_REPORTS));
+  };
+  
+  const unpinScenario = (id) => {
+    const remaining = pinnedScenarios.filter((pinned) => pinned.id !== id);
+    setPinnedScenarios(remaining);
+    if (remaining.length < 2) setShowComparison(false);
+  };
+  
+  const exportReport = (format) => {
+    const { type, render } = REPORT_FORMATS[format];
+    const report = buildReport({
+      scenario: currentScenario(),
+      effects: impactData || calculateImpactEffects,
+      deflection,
+      hazard: hazardRating,
+      entryAngle: nominalApproach.entryAngle,
+      surface: impactSurface,
+      snapshot: format === 'pdf' ? captureSnapshot() : null
+    });
+    downloadFile(`impact-report-${fileSlug(selectedAsteroidName)}.${format}`, render(report), type);
+  };
+  
+  const loadScenarioFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const scenario = scenarioFromJson(await file.text());
+      if (!mountedRef.current) return;
+      applyScenario(scenario);
+      setScenarioMessage({ error: false, text: `Loaded ${file.name}` });
+    } catch (error) {
+      console.error('Failed to load scenario:', error);
+      if (mountedRef.current) setScenarioMessage({ error: true, text: `${file.name}: ${error.message}` });
+    }
+  };
+  
+  const copyScenarioLink = async () => {
+    const url = scenarioUrl(currentScenario());
+    window.history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setScenarioMessage({ error: false, text: 'Link copied to the clipboard' });
+    } catch {
+      setScenarioMessage({ error: false, text: 'Copy the link from the address bar' });
+    }
+  };
+  
+  // Offline capture: the scene is advanced by exactly 1/fps per frame and
+  // rendered at a fixed size, so the output does not depend on machine speed.
+  const recordRun = async () => {
+    const renderer = rendererRef.current;
+    const camera = cameraRef.current;
+    const animator = sceneAnimatorRef.current;
+    if (!renderer || !camera || !animator || recordingRef.current) return;
+    const { width, height, fps, format } = recordingSettings;
+    const yieldToBrowser = () => new Promise((resolve) => setTimeout(resolve, 0));
+    
+    setRecordingError(null);
+    setRecordingProgress(0);
+    recordingRef.current = true;
+    const pixelRatio = renderer.getPixelRatio();
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    
+    try {
+      handleReset();
+      animator.restart();
+      setIsPlaying(true);
+      while (!isAnimatingRef.current) await yieldToBrowser();
+      
+      const sink = createFrameSink(format, { width, height, fps });
+      let aftermath = Math.round(RECORDING_AFTERMATH_SECONDS * fps);
+      while (aftermath > 0 && mountedRef.current) {
+        animator.advance(1 / fps);
+        renderer.render(sceneRef.current, camera);
+        await sink.add(renderer.domElement);
+        if (clockRef.current.finished) aftermath--;
+        setRecordingProgress(clockRef.current.progress);
+        await yieldToBrowser();
       }
-    } else {
-      if (animationFrameRef.current) {
-        clearTimeout(animationFrameRef.current);
+      
+      setRecordingProgress(1);
+      const { extension, type } = RECORDING_FORMATS[format];
+      downloadFile(`${fileSlug(selectedAsteroidName)}-replay.${extension}`, await sink.finish(), type);
+    } catch (error) {
+      console.error('Recording failed:', error);
+      if (mountedRef.current) setRecordingError(`Recording failed: ${error.message}`);
+    } finally {
+      recordingRef.current = false;
+      renderer.setPixelRatio(pixelRatio);
+      if (containerRef.current) {
+        renderer.setSize(containerRef.current.clientWidth, containerRef.current.clientHeight);
+        camera.aspect = containerRef.current.clientWidth / containerRef.current.clientHeight;
+        camera.updateProjectionMatrix();
       }
-      isAnimatingRef.current = false;
+      if (mountedRef.current) setRecordingProgress(null);
     }
-  }, [isPlaying, timeScale]);
+  };
+  
+  const importOrbits = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    setImportError(null);
+    try {
+      const scenarios = importOrbitFile(await file.text());
+      if (!mountedRef.current) return;
+      setImportedScenarios((current) => [
+        ...scenarios,
+        ...current.filter((existing) => !scenarios.some((scenario) => scenario.id === existing.id))
+      ]);
+    } catch (error) {
+      console.error('Failed to import orbit file:', error);
+      if (mountedRef.current) setImportError(`${file.name}: ${error.message}`);
+    }
+  };
+
+  const loadNASAAsteroid = async (asteroid) => {
+    setNeoLookupError(null);
+    let detail = null;
+    try {
+      detail = await neoClient.lookup(asteroid.id, { approachDate: asteroid.approachDate });
+    } catch (error) {
+      console.error('Failed to look up NEO:', error);
+      setNeoLookupError(`Using feed values only: ${describeNeoError(error)}`);
+    }
+    if (!mountedRef.current) return;
+    
+    const closeApproach = detail?.closeApproach || {
+      date: asteroid.approachDate,
+      time: Date.parse(`${asteroid.approachDate}T00:00:00Z`),
+      velocity: asteroid.velocity,
+      missDistance: asteroid.missDistance
+    };
+    const vInfinity = Number(vInfinityFromSpeedAt(closeApproach.velocity, closeApproach.missDistance).toFixed(1));
+    const geometry = detail?.orbit ? approachGeometry(detail.orbit, closeApproach.time) : null;
+    const entry = geometry ? radiantEntry(geometry.subRadiant, impactSite) : null;
+    const entryAngle = entry ? entry.entryAngle : 45;
+    const sizeMin = detail?.sizeMin ?? asteroid.sizeMin;
+    const sizeMax = detail?.sizeMax ?? asteroid.sizeMax;
+    
+    setAsteroidSize(detail?.size ?? asteroid.size);
+    setVelocity(vInfinity);
+    setComposition(NEO_COMPOSITION);
+    setImpactParameter(Number((impactParameterForEntryAngle(vInfinity, entryAngle) / captureRadius(vInfinity)).toFixed(2)));
+    if (entry) {
+      setApproachHeading(Math.round(entry.heading) % 360);
+      setImpactSite({ lat: Number(entry.site.lat.toFixed(2)), lon: Number(entry.site.lon.toFixed(2)) });
+    }
+    setUncertaintyRanges((current) => ({ ...current, diameter: { min: sizeMin, max: sizeMax } }));
+    setNeoEncounter({
+      date: closeApproach.date,
+      time: closeApproach.time,
+      orbit: detail?.orbit || null,
+      missDistance: closeApproach.missDistance,
+      sizeMin,
+      sizeMax,
+      orbitClass: detail?.orbit?.orbitClass || null,
+      radiant: geometry && { rightAscension: geometry.rightAscension, declination: geometry.declination },
+      siteMoved: Boolean(entry?.moved)
+    });
+    setCompanions([]);
+    setMissionPlan(null);
+    setSelectedAsteroidName(asteroid.name);
+    handleReset();
+  };
+  
+  useEffect(() => {
+    isAnimatingRef.current = isPlaying;
+  }, [isPlaying]);
+  
+  const timelineProgress = Math.min(Math.max((simTime - runSpan.start) / (runSpan.end - runSpan.start), 0), 1);
   
   const threatColors = {
     LOW: 'bg-green-600',
@@ -925,6 +2358,7 @@ const AsteroidSimulator = () => {
             <div className={`px-3 py-1 rounded-full text-xs font-bold ${threatColors[threatLevel]}`}>
               THREAT: {threatLevel}
             </div>
+            <HazardRating rating={hazardRating} />
           </div>
           <button onClick={() => setShowInfo(!showInfo)} className="p-2 hover:bg-gray-700 rounded-lg">
             <Info size={20} />
@@ -946,15 +2380,16 @@ const AsteroidSimulator = () => {
             <div>
               <h3 className="font-bold mb-2">Controls</h3>
               <ul className="space-y-1 text-xs">
-                <li>Mouse Drag: Rotate camera</li>
-                <li>Mouse Wheel: Zoom in/out</li>
-                <li>Impact Angle: Changes trajectory target</li>
+                <li>Mouse Drag: Rotate camera (free orbit)</li>
+                <li>Mouse Wheel: Zoom, or chase distance</li>
+                <li>Click Earth: Choose impact site</li>
               </ul>
             </div>
             <div>
               <h3 className="font-bold mb-2">Features</h3>
               <ul className="space-y-1 text-xs">
                 <li>Realistic Earth scale (12,742km diameter)</li>
+                <li>Natural Earth coastlines and borders (offline)</li>
                 <li>Dynamic impact point selection</li>
                 <li>Deflection missiles with visual effects</li>
                 <li>Real NASA asteroid data integration</li>
@@ -968,6 +2403,10 @@ const AsteroidSimulator = () => {
         <div className="flex-1 relative bg-black">
           <div ref={containerRef} className="w-full h-full" />
           
+          {showComparison && pinnedScenarios.length >= 2 && (
+            <ScenarioComparison pinned={pinnedScenarios} onClose={() => setShowComparison(false)} />
+          )}
+          
           <div className="absolute top-4 right-4 space-y-2">
             <div className="bg-gray-900 bg-opacity-90 backdrop-blur-sm p-3 rounded-lg border border-gray-700 text-xs">
               <div className="flex items-center gap-2 mb-2 font-bold text-blue-400">
@@ -983,16 +2422,36 @@ const AsteroidSimulator = () => {
                 </div>
                 <div className="flex justify-between gap-4">
                   <span className="text-gray-400">Mass:</span>
-                  <span className="font-mono">{calculateImpactEffects.mass} GT</span>
+                  <span className="font-mono">{(calculateImpactEffects.mass / 1e12).toFixed(2)} GT</span>
                 </div>
                 <div className="flex justify-between gap-4">
                   <span className="text-gray-400">Energy:</span>
-                  <span className="font-mono">{calculateImpactEffects.energy} MT</span>
+                  <span className="font-mono">{calculateImpactEffects.energy.toFixed(2)} MT</span>
                 </div>
                 <div className="flex justify-between gap-4">
-                  <span className="text-gray-400">Velocity:</span>
+                  <span className="text-gray-400">V∞:</span>
                   <span className="font-mono">{velocity} km/s</span>
                 </div>
+                <div className="flex justify-between gap-4">
+                  <span className="text-gray-400">Entry:</span>
+                  <span className="font-mono">{nominalApproach.entrySpeed.toFixed(1)} km/s @ {nominalApproach.entryAngle.toFixed(0)}°</span>
+                </div>
+                {neoEncounter && (
+                  <>
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-400">Ø range:</span>
+                      <span className="font-mono">{neoEncounter.sizeMin}–{neoEncounter.sizeMax} m</span>
+                    </div>
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-400">Close approach:</span>
+                      <span className="font-mono">{neoEncounter.date}</span>
+                    </div>
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-400">Miss distance:</span>
+                      <span className="font-mono">{(neoEncounter.missDistance / EARTH_RADIUS_KM).toFixed(2)} R⊕</span>
+                    </div>
+                  </>
+                )}
                 <div className="flex justify-between gap-4">
                   <span className="text-gray-400">Size Ratio:</span>
                   <span className="font-mono">1:{((EARTH_RADIUS * 2) / asteroidSize).toFixed(0)}</span>
@@ -1002,15 +2461,21 @@ const AsteroidSimulator = () => {
           </div>
           
           <div className="absolute bottom-4 left-4 right-4 bg-gray-900 bg-opacity-90 backdrop-blur-sm p-3 rounded-lg border border-gray-700">
-            <div className="flex items-center gap-3 mb-2">
-              <span className="text-sm font-medium">Progress:</span>
-              <div className="flex-1 bg-gray-700 rounded-full h-3">
-                <div 
-                  className="bg-gradient-to-r from-orange-500 via-red-500 to-purple-500 h-3 rounded-full transition-all duration-300"
-                  style={{ width: `${progress}%` }}
-                />
-              </div>
-              <span className="text-sm font-mono">{progress.toFixed(0)}%</span>
+            <div className="flex items-center gap-3">
+              <span className="text-sm font-medium">Timeline:</span>
+              <input
+                type="range"
+                min="0"
+                max="1000"
+                step="1"
+                value={Math.round(timelineProgress * 1000)}
+                onChange={(e) => scrubTimeline(Number(e.target.value) / 1000)}
+                aria-label="Simulation time"
+                className="flex-1 accent-orange-500"
+              />
+              <span className="text-sm font-mono w-24 text-right" title={approach.hit ? 'Time to impact' : 'Time to closest approach'}>
+                {formatTimeToImpact(simTime)}
+              </span>
             </div>
           </div>
           
@@ -1018,26 +2483,76 @@ const AsteroidSimulator = () => {
             <div className="absolute top-4 left-4 bg-red-900 bg-opacity-95 p-4 rounded-lg border-2 border-red-500 max-w-md">
               <h3 className="text-xl font-bold mb-3 flex items-center gap-2">
                 <AlertTriangle className="text-yellow-400" />
-                IMPACT DETECTED
+                {impactData.airburst ? 'AIRBURST DETECTED' : 'IMPACT DETECTED'}
               </h3>
-              <div className="grid grid-cols-2 gap-3 text-sm mb-3">
-                <div className="bg-red-950 p-2 rounded">
-                  <div className="text-gray-400 text-xs">Energy</div>
-                  <div className="font-bold">{impactData.energy} MT</div>
-                </div>
-                <div className="bg-red-950 p-2 rounded">
-                  <div className="text-gray-400 text-xs">Magnitude</div>
-                  <div className="font-bold">{impactData.magnitude}</div>
+              {impactData.airburst ? (
+                <div className="grid grid-cols-2 gap-3 text-sm mb-3">
+                  <div className="bg-red-950 p-2 rounded">
+                    <div className="text-gray-400 text-xs">Burst Energy</div>
+                    <div className="font-bold">{impactData.airburstEnergy.toFixed(2)} MT</div>
+                  </div>
+                  <div className="bg-red-950 p-2 rounded">
+                    <div className="text-gray-400 text-xs">Burst Altitude</div>
+                    <div className="font-bold">{impactData.airburstAltitude.toFixed(1)} km</div>
+                  </div>
+                  <div className="bg-red-950 p-2 rounded">
+                    <div className="text-gray-400 text-xs">Blast Radius</div>
+                    <div className="font-bold">{impactData.airblastRadius.toFixed(1)} km</div>
+                  </div>
+                  <div className="bg-red-950 p-2 rounded">
+                    <div className="text-gray-400 text-xs">At Risk</div>
+                    <div className="font-bold">{impactData.populationAtRisk.toLocaleString()}</div>
+                  </div>
                 </div>
-                <div className="bg-red-950 p-2 rounded">
-                  <div className="text-gray-400 text-xs">Crater</div>
-                  <div className="font-bold">{impactData.craterDiameter} km</div>
+              ) : (
+                <div className="grid grid-cols-2 gap-3 text-sm mb-3">
+                  <div className="bg-red-950 p-2 rounded">
+                    <div className="text-gray-400 text-xs">Energy</div>
+                    <div className="font-bold">{impactData.groundEnergy.toFixed(2)} MT</div>
+                  </div>
+                  <div className="bg-red-950 p-2 rounded">
+                    <div className="text-gray-400 text-xs">Magnitude</div>
+                    <div className="font-bold">{impactData.magnitude.toFixed(1)}</div>
+                  </div>
+                  <div className="bg-red-950 p-2 rounded">
+                    <div className="text-gray-400 text-xs">Crater</div>
+                    <div className="font-bold">{impactData.craterDiameter.toFixed(2)} km</div>
+                  </div>
+                  <div className="bg-red-950 p-2 rounded">
+                    <div className="text-gray-400 text-xs">At Risk</div>
+                    <div className="font-bold">{impactData.populationAtRisk.toLocaleString()}</div>
+                  </div>
                 </div>
-                <div className="bg-red-950 p-2 rounded">
-                  <div className="text-gray-400 text-xs">At Risk</div>
-                  <div className="font-bold">{impactData.populationAtRisk}</div>
+              )}
+              <p className="text-sm mb-2">
+                Estimated fatalities: <span className="font-bold">{impactData.casualties.toLocaleString()}</span>
+              </p>
+              {impactData.tsunami && (
+                <div className="bg-blue-950 p-2 rounded text-xs mb-2">
+                  <div className="font-bold text-blue-300 mb-1">
+                    TSUNAMI - {impactData.tsunami.rimWaveAmplitude.toFixed(0)} m rim wave
+                    {impactData.tsunami.reachesSeafloor ? ', seafloor cratered' : ''}
+                  </div>
+                  {impactData.tsunami.coasts.slice(0, 3).map(coast => (
+                    <div key={coast.name} className="flex justify-between gap-2">
+                      <span className="truncate">{coast.name} ({coast.distance.toFixed(0)} km)</span>
+                      <span className="font-mono">
+                        {coast.runUp.toFixed(1)} m run-up, {coast.arrivalTime.toFixed(1)} h
+                      </span>
+                    </div>
+                  ))}
                 </div>
-              </div>
+              )}
+              {impactData.breakupAltitude !== null && (
+                <p className="text-xs text-gray-300">
+                  Broke up at {impactData.breakupAltitude.toFixed(1)} km
+                  {impactData.airburst
+                    ? ` - ${impactData.groundMass > 0 ? `${(impactData.groundMass / 1000).toFixed(0)} t of fragments reached the ground` : 'fully ablated'}`
+                    : ` - struck at ${impactData.impactVelocity.toFixed(1)} km/s`}
+                </p>
+              )}
+              {combinedImpacts && <CombinedImpacts summary={combinedImpacts} />}
+              <ReportExport onExport={exportReport} />
             </div>
           )}
           
@@ -1047,14 +2562,20 @@ const AsteroidSimulator = () => {
                 <Shield className="text-green-400" />
                 ASTEROID MISSED EARTH
               </h3>
-              <p className="text-sm">The asteroid has passed Earth safely. Deflection successful!</p>
+              <p className="text-sm">
+                {deflection.deployed && deflection.miss
+                  ? 'The asteroid has passed Earth safely. Deflection successful!'
+                  : 'The asteroid has passed Earth safely on its natural trajectory.'}
+              </p>
+              {combinedImpacts && <CombinedImpacts summary={combinedImpacts} />}
+              <ReportExport onExport={exportReport} />
             </div>
           )}
         </div>
         
         <div className="w-96 bg-gray-800 border-l border-gray-700 flex flex-col">
           <div className="flex border-b border-gray-700">
-            {['parameters', 'defense', 'scenarios'].map(tab => (
+            {['parameters', 'defense', 'uncertainty', 'sweep', 'scenarios'].map(tab => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -1073,7 +2594,7 @@ const AsteroidSimulator = () => {
                 <div className="flex gap-2">
                   <button
                     onClick={() => setIsPlaying(!isPlaying)}
-                    disabled={hasImpacted || hasMissed}
+                    disabled={((hasImpacted || hasMissed) && timelineProgress >= 1) || recordingProgress !== null}
                     className="flex-1 bg-orange-600 hover:bg-orange-700 disabled:bg-gray-600 p-3 rounded-lg font-medium flex items-center justify-center gap-2"
                   >
                     {isPlaying ? <Pause size={20} /> : <Play size={20} />}
@@ -1095,11 +2616,115 @@ const AsteroidSimulator = () => {
                     step="0.5"
                     value={timeScale}
                     onChange={(e) => setTimeScale(Number(e.target.value))}
-                    disabled={isPlaying}
                     className="w-full"
                   />
                 </div>
                 
+                <div className="p-3 bg-gray-900 rounded-lg border border-gray-700 space-y-2">
+                  <div className="text-sm font-medium">Camera</div>
+                  <div className="grid grid-cols-2 gap-2 text-xs">
+                    {Object.entries(CAMERA_MODES).map(([mode, { label, description }]) => (
+                      <button
+                        key={mode}
+                        onClick={() => updateCamera({ mode })}
+                        title={description}
+                        className={`p-2 rounded border ${
+                          cameraMode === mode ? 'border-green-500 bg-green-900' : 'border-gray-600 bg-gray-700 hover:bg-gray-600'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="flex items-center gap-2 text-xs">
+                    <input
+                      type="checkbox"
+                      checked={autoRotate}
+                      onChange={(e) => updateCamera({ autoRotate: e.target.checked })}
+                      disabled={cameraMode !== 'orbit'}
+                    />
+                    Auto-rotate
+                  </label>
+                  <div className="flex gap-2 text-xs">
+                    <input
+                      value={cameraPresetName}
+                      onChange={(e) => setCameraPresetName(e.target.value)}
+                      placeholder="Preset name"
+                      aria-label="Camera preset name"
+                      className="flex-1 min-w-0 p-1 rounded bg-gray-700"
+                    />
+                    <button onClick={saveCameraPreset} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600">
+                      Save view
+                    </button>
+                  </div>
+                  {cameraPresets.map(({ name, camera }) => (
+                    <div key={name} className="flex gap-2 text-xs">
+                      <button
+                        onClick={() => updateCamera(camera)}
+                        title={CAMERA_MODES[camera.mode].label}
+                        className="flex-1 truncate text-left px-2 py-1 rounded bg-gray-800 hover:bg-gray-700"
+                      >
+                        {name}
+                      </button>
+                      <button
+                        onClick={() => setCameraPresets(cameraPresetStore.remove(name))}
+                        aria-label={`Delete camera preset ${name}`}
+                        className="px-2 py-1 rounded bg-gray-800 hover:bg-red-800"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                
+                <div className="p-3 bg-gray-900 rounded-lg border border-gray-700 space-y-2">
+                  <div className="text-sm font-medium">Record run</div>
+                  <div className="grid grid-cols-3 gap-2 text-xs">
+                    <select
+                      value={`${recordingSettings.width}x${recordingSettings.height}`}
+                      onChange={(e) => {
+                        const [width, height] = e.target.value.split('x').map(Number);
+                        setRecordingSettings({ ...recordingSettings, width, height });
+                      }}
+                      disabled={recordingProgress !== null}
+                      aria-label="Recording resolution"
+                      className="p-1 rounded bg-gray-700"
+                    >
+                      {RECORDING_SIZES.map(([width, height]) => (
+                        <option key={width} value={`${width}x${height}`}>{width}×{height}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={recordingSettings.fps}
+                      onChange={(e) => setRecordingSettings({ ...recordingSettings, fps: Number(e.target.value) })}
+                      disabled={recordingProgress !== null}
+                      aria-label="Recording frame rate"
+                      className="p-1 rounded bg-gray-700"
+                    >
+                      {RECORDING_FRAME_RATES.map((fps) => <option key={fps} value={fps}>{fps} fps</option>)}
+                    </select>
+                    <select
+                      value={recordingSettings.format}
+                      onChange={(e) => setRecordingSettings({ ...recordingSettings, format: e.target.value })}
+                      disabled={recordingProgress !== null}
+                      aria-label="Recording format"
+                      className="p-1 rounded bg-gray-700"
+                    >
+                      {Object.entries(RECORDING_FORMATS).map(([format, { label }]) => (
+                        <option key={format} value={format} disabled={!isRecordingFormatSupported(format)}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <button
+                    onClick={recordRun}
+                    disabled={recordingProgress !== null || isPlaying}
+                    className="w-full bg-red-700 hover:bg-red-600 disabled:bg-gray-600 p-2 rounded-lg text-sm"
+                  >
+                    {recordingProgress === null ? 'Record' : `Recording… ${(recordingProgress * 100).toFixed(0)}%`}
+                  </button>
+                  {recordingError && <div className="text-xs text-red-400">{recordingError}</div>}
+                </div>
+                
                 <div>
                   <label className="block text-sm font-medium mb-2">
                     Diameter: {asteroidSize}m
@@ -1124,12 +2749,13 @@ const AsteroidSimulator = () => {
                 
                 <div>
                   <label className="block text-sm font-medium mb-2">
-                    Velocity: {velocity} km/s
+                    V∞ (approach speed): {velocity} km/s
                   </label>
                   <input
                     type="range"
-                    min="11"
+                    min="1"
                     max="72"
+                    step="0.1"
                     value={velocity}
                     onChange={(e) => setVelocity(Number(e.target.value))}
                     disabled={isPlaying}
@@ -1139,19 +2765,65 @@ const AsteroidSimulator = () => {
                 
                 <div>
                   <label className="block text-sm font-medium mb-2">
-                    Impact Angle: {impactAngle}° (Changes trajectory target)
+                    Impact Parameter: {(impactParameter * captureRadius(velocity) / EARTH_RADIUS_KM).toFixed(2)} R⊕ ({(impactParameter * 100).toFixed(0)}% of capture)
                   </label>
                   <input
                     type="range"
-                    min="10"
-                    max="90"
-                    value={impactAngle}
-                    onChange={(e) => setImpactAngle(Number(e.target.value))}
+                    min="0"
+                    max="0.99"
+                    step="0.01"
+                    value={impactParameter}
+                    onChange={(e) => setImpactParameter(Number(e.target.value))}
                     disabled={isPlaying}
                     className="w-full"
                   />
                   <p className="text-xs text-gray-400 mt-1">
-                    Adjust to aim at different points on Earth
+                    Integrated entry: {nominalApproach.entryAngle.toFixed(1)}° from horizontal at {nominalApproach.entrySpeed.toFixed(1)} km/s
+                  </p>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Approach Heading: {approachHeading}°
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="359"
+                    step="1"
+                    value={approachHeading}
+                    onChange={(e) => setApproachHeading(Number(e.target.value))}
+                    disabled={isPlaying}
+                    className="w-full"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Impact Site
+                  </label>
+                  <div className="grid grid-cols-2 gap-2">
+                    <CoordinateInput
+                      label="Latitude"
+                      min={-90}
+                      max={90}
+                      value={impactSite.lat}
+                      normalize={clampLatitude}
+                      onChange={(lat) => setImpactSite((site) => ({ ...site, lat }))}
+                      disabled={isPlaying}
+                    />
+                    <CoordinateInput
+                      label="Longitude"
+                      min={-180}
+                      max={180}
+                      value={impactSite.lon}
+                      normalize={normalizeLongitude}
+                      onChange={(lon) => setImpactSite((site) => ({ ...site, lon }))}
+                      disabled={isPlaying}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-400 mt-1">
+                    Or click the globe to pick a location - {impactSurface === 'land' ? 'Land' : 'Ocean'} target
                   </p>
                 </div>
                 
@@ -1179,6 +2851,89 @@ const AsteroidSimulator = () => {
                     ))}
                   </div>
                 </div>
+                
+                <div className="p-3 bg-gray-900 rounded-lg border border-gray-700 space-y-2">
+                  <div className="text-sm font-medium">Additional bodies</div>
+                  <div className="grid grid-cols-3 gap-2 text-xs">
+                    <button onClick={addCompanion} disabled={isPlaying} className="p-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50">
+                      Add body
+                    </button>
+                    <button
+                      onClick={splitIntoFragmentTrain}
+                      disabled={isPlaying}
+                      title={`Split into ${FRAGMENT_TRAIN.count} fragments arriving ${FRAGMENT_TRAIN.interval / 60} min apart`}
+                      className="p-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      Fragment train
+                    </button>
+                    <button
+                      onClick={addBinarySecondary}
+                      disabled={isPlaying}
+                      title="Add a Dimorphos-like moon"
+                      className="p-2 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      Binary moon
+                    </button>
+                  </div>
+                  {companions.map((body, index) => {
+                    const run = companionRuns[index];
+                    return (
+                      <div key={index} className="p-2 bg-gray-800 rounded space-y-2 text-xs">
+                        <div className="flex gap-2">
+                          <input
+                            value={body.name}
+                            onChange={(e) => setCompanions(companions.map((other, i) => (i === index ? { ...other, name: e.target.value } : other)))}
+                            disabled={isPlaying}
+                            aria-label="Body name"
+                            className="flex-1 min-w-0 p-1 rounded bg-gray-700"
+                          />
+                          <select
+                            value={body.composition}
+                            onChange={(e) => setCompanions(companions.map((other, i) => (i === index ? { ...other, composition: e.target.value } : other)))}
+                            disabled={isPlaying}
+                            aria-label={`${body.name} composition`}
+                            className="p-1 rounded bg-gray-700"
+                          >
+                            {Object.entries(COMPOSITIONS).map(([key, comp]) => <option key={key} value={key}>{comp.name}</option>)}
+                          </select>
+                          <button
+                            onClick={() => setCompanions(companions.filter((_, i) => i !== index))}
+                            disabled={isPlaying}
+                            aria-label={`Remove ${body.name}`}
+                            className="px-2 rounded bg-gray-700 hover:bg-red-800"
+                          >
+                            ×
+                          </button>
+                        </div>
+                        <div className="grid grid-cols-4 gap-1">
+                          {COMPANION_FIELDS.map((field) => (
+                            <label key={field.key} className="text-gray-400">
+                              {field.label}
+                              <input
+                                type="number"
+                                min={field.min}
+                                max={field.max}
+                                step={field.step}
+                                value={field.site ? body.site[field.key] : body[field.key]}
+                                onChange={(e) => updateCompanion(index, field, e.target.valueAsNumber)}
+                                disabled={isPlaying}
+                                className="w-full p-1 rounded bg-gray-700 text-white font-mono"
+                              />
+                            </label>
+                          ))}
+                        </div>
+                        {run && (
+                          <div className="text-gray-400">
+                            {run.effects
+                              ? `${run.effects.energy.toFixed(2)} MT ${run.effects.airburst ? 'airburst' : `impact, ${run.effects.craterDiameter.toFixed(2)} km crater`}, ${run.effects.casualties.toLocaleString()} fatalities`
+                              : `Misses Earth by ${((run.approach.closestApproach - EARTH_RADIUS_KM) / EARTH_RADIUS_KM).toFixed(2)} R⊕`}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                  {combinedImpacts && <CombinedImpacts summary={combinedImpacts} />}
+                </div>
               </div>
             )}
             
@@ -1189,6 +2944,33 @@ const AsteroidSimulator = () => {
                   Planetary Defense
                 </h2>
                 
+                {tradeStudy && (
+                  <div className="p-4 bg-gray-900 rounded-lg border border-gray-700 space-y-3">
+                    <h4 className="font-bold text-sm text-green-400">Trade Study</h4>
+                    <TradeStudyMatrix
+                      study={tradeStudy}
+                      selected={{ method: deflectionMethod, leadTime: deflectionLeadTime }}
+                      disabled={isPlaying}
+                      onSelect={loadTradeStudyCell}
+                    />
+                    <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+                      <span className="flex items-center gap-1">
+                        <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: tradeStudyColor({ miss: true, margin: 10 }) }} />
+                        Miss (brighter is wider)
+                      </span>
+                      {Object.entries(TRADE_STUDY_FAILURES).map(([key, { label, color }]) => (
+                        <span key={key} className="flex items-center gap-1">
+                          <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+                          {label}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      Each method with its current settings against this asteroid. Click a cell to load it.
+                    </p>
+                  </div>
+                )}
+                
                 <div>
                   <label className="block text-sm font-medium mb-3">
                     Deflection Method
@@ -1207,7 +2989,7 @@ const AsteroidSimulator = () => {
                       >
                         <div className="font-medium">{method.name}</div>
                         <div className="text-xs text-gray-400 mt-1">
-                          Effectiveness: {(method.effectiveness * 100).toFixed(0)}% - Min: {method.minLeadTime}y
+                          Min lead time: {method.minLeadTime}y
                         </div>
                       </button>
                     ))}
@@ -1217,14 +2999,18 @@ const AsteroidSimulator = () => {
                 {deflectionMethod !== 'none' && (
                   <div>
                     <label className="block text-sm font-medium mb-2">
-                      Lead Time: {deflectionLeadTime} years
+                      Lead Time: {deflectionLeadTime < 1 ? `${Math.round(deflectionLeadTime * 365.25)} days` : `${deflectionLeadTime} years`}
                     </label>
                     <input
                       type="range"
-                      min="1"
+                      min="0.01"
                       max="30"
+                      step="0.01"
                       value={deflectionLeadTime}
-                      onChange={(e) => setDeflectionLeadTime(Number(e.target.value))}
+                      onChange={(e) => {
+                        setDeflectionLeadTime(Number(e.target.value));
+                        setMissionPlan(null);
+                      }}
                       disabled={isPlaying}
                       className="w-full"
                     />
@@ -1238,20 +3024,143 @@ const AsteroidSimulator = () => {
                   </div>
                 )}
                 
+                {porkchopGrid && (
+                  <div className="p-4 bg-gray-900 rounded-lg border border-gray-700 space-y-3">
+                    <h4 className="font-bold text-sm text-blue-400">Mission Planner</h4>
+                    <div>
+                      <label className="block text-xs mb-1">
+                        Launch window: {missionWindow}–{missionWindow - MISSION_WINDOW_YEARS} years before impact
+                      </label>
+                      <input
+                        type="range"
+                        min={MISSION_WINDOW_YEARS}
+                        max="30"
+                        value={missionWindow}
+                        onChange={(e) => setMissionWindow(Number(e.target.value))}
+                        disabled={isPlaying}
+                        className="w-full"
+                      />
+                    </div>
+                    <PorkchopPlot grid={porkchopGrid} best={bestMission} selected={plannedTransfer} onSelect={applyTransfer} />
+                    <div className="flex justify-between text-xs text-gray-400">
+                      <span>Launch {formatMissionDate(porkchopGrid.launches[0])} →</span>
+                      <span>Arrival ↑ to {formatMissionDate(porkchopGrid.arrivals[porkchopGrid.arrivals.length - 1])}</span>
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      Blue is cheap, red is near the {MAX_LAUNCH_C3} km²/s² launcher limit, grey is beyond it. White marks the best window
+                      {neoEncounter?.orbit ? ` on ${selectedAsteroidName}'s orbit` : ' on an Apollo-type orbit matching this v∞'}.
+                    </p>
+                    {bestMission ? (
+                      <button
+                        onClick={() => applyTransfer(bestMission)}
+                        disabled={isPlaying}
+                        className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded text-xs"
+                      >
+                        Fly best window (C3 {bestMission.c3.toFixed(1)} km²/s²)
+                      </button>
+                    ) : (
+                      <p className="text-xs text-red-400">No transfer in this window is within the launcher's C3.</p>
+                    )}
+                    {plannedTransfer && (
+                      <div className="space-y-1 text-xs">
+                        <div className="flex justify-between">
+                          <span>Launch / arrival:</span>
+                          <span className="font-mono">{formatMissionDate(plannedTransfer.launch)} / {formatMissionDate(plannedTransfer.arrival)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span>Time of flight:</span>
+                          <span className="font-mono">{plannedTransfer.timeOfFlight.toFixed(0)} days</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span>Departure C3:</span>
+                          <span className="font-mono">{plannedTransfer.c3.toFixed(1)} km²/s² (v∞ {Math.sqrt(plannedTransfer.c3).toFixed(2)} km/s)</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span>Arrival relative velocity:</span>
+                          <span className="font-mono">{plannedTransfer.arrivalSpeed.toFixed(2)} km/s</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span>Intercept distance from Earth:</span>
+                          <span className="font-mono">{plannedTransfer.interceptDistance.toFixed(2)} AU</span>
+                        </div>
+                        {plannedTransfer.c3 > MAX_LAUNCH_C3 && (
+                          <div className="text-red-400">⚠ Beyond the launcher's C3 for this body</div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+                
+                {DEFLECTION_METHODS[deflectionMethod].parameters.map((param) => (
+                  <div key={param.key}>
+                    <label className="block text-sm font-medium mb-2">
+                      {param.label}: {deflectionParams[deflectionMethod][param.key]} {param.unit}
+                    </label>
+                    <input
+                      type="range"
+                      min={param.min}
+                      max={param.max}
+                      step={param.step}
+                      value={deflectionParams[deflectionMethod][param.key]}
+                      onChange={(e) => setDeflectionParams((current) => ({
+                        ...current,
+                        [deflectionMethod]: { ...current[deflectionMethod], [param.key]: Number(e.target.value) }
+                      }))}
+                      disabled={isPlaying}
+                      className="w-full"
+                    />
+                  </div>
+                ))}
+                
                 <div className="p-4 bg-gray-900 rounded-lg border border-gray-700">
                   <h4 className="font-bold text-sm mb-2 text-green-400">Mission Status</h4>
                   <div className="space-y-2 text-sm">
                     <div className="flex justify-between">
-                      <span>Deflection:</span>
-                      <span className="font-mono">{deflectionAngle.toFixed(2)}°</span>
+                      <span>Δv:</span>
+                      <span className="font-mono">{(deflection.deltaV * 1000).toFixed(3)} mm/s</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Miss distance:</span>
+                      <span className="font-mono">{deflection.missDistance.toFixed(2)} R⊕</span>
                     </div>
                     <div className="flex justify-between">
                       <span>Required:</span>
-                      <span className="font-mono">0.50°</span>
+                      <span className="font-mono">&gt; {deflection.requiredDistance.toFixed(2)} R⊕</span>
                     </div>
+                    {deflection.disruption && (
+                      <div className="pt-2 border-t border-gray-700 space-y-1 text-xs">
+                        <div className="flex justify-between">
+                          <span>Energy per kg / Q*_D:</span>
+                          <span className="font-mono">
+                            {deflection.disruption.specificEnergy.toExponential(2)} / {deflection.disruption.threshold.toExponential(2)} J/kg
+                          </span>
+                        </div>
+                        {deflection.disruption.disrupted ? (
+                          <>
+                            <div>
+                              Disrupted into {deflection.disruption.fragments.length} tracked fragments and{' '}
+                              {(deflection.disruption.debrisFraction * 100).toFixed(1)}% fine debris. Largest remnant:{' '}
+                              {remnant.diameter.toFixed(0)} m ({(deflection.disruption.largestRemnantFraction * 100).toFixed(1)}% of the mass)
+                            </div>
+                            <div>
+                              Fragments on a collision course: {deflection.disruption.fragments.filter(({ hit }) => hit).length} of{' '}
+                              {deflection.disruption.fragments.length}
+                            </div>
+                            {disruptionOutcome && (
+                              <div className={disruptionOutcome.impacts > 1 ? 'text-red-400' : 'text-green-400'}>
+                                Impacts: {nominalApproach.hit ? 1 : 0} → {disruptionOutcome.impacts}, energy reaching Earth{' '}
+                                {(nominalApproach.hit ? calculateImpactEffects.energy : 0).toFixed(2)} → {disruptionOutcome.energy.toFixed(2)} MT
+                              </div>
+                            )}
+                          </>
+                        ) : (
+                          <div className="text-yellow-400">Below Q*_D: the body stays whole and is only pushed</div>
+                        )}
+                      </div>
+                    )}
                     <div className="pt-2 border-t border-gray-700">
-                      <span className={`font-bold ${deflectionSuccess ? 'text-green-400' : 'text-red-400'}`}>
-                        {deflectionSuccess ? '✓ MISSION VIABLE' : '✗ MISSION FAILURE'}
+                      <span className={`font-bold ${deflection.miss ? 'text-green-400' : 'text-red-400'}`}>
+                        {deflection.miss ? '✓ MISSION VIABLE' : '✗ MISSION FAILURE'}
                       </span>
                     </div>
                   </div>
@@ -1259,6 +3168,230 @@ const AsteroidSimulator = () => {
               </div>
             )}
             
+            {activeTab === 'uncertainty' && (
+              <div className="space-y-6">
+                <h2 className="text-lg font-bold flex items-center gap-2">
+                  <AlertTriangle className="w-5 h-5 text-yellow-400" />
+                  Uncertainty Analysis
+                </h2>
+                
+                <button
+                  onClick={() => setUncertaintyRanges(uncertaintyRangesFor({
+                    diameter: asteroidSize,
+                    density: COMPOSITIONS[composition].density,
+                    velocity,
+                    entryAngle: nominalApproach.entryAngle
+                  }))}
+                  disabled={monteCarloProgress !== null}
+                  className="w-full bg-gray-700 hover:bg-gray-600 disabled:opacity-50 p-2 rounded-lg text-sm"
+                >
+                  Centre ranges on current asteroid
+                </button>
+                
+                {UNCERTAINTY_FIELDS.map(({ key, label, unit }) => (
+                  <div key={key}>
+                    <label className="block text-sm font-medium mb-2">
+                      {label} ({unit})
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                      {['min', 'max'].map((bound) => (
+                        <label key={bound} className="text-xs text-gray-400">
+                          {bound === 'min' ? 'Min' : 'Max'}
+                          <input
+                            type="number"
+                            step="any"
+                            value={uncertaintyRanges[key][bound]}
+                            onChange={(e) => setUncertaintyRanges({
+                              ...uncertaintyRanges,
+                              [key]: { ...uncertaintyRanges[key], [bound]: Number(e.target.value) }
+                            })}
+                            disabled={monteCarloProgress !== null}
+                            className="w-full mt-1 p-2 rounded bg-gray-700 text-white font-mono"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="text-xs text-gray-400">
+                    Samples
+                    <input
+                      type="number"
+                      min="100"
+                      max="20000"
+                      step="100"
+                      value={uncertaintySamples}
+                      onChange={(e) => setUncertaintySamples(Math.max(1, Math.round(Number(e.target.value))))}
+                      disabled={monteCarloProgress !== null}
+                      className="w-full mt-1 p-2 rounded bg-gray-700 text-white font-mono"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-400">
+                    B-plane 1σ (km)
+                    <input
+                      type="number"
+                      min="0"
+                      step="100"
+                      value={bPlaneSigma}
+                      onChange={(e) => setBPlaneSigma(Math.max(0, Number(e.target.value)))}
+                      disabled={monteCarloProgress !== null}
+                      className="w-full mt-1 p-2 rounded bg-gray-700 text-white font-mono"
+                    />
+                  </label>
+                </div>
+                
+                <button
+                  onClick={runUncertainty}
+                  disabled={monteCarloProgress !== null}
+                  className="w-full bg-yellow-600 hover:bg-yellow-700 disabled:bg-gray-600 p-3 rounded-lg font-medium"
+                >
+                  {monteCarloProgress !== null
+                    ? `Running... ${(monteCarloProgress * 100).toFixed(0)}%`
+                    : `Run ${uncertaintySamples.toLocaleString()} samples`}
+                </button>
+                {monteCarloError && <p className="text-xs text-red-400">{monteCarloError}</p>}
+                
+                {monteCarlo && (
+                  <div className="p-4 bg-gray-900 rounded-lg border border-gray-700">
+                    <h4 className="font-bold text-sm mb-2 text-yellow-400">Results</h4>
+                    <div className="space-y-2 text-sm">
+                      <div className="flex justify-between">
+                        <span>Impact probability:</span>
+                        <span className="font-mono">{(monteCarlo.impactProbability * 100).toFixed(1)}%</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Airbursts (of hits):</span>
+                        <span className="font-mono">{(monteCarlo.airburstFraction * 100).toFixed(1)}%</span>
+                      </div>
+                      {monteCarlo.energy && (
+                        <>
+                          <div className="grid grid-cols-4 gap-1 pt-2 border-t border-gray-700 text-xs text-gray-400">
+                            <span></span><span>P5</span><span>P50</span><span>P95</span>
+                          </div>
+                          <div className="grid grid-cols-4 gap-1 text-xs font-mono">
+                            <span className="text-gray-400 font-sans">Energy (Mt)</span>
+                            <span>{monteCarlo.energy.p5.toPrecision(3)}</span>
+                            <span>{monteCarlo.energy.p50.toPrecision(3)}</span>
+                            <span>{monteCarlo.energy.p95.toPrecision(3)}</span>
+                          </div>
+                          <div className="grid grid-cols-4 gap-1 text-xs font-mono">
+                            <span className="text-gray-400 font-sans">Crater (km)</span>
+                            <span>{monteCarlo.craterDiameter.p5.toFixed(2)}</span>
+                            <span>{monteCarlo.craterDiameter.p50.toFixed(2)}</span>
+                            <span>{monteCarlo.craterDiameter.p95.toFixed(2)}</span>
+                          </div>
+                        </>
+                      )}
+                      <p className="text-xs text-gray-400 pt-2 border-t border-gray-700">
+                        {monteCarlo.hits.toLocaleString()} of {monteCarlo.samples.toLocaleString()} samples hit; impact points are drawn on the globe as the risk corridor.
+                      </p>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+            
+            {activeTab === 'sweep' && (
+              <div className="space-y-6">
+                <h2 className="text-lg font-bold flex items-center gap-2">
+                  <Activity className="w-5 h-5 text-cyan-400" />
+                  Parameter Sweep
+                </h2>
+                
+                {[['x', 'Sweep'], ['y', 'Against']].map(([axis, title]) => (
+                  <div key={axis}>
+                    <label className="block text-sm font-medium mb-2">
+                      {title}
+                      <select
+                        value={sweepAxes[axis]?.key ?? ''}
+                        onChange={(e) => setSweepAxis(axis, e.target.value)}
+                        disabled={sweepProgress !== null}
+                        className="w-full mt-1 p-2 rounded bg-gray-700 text-white"
+                      >
+                        {axis === 'y' && <option value="">Nothing (line chart)</option>}
+                        {Object.entries(SWEEP_PARAMETERS)
+                          .filter(([key]) => key !== (axis === 'y' ? sweepAxes.x.key : sweepAxes.y?.key))
+                          .map(([key, { label, unit }]) => (
+                            <option key={key} value={key}>{label} ({unit})</option>
+                          ))}
+                      </select>
+                    </label>
+                    {sweepAxes[axis] && (
+                      <div className="grid grid-cols-3 gap-2">
+                        {['min', 'max', 'step'].map((bound) => (
+                          <label key={bound} className="text-xs text-gray-400">
+                            {bound.charAt(0).toUpperCase() + bound.slice(1)}
+                            <input
+                              type="number"
+                              step="any"
+                              value={sweepAxes[axis][bound]}
+                              onChange={(e) => setSweepAxes({
+                                ...sweepAxes,
+                                [axis]: { ...sweepAxes[axis], [bound]: Number(e.target.value) }
+                              })}
+                              disabled={sweepProgress !== null}
+                              className="w-full mt-1 p-2 rounded bg-gray-700 text-white font-mono"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+                
+                <label className="block text-sm font-medium">
+                  Plot
+                  <select
+                    value={sweepOutput}
+                    onChange={(e) => setSweepOutput(e.target.value)}
+                    className="w-full mt-1 p-2 rounded bg-gray-700 text-white"
+                  >
+                    {Object.entries(SWEEP_OUTPUTS).map(([key, { label, unit }]) => (
+                      <option key={key} value={key}>{label}{unit && ` (${unit})`}</option>
+                    ))}
+                  </select>
+                </label>
+                
+                <button
+                  onClick={runParameterSweep}
+                  disabled={sweepProgress !== null}
+                  className="w-full bg-cyan-600 hover:bg-cyan-700 disabled:bg-gray-600 p-3 rounded-lg font-medium"
+                >
+                  {sweepProgress !== null ? `Sweeping... ${(sweepProgress * 100).toFixed(0)}%` : 'Run sweep'}
+                </button>
+                {sweepError && <p className="text-xs text-red-400">{sweepError}</p>}
+                
+                {sweepGrid && (
+                  <div className="p-4 bg-gray-900 rounded-lg border border-gray-700 space-y-2">
+                    <h4 className="font-bold text-sm text-cyan-400">
+                      {SWEEP_OUTPUTS[sweepOutput].label}
+                      {SWEEP_OUTPUTS[sweepOutput].logarithmic && ' (log scale)'}
+                    </h4>
+                    <SweepChart grid={sweepGrid} output={sweepOutput} />
+                    <p className="text-xs text-gray-400">
+                      {SWEEP_PARAMETERS[sweepGrid.x.key].label} ({SWEEP_PARAMETERS[sweepGrid.x.key].unit}) across;{' '}
+                      {sweepGrid.y
+                        ? `${SWEEP_PARAMETERS[sweepGrid.y.key].label} (${SWEEP_PARAMETERS[sweepGrid.y.key].unit}) up, blue low to red high.`
+                        : `${SWEEP_OUTPUTS[sweepOutput].label.toLowerCase()} up.`}
+                    </p>
+                    <div className="flex gap-4 text-xs">
+                      {SWEEP_THRESHOLDS.map(({ key, label }) => (
+                        <span key={key} className="flex items-center gap-1">
+                          <span className="inline-block w-3 h-0.5" style={{ backgroundColor: SWEEP_THRESHOLD_COLORS[key] }} />
+                          {label}
+                        </span>
+                      ))}
+                    </div>
+                    <button onClick={exportSweep} className="w-full bg-gray-700 hover:bg-gray-600 p-2 rounded-lg text-sm">
+                      Export grid (CSV)
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+            
             {activeTab === 'scenarios' && (
               <div className="space-y-6">
                 <h2 className="text-lg font-bold flex items-center gap-2">
@@ -1266,13 +3399,73 @@ const AsteroidSimulator = () => {
                   Historical & Real-Time NEOs
                 </h2>
                 
+                <div>
+                  <h3 className="text-sm font-bold text-gray-400 mb-2">SAVE & SHARE</h3>
+                  <div className="grid grid-cols-2 gap-2 mb-2">
+                    <button onClick={saveScenarioFile} className="bg-purple-700 hover:bg-purple-600 p-2 rounded-lg text-sm">
+                      Save JSON
+                    </button>
+                    <button onClick={copyScenarioLink} className="bg-purple-700 hover:bg-purple-600 p-2 rounded-lg text-sm">
+                      Copy link
+                    </button>
+                  </div>
+                  <label className="block text-xs text-gray-400">
+                    Load a saved scenario
+                    <input
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={loadScenarioFile}
+                      disabled={isPlaying}
+                      className="w-full mt-1 text-xs text-gray-300"
+                    />
+                  </label>
+                  {scenarioMessage && (
+                    <div className={`mt-2 text-xs ${scenarioMessage.error ? 'text-red-400' : 'text-green-400'}`}>{scenarioMessage.text}</div>
+                  )}
+                </div>
+                
+                <div>
+                  <h3 className="text-sm font-bold text-gray-400 mb-2">COMPARE</h3>
+                  <div className="grid grid-cols-2 gap-2 mb-2">
+                    <button
+                      onClick={pinScenario}
+                      disabled={isPlaying}
+                      title={pinnedScenarios.length >= MAX_COMPARED_REPORTS ? 'Pinning another drops the oldest' : undefined}
+                      className="bg-purple-700 hover:bg-purple-600 p-2 rounded-lg text-sm disabled:opacity-50"
+                    >
+                      Pin current
+                    </button>
+                    <button
+                      onClick={() => setShowComparison(true)}
+                      disabled={pinnedScenarios.length < 2}
+                      className="bg-purple-700 hover:bg-purple-600 p-2 rounded-lg text-sm disabled:opacity-50"
+                    >
+                      Compare ({pinnedScenarios.length})
+                    </button>
+                  </div>
+                  {pinnedScenarios.length === 0 && (
+                    <p className="text-xs text-gray-400">Pin two to {MAX_COMPARED_REPORTS} scenarios to see their results side by side.</p>
+                  )}
+                  <div className="space-y-1">
+                    {pinnedScenarios.map(({ id, label, scenario }) => (
+                      <div key={id} className="flex items-center gap-2 text-xs bg-gray-700 rounded px-2 py-1">
+                        <span className="flex-1 truncate" title={label}>{label}</span>
+                        <button onClick={() => applyScenario(scenario)} disabled={isPlaying} className="text-purple-300 hover:text-purple-200 disabled:opacity-50">
+                          Load
+                        </button>
+                        <button onClick={() => unpinScenario(id)} className="text-gray-400 hover:text-red-400">✕</button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                
                 <div>
                   <h3 className="text-sm font-bold text-gray-400 mb-2">HISTORICAL EVENTS</h3>
                   <div className="space-y-2">
                     {Object.entries(HISTORICAL_SCENARIOS).map(([key, scenario]) => (
                       <button
                         key={key}
-                        onClick={() => loadScenario(key)}
+                        onClick={() => loadScenario(scenario)}
                         disabled={isPlaying}
                         className="w-full p-3 rounded-lg border-2 border-gray-600 bg-gray-700 hover:border-purple-500 hover:bg-gray-600 text-left disabled:opacity-50"
                       >
@@ -1281,20 +3474,99 @@ const AsteroidSimulator = () => {
                           <div>Size: {scenario.size}m</div>
                           <div>Velocity: {scenario.velocity} km/s</div>
                         </div>
+                        <div className="mt-2">
+                          <HazardRating rating={rateScenario(scenario)} />
+                        </div>
                       </button>
                     ))}
                   </div>
                 </div>
                 
+                <div>
+                  <h3 className="text-sm font-bold text-cyan-400 mb-2">IMPORTED ORBITS</h3>
+                  <label className="block text-xs text-gray-400 mb-2">
+                    JPL SBDB JSON or MPC orbit lines (MPCORB)
+                    <input
+                      type="file"
+                      accept=".json,.txt,.dat,application/json,text/plain"
+                      onChange={importOrbits}
+                      disabled={isPlaying}
+                      className="w-full mt-1 text-xs text-gray-300"
+                    />
+                  </label>
+                  {importError && <div className="mb-2 text-xs text-red-400">{importError}</div>}
+                  <div className="space-y-2">
+                    {importedScenarios.map((scenario) => (
+                      <button
+                        key={scenario.id}
+                        onClick={() => loadScenario(scenario)}
+                        disabled={isPlaying}
+                        className="w-full p-3 rounded-lg border-2 border-gray-600 bg-gray-700 hover:border-cyan-500 hover:bg-gray-600 text-left disabled:opacity-50"
+                      >
+                        <div className="font-bold text-cyan-400 mb-1 text-sm">{scenario.name}</div>
+                        <div className="grid grid-cols-2 gap-2 text-xs text-gray-300">
+                          <div>Size: ~{scenario.size}m</div>
+                          <div>Velocity: {scenario.velocity} km/s</div>
+                          <div>H: {scenario.absoluteMagnitude}</div>
+                          <div title={scenario.albedoAssumed ? 'No measured albedo; composition default assumed' : undefined}>
+                            Albedo: {scenario.albedo}{scenario.albedoAssumed && ' (assumed)'}
+                          </div>
+                          <div>MOID: {scenario.moid.toFixed(4)} AU</div>
+                          <div>{scenario.source}</div>
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
                 <div>
                   <h3 className="text-sm font-bold text-green-400 mb-2">NASA NEAR-EARTH OBJECTS</h3>
+                  {neoEncounter && (
+                    <div className="mb-2 p-2 rounded bg-gray-900 border border-gray-700 text-xs text-gray-300 space-y-1">
+                      <div className="font-bold text-green-400">{selectedAsteroidName}</div>
+                      <div>
+                        Close approach {neoEncounter.date} at {Math.round(neoEncounter.missDistance).toLocaleString()} km
+                        {neoEncounter.orbitClass && ` - ${neoEncounter.orbitClass} orbit`}
+                      </div>
+                      <div>Diameter {neoEncounter.sizeMin}–{neoEncounter.sizeMax} m (composition assumed S-type)</div>
+                      {neoEncounter.radiant && (
+                        <div>
+                          Radiant RA {neoEncounter.radiant.rightAscension.toFixed(1)}°, Dec {neoEncounter.radiant.declination.toFixed(1)}°
+                          {neoEncounter.siteMoved && ' - impact site moved to where the radiant is above the horizon'}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {neoLookupError && <div className="mb-2 text-xs text-yellow-400">{neoLookupError}</div>}
+                  <div className="grid grid-cols-2 gap-2 mb-2">
+                    {[['startDate', 'From'], ['endDate', 'To']].map(([key, label]) => (
+                      <label key={key} className="text-xs text-gray-400">
+                        {label}
+                        <input
+                          type="date"
+                          value={neoRange[key]}
+                          onChange={(e) => setNeoRange({ ...neoRange, [key]: e.target.value })}
+                          disabled={loadingNASA}
+                          className="w-full mt-1 p-2 rounded bg-gray-700 text-white font-mono"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => setNeoQuery({ ...neoRange })}
+                    disabled={loadingNASA || !neoRange.startDate || !neoRange.endDate}
+                    className="w-full mb-2 bg-green-700 hover:bg-green-600 disabled:bg-gray-600 p-2 rounded-lg text-sm"
+                  >
+                    Load close approaches
+                  </button>
                   {loadingNASA ? (
                     <div className="text-center py-4 text-gray-400">Loading NASA data...</div>
                   ) : nasaAsteroids.length > 0 ? (
                     <div className="space-y-2 max-h-80 overflow-y-auto">
-                      {nasaAsteroids.map((asteroid, idx) => (
+                      <div className="text-xs text-gray-400">{nasaAsteroids.length} objects</div>
+                      {nasaAsteroids.map((asteroid) => (
                         <button
-                          key={idx}
+                          key={asteroid.id}
                           onClick={() => loadNASAAsteroid(asteroid)}
                           disabled={isPlaying}
                           className={`w-full p-3 rounded-lg border-2 text-left disabled:opacity-50 ${
@@ -1309,15 +3581,17 @@ const AsteroidSimulator = () => {
                               <span className="text-red-400 text-xs">⚠ PHA</span>
                             )}
                           </div><div className="grid grid-cols-2 gap-1 text-xs text-gray-300">
-                            <div>Ø {asteroid.size}m</div>
+                            <div>Ø {asteroid.sizeMin}–{asteroid.sizeMax}m</div>
                             <div>{asteroid.velocity} km/s</div>
+                            <div>{asteroid.approachDate}</div>
+                            <div>{(asteroid.missDistance / EARTH_RADIUS_KM).toFixed(1)} R⊕</div>
                           </div>
                         </button>
                       ))}
                     </div>
                   ) : (
-                    <div className="text-center py-4 text-gray-400 text-xs">
-                      No NASA data available. Check API key.
+                    <div className={`text-center py-4 text-xs ${neoError ? 'text-red-400' : 'text-gray-400'}`}>
+                      {neoError ? describeNeoError(neoError) : 'No close approaches in this date range.'}
                     </div>
                   )}
                 </div>
@@ -0,0 +1,236 @@
+import { EARTH_RADIUS_KM, positionAt } from '../engine';
+
+// Camera poses for each view mode. A pose is plain { position, target, up }
+// vectors in scene units; the renderer copies it onto its camera every frame.
+
+export const CAMERA_MODES = {
+  orbit: { label: 'Free orbit', description: 'Drag to rotate around Earth, wheel to zoom' },
+  chase: { label: 'Chase asteroid', description: 'Locked behind the asteroid, wheel sets the distance' },
+  surface: { label: 'Impact site', description: 'Looking up from the ground at the impact site' },
+  crater: { label: 'Crater close-up', description: 'Low over the impact site, drag to circle it, wheel to zoom down to the ground' },
+  cinematic: { label: 'Cinematic', description: 'Scripted shots keyed to the launch, final approach and outcome' }
+};
+
+export const DEFAULT_CAMERA = {
+  mode: 'orbit',
+  autoRotate: true,
+  azimuth: 0,
+  elevation: 30,
+  distance: 15000,
+  chaseDistance: 1500,
+  craterDistance: 60,
+  craterAzimuth: 0
+};
+
+export const ORBIT_DISTANCE_RANGE = { min: 6000, max: 60000 };
+export const CHASE_DISTANCE_RANGE = { min: 200, max: 8000 };
+// The close-up goes from a regional view down to about a kilometre above the
+// ground, close enough to watch a crater a few kilometres across form.
+export const CRATER_DISTANCE_RANGE = { min: 0.5, max: 8000 };
+const CRATER_VIEW_ELEVATION = 35;
+export const ELEVATION_LIMIT = 80;
+// The cinematic cut to the final approach happens when the asteroid comes
+// within this many Earth radii of the centre.
+export const FINAL_APPROACH_RADII = 2.5;
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+const WORLD_UP = { x: 0, y: 1, z: 0 };
+const DEG = Math.PI / 180;
+// Cinematic cross-fades: a fraction of the run between shots, seconds after the outcome.
+const SHOT_BLEND = 0.06;
+const AFTERMATH_BLEND_SECONDS = 1.5;
+
+const add = (a, b, scale = 1) => ({ x: a.x + b.x * scale, y: a.y + b.y * scale, z: a.z + b.z * scale });
+const scaled = (a, scale) => add(ORIGIN, a, scale);
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => scaled(a, 1 / length(a));
+const lerp = (a, b, f) => add(a, add(b, a, -1), f);
+const smoothstep = (f) => {
+  const t = Math.min(Math.max(f, 0), 1);
+  return t * t * (3 - 2 * t);
+};
+const clamp = (value, { min, max }) => Math.min(Math.max(value, min), max);
+
+// Unit vector perpendicular to axis, preferring the world up direction.
+const perpendicular = (axis, preferred = WORLD_UP) => {
+  const projected = add(preferred, axis, -dot(preferred, axis));
+  return length(projected) > 1e-6 ? normalize(projected) : perpendicular(axis, { x: 1, y: 0, z: 0 });
+};
+
+// Right-handed frame around a direction of travel.
+const travelFrame = (direction) => {
+  const forward = normalize(direction);
+  const lift = perpendicular(forward);
+  return { forward, lift, side: cross(forward, lift) };
+};
+
+const lerpPose = (from, to, f) => ({
+  position: lerp(from.position, to.position, f),
+  target: lerp(from.target, to.target, f),
+  up: normalize(lerp(from.up, to.up, f))
+});
+
+export const orbitPose = ({ azimuth, elevation, distance }, target = ORIGIN) => ({
+  position: add(target, {
+    x: distance * Math.cos(elevation * DEG) * Math.sin(azimuth * DEG),
+    y: distance * Math.sin(elevation * DEG),
+    z: distance * Math.cos(elevation * DEG) * Math.cos(azimuth * DEG)
+  }),
+  target,
+  up: WORLD_UP
+});
+
+// Behind and slightly above the asteroid, looking ahead along its path.
+export const chasePose = ({ asteroid, direction, distance }) => {
+  const { forward, lift } = travelFrame(direction);
+  return {
+    position: add(add(asteroid, forward, -distance), lift, distance * 0.3),
+    target: add(asteroid, forward, distance),
+    up: lift
+  };
+};
+
+// Eye just above the ground at the site, watching the asteroid while it is
+// above the horizon and the zenith otherwise.
+export const surfacePose = ({ site, asteroid, earthRadius }) => {
+  const normal = normalize(site);
+  const position = scaled(normal, earthRadius * 1.002);
+  const toAsteroid = add(asteroid, position, -1);
+  const visible = length(toAsteroid) > 0 && dot(normalize(toAsteroid), normal) > 0.02;
+  return visible
+    ? { position, target: asteroid, up: normal }
+    : { position, target: add(position, normal, earthRadius), up: perpendicular(normal) };
+};
+
+const flybyPose = ({ asteroid, direction, earthRadius }) => {
+  const { forward, lift, side } = travelFrame(direction);
+  const offset = earthRadius * 0.35;
+  return {
+    position: add(add(add(asteroid, side, offset), forward, -offset * 0.5), lift, offset * 0.3),
+    target: asteroid,
+    up: lift
+  };
+};
+
+// Looking down on the site at an angle from distance away along azimuth,
+// measured from north.
+export const craterPose = ({ site, distance, azimuth }) => {
+  const normal = normalize(site);
+  const north = perpendicular(normal);
+  const toward = add(scaled(north, Math.cos(azimuth * DEG)), cross(normal, north), Math.sin(azimuth * DEG));
+  return {
+    position: add(add(site, normal, distance * Math.sin(CRATER_VIEW_ELEVATION * DEG)), toward, -distance * Math.cos(CRATER_VIEW_ELEVATION * DEG)),
+    target: site,
+    up: normal
+  };
+};
+
+// Above and to one side of the site, swinging round it and pulling back over
+// the seconds after impact.
+const sitePose = ({ site, earthRadius }, seconds = 0) => {
+  const normal = normalize(site);
+  const tangent = perpendicular(normal);
+  const angle = seconds * 0.15;
+  const around = add(scaled(tangent, Math.cos(angle)), cross(normal, tangent), Math.sin(angle));
+  const height = earthRadius * (0.5 + 0.3 * smoothstep(seconds / 6));
+  return {
+    position: add(add(site, normal, height), around, height),
+    target: site,
+    up: normal
+  };
+};
+
+// Progress (0..1 of the run) at which each cinematic shot starts. A run that
+// misses cuts to the flyby instead of the site.
+export const cinematicEvents = ({ path, hit, launch = null }) => {
+  const start = path[0].time;
+  const span = path[path.length - 1].time - start;
+  const radius = FINAL_APPROACH_RADII * EARTH_RADIUS_KM;
+  const inside = path.find((point) => length(point) <= radius);
+  const approach = inside ? (inside.time - start) / span : 0.75;
+  return { launch, approach: Math.max(approach, launch ?? 0), hit };
+};
+
+// state: { progress, events, aftermath (seconds since the outcome, or null),
+// asteroid, direction, site, earthRadius }
+export const cinematicPose = (state) => {
+  const { progress, events, aftermath, earthRadius } = state;
+  const wide = orbitPose({ azimuth: 30 + 60 * progress, elevation: 25 - 10 * progress, distance: earthRadius * (5.5 - 1.5 * progress) });
+  const shots = [
+    { at: 0, pose: wide },
+    events.launch !== null && { at: events.launch, pose: flybyPose(state) },
+    { at: events.approach, pose: events.hit ? sitePose(state) : flybyPose(state) }
+  ].filter(Boolean);
+
+  if (aftermath !== null && aftermath !== undefined) {
+    const final = shots[shots.length - 1].pose;
+    const after = events.hit
+      ? sitePose(state, aftermath)
+      : { ...final, position: lerp(state.asteroid, final.position, 1 + aftermath / 3) };
+    return lerpPose(final, after, smoothstep(aftermath / AFTERMATH_BLEND_SECONDS));
+  }
+
+  const current = shots.reduce((found, shot, index) => (progress >= shot.at ? index : found), 0);
+  if (current === 0) return shots[0].pose;
+  return lerpPose(shots[current - 1].pose, shots[current].pose, smoothstep((progress - shots[current].at) / SHOT_BLEND));
+};
+
+export const cameraPose = (camera, state) => {
+  switch (camera.mode) {
+    case 'chase':
+      return chasePose({ asteroid: state.asteroid, direction: state.direction, distance: camera.chaseDistance });
+    case 'surface':
+      return surfacePose(state);
+    case 'crater':
+      return craterPose({ site: state.site, distance: camera.craterDistance, azimuth: camera.craterAzimuth });
+    case 'cinematic':
+      return cinematicPose(state);
+    default:
+      return orbitPose(camera);
+  }
+};
+
+// Unit direction of travel along an approach path at the given time.
+export const pathDirection = (path, time) => {
+  const start = path[0].time;
+  const end = path[path.length - 1].time;
+  const delta = (end - start) / 200;
+  return normalize(add(positionAt(path, Math.min(time + delta, end)), positionAt(path, Math.max(time - delta, start)), -1));
+};
+
+// Drag rotates the free orbit and circles the crater; other modes ignore it.
+export const rotateCamera = (camera, deltaX, deltaY) => {
+  if (camera.mode === 'orbit') {
+    return {
+      ...camera,
+      azimuth: camera.azimuth + deltaX * 0.3,
+      elevation: clamp(camera.elevation - deltaY * 0.3, { min: -ELEVATION_LIMIT, max: ELEVATION_LIMIT })
+    };
+  }
+  if (camera.mode === 'crater') return { ...camera, craterAzimuth: camera.craterAzimuth + deltaX * 0.3 };
+  return camera;
+};
+
+// Wheel zooms the free orbit and the crater close-up and sets the chase distance.
+export const zoomCamera = (camera, deltaY) => {
+  if (camera.mode === 'orbit') return { ...camera, distance: clamp(camera.distance + deltaY * 5, ORBIT_DISTANCE_RANGE) };
+  if (camera.mode === 'chase') return { ...camera, chaseDistance: clamp(camera.chaseDistance * Math.exp(deltaY / 500), CHASE_DISTANCE_RANGE) };
+  if (camera.mode === 'crater') return { ...camera, craterDistance: clamp(camera.craterDistance * Math.exp(deltaY / 500), CRATER_DISTANCE_RANGE) };
+  return camera;
+};
+
+const DISTANCE_RANGES = { distance: ORBIT_DISTANCE_RANGE, chaseDistance: CHASE_DISTANCE_RANGE, craterDistance: CRATER_DISTANCE_RANGE };
+
+// Camera settings with unknown keys dropped, bad values replaced by defaults
+// and distances brought within the range the wheel allows.
+export const normalizeCamera = (camera = {}) => Object.fromEntries(Object.entries(DEFAULT_CAMERA).map(([key, fallback]) => {
+  const value = camera[key];
+  if (key === 'mode') return [key, Object.prototype.hasOwnProperty.call(CAMERA_MODES, value) ? value : fallback];
+  if (typeof fallback === 'number') {
+    const number = Number.isFinite(value) ? value : fallback;
+    return [key, DISTANCE_RANGES[key] ? clamp(number, DISTANCE_RANGES[key]) : number];
+  }
+  return [key, typeof value === typeof fallback ? value : fallback];
+}));
@@ -0,0 +1,119 @@
+import { propagateApproach } from '../engine';
+import {
+  CHASE_DISTANCE_RANGE,
+  CRATER_DISTANCE_RANGE,
+  DEFAULT_CAMERA,
+  ORBIT_DISTANCE_RANGE,
+  cameraPose,
+  cinematicEvents,
+  cinematicPose,
+  craterPose,
+  normalizeCamera,
+  orbitPose,
+  pathDirection,
+  rotateCamera,
+  surfacePose,
+  zoomCamera
+} from './modes';
+
+const EARTH_RADIUS = 4500;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+const hit = propagateApproach({ vInfinity: 20, impactParameter: 5000, site: { lat: 10, lon: 20 } });
+const miss = propagateApproach({ vInfinity: 20, impactParameter: 30000, site: { lat: 10, lon: 20 } });
+const site = { x: 0, y: 0, z: EARTH_RADIUS };
+
+test('free orbit matches the azimuth/elevation/distance controls', () => {
+  const { position, target, up } = orbitPose({ azimuth: 90, elevation: 0, distance: 10000 });
+  expect(position.x).toBeCloseTo(10000, 6);
+  expect(position.y).toBeCloseTo(0, 6);
+  expect(target).toEqual({ x: 0, y: 0, z: 0 });
+  expect(up).toEqual({ x: 0, y: 1, z: 0 });
+});
+
+test('chase cam sits behind the asteroid looking along its path', () => {
+  const asteroid = { x: 0, y: 0, z: 8000 };
+  const direction = { x: 0, y: 0, z: -1 };
+  const { position, target } = cameraPose({ ...DEFAULT_CAMERA, mode: 'chase', chaseDistance: 1000 }, { asteroid, direction });
+  expect(position.z).toBeGreaterThan(asteroid.z);
+  expect(target.z).toBeLessThan(asteroid.z);
+  expect(distance(target, asteroid)).toBeCloseTo(1000, 6);
+});
+
+test('the surface view watches the asteroid above the horizon and the zenith below it', () => {
+  const above = surfacePose({ site, asteroid: { x: 2000, y: 0, z: 7000 }, earthRadius: EARTH_RADIUS });
+  expect(above.position.z).toBeGreaterThan(EARTH_RADIUS);
+  expect(above.target).toEqual({ x: 2000, y: 0, z: 7000 });
+
+  const below = surfacePose({ site, asteroid: { x: 0, y: 0, z: -9000 }, earthRadius: EARTH_RADIUS });
+  expect(below.target.z).toBeGreaterThan(below.position.z);
+  expect(dot(below.up, { x: 0, y: 0, z: 1 })).toBeCloseTo(0, 6);
+});
+
+test('cinematic shots are keyed to launch and final approach, and follow the outcome', () => {
+  const events = cinematicEvents({ path: hit.path, hit: hit.hit, launch: 0.4 });
+  expect(events.approach).toBeGreaterThan(0.4);
+  expect(events.approach).toBeLessThan(1);
+  expect(cinematicEvents({ path: miss.path, hit: miss.hit }).launch).toBeNull();
+
+  const state = { events, aftermath: null, asteroid: { x: 0, y: 0, z: 9000 }, direction: { x: 0, y: 0, z: -1 }, site, earthRadius: EARTH_RADIUS };
+  const wide = cinematicPose({ ...state, progress: 0.1 });
+  expect(wide.target).toEqual({ x: 0, y: 0, z: 0 });
+  expect(cinematicPose({ ...state, progress: 0.6 }).target).toEqual(state.asteroid);
+  expect(cinematicPose({ ...state, progress: 1 }).target).toEqual(site);
+
+  const settled = cinematicPose({ ...state, progress: 1, aftermath: 10 });
+  expect(settled.target).toEqual(site);
+  expect(distance(settled.position, site)).toBeGreaterThan(distance(cinematicPose({ ...state, progress: 1 }).position, site));
+
+  const blended = cinematicPose({ ...state, progress: 0.41 });
+  expect(distance(blended.position, wide.position)).toBeGreaterThan(0);
+});
+
+test('the crater close-up looks down on the site from its distance and bearing', () => {
+  const { position, target, up } = craterPose({ site, distance: 10, azimuth: 0 });
+  expect(target).toEqual(site);
+  expect(distance(position, site)).toBeCloseTo(10, 6);
+  expect(position.z).toBeGreaterThan(EARTH_RADIUS);
+  expect(position.y).toBeLessThan(0);
+  expect(up.z).toBeCloseTo(1, 9);
+  const circled = craterPose({ site, distance: 10, azimuth: 180 });
+  expect(circled.position.y).toBeCloseTo(-position.y, 6);
+  expect(cameraPose({ ...DEFAULT_CAMERA, mode: 'crater', craterDistance: 10 }, { site })).toEqual(craterPose({ site, distance: 10, azimuth: 0 }));
+});
+
+test('path direction points along the approach', () => {
+  const { path } = hit;
+  const direction = pathDirection(path, path[0].time);
+  const inward = { x: -path[0].x, y: -path[0].y, z: -path[0].z };
+  expect(Math.hypot(direction.x, direction.y, direction.z)).toBeCloseTo(1, 9);
+  expect(dot(direction, inward)).toBeGreaterThan(0);
+});
+
+test('drag and wheel only move the camera in the modes that use them', () => {
+  const orbit = { ...DEFAULT_CAMERA, mode: 'orbit' };
+  expect(rotateCamera(orbit, 10, 1000).elevation).toBe(-80);
+  expect(zoomCamera(orbit, 1e6).distance).toBe(ORBIT_DISTANCE_RANGE.max);
+  expect(zoomCamera(orbit, -1e6).distance).toBe(ORBIT_DISTANCE_RANGE.min);
+
+  const chase = { ...DEFAULT_CAMERA, mode: 'chase' };
+  expect(rotateCamera(chase, 10, 10)).toBe(chase);
+  expect(zoomCamera(chase, -1e5).chaseDistance).toBe(CHASE_DISTANCE_RANGE.min);
+  expect(zoomCamera({ ...DEFAULT_CAMERA, mode: 'surface' }, 100).distance).toBe(DEFAULT_CAMERA.distance);
+
+  const crater = { ...DEFAULT_CAMERA, mode: 'crater' };
+  expect(rotateCamera(crater, 100, 100)).toEqual({ ...crater, craterAzimuth: 30 });
+  expect(zoomCamera(crater, -1e5).craterDistance).toBe(CRATER_DISTANCE_RANGE.min);
+  expect(zoomCamera(crater, 500).craterDistance).toBeCloseTo(crater.craterDistance * Math.E, 6);
+});
+
+test('normalizes stored camera settings', () => {
+  expect(normalizeCamera({ mode: 'drone', autoRotate: 'no', distance: 9000, extra: 1 }))
+    .toEqual({ ...DEFAULT_CAMERA, distance: 9000 });
+  expect(normalizeCamera({ craterDistance: 0, chaseDistance: -5, distance: 1e6 })).toMatchObject({
+    craterDistance: CRATER_DISTANCE_RANGE.min,
+    chaseDistance: CHASE_DISTANCE_RANGE.min,
+    distance: ORBIT_DISTANCE_RANGE.max
+  });
+});
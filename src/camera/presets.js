@@ -0,0 +1,47 @@
+import { normalizeCamera } from './modes';
+
+// Named camera presets kept in localStorage. When storage is unavailable or
+// full the presets still work for the rest of the session.
+
+export const CAMERA_PRESETS_KEY = 'asteroid-simulator.camera-presets';
+
+export const createCameraPresetStore = ({
+  key = CAMERA_PRESETS_KEY,
+  storage = typeof window !== 'undefined' ? window.localStorage : undefined
+} = {}) => {
+  const read = () => {
+    try {
+      const stored = JSON.parse(storage?.getItem(key) ?? '[]');
+      return Array.isArray(stored)
+        ? stored
+          .filter((preset) => typeof preset?.name === 'string' && preset.name)
+          .map(({ name, camera }) => ({ name, camera: normalizeCamera(camera) }))
+        : [];
+    } catch {
+      return [];
+    }
+  };
+  let presets = read();
+
+  const write = () => {
+    try {
+      storage?.setItem(key, JSON.stringify(presets));
+    } catch {
+      // Keep the in-memory list.
+    }
+    return presets;
+  };
+
+  return {
+    list: () => presets,
+    // Replaces any preset with the same name.
+    save: (name, camera) => {
+      presets = [...presets.filter((preset) => preset.name !== name), { name, camera: normalizeCamera(camera) }];
+      return write();
+    },
+    remove: (name) => {
+      presets = presets.filter((preset) => preset.name !== name);
+      return write();
+    }
+  };
+};
@@ -0,0 +1,49 @@
+import { DEFAULT_CAMERA } from './modes';
+import { CAMERA_PRESETS_KEY, createCameraPresetStore } from './presets';
+
+const createStorage = (initial = {}) => {
+  const values = { ...initial };
+  return {
+    values,
+    getItem: (key) => (key in values ? values[key] : null),
+    setItem: (key, value) => {
+      values[key] = value;
+    }
+  };
+};
+
+test('saves, replaces and removes named presets in storage', () => {
+  const storage = createStorage();
+  const store = createCameraPresetStore({ storage });
+  store.save('Launch', { ...DEFAULT_CAMERA, mode: 'chase', chaseDistance: 800 });
+  store.save('Overview', { ...DEFAULT_CAMERA, distance: 30000 });
+  store.save('Launch', { ...DEFAULT_CAMERA, mode: 'cinematic' });
+
+  const reloaded = createCameraPresetStore({ storage });
+  expect(reloaded.list().map(({ name }) => name)).toEqual(['Overview', 'Launch']);
+  expect(reloaded.list()[1].camera.mode).toBe('cinematic');
+
+  expect(reloaded.remove('Overview')).toHaveLength(1);
+  expect(JSON.parse(storage.values[CAMERA_PRESETS_KEY])).toHaveLength(1);
+});
+
+test('ignores damaged storage and keeps working when writes fail', () => {
+  const damaged = createCameraPresetStore({ storage: createStorage({ [CAMERA_PRESETS_KEY]: '{not json' }) });
+  expect(damaged.list()).toEqual([]);
+
+  const sanitized = createCameraPresetStore({
+    storage: createStorage({ [CAMERA_PRESETS_KEY]: JSON.stringify([{ name: '' }, { name: 'Old', camera: { mode: 'drone' } }]) })
+  });
+  expect(sanitized.list()).toEqual([{ name: 'Old', camera: DEFAULT_CAMERA }]);
+
+  const full = createCameraPresetStore({
+    storage: {
+      getItem: () => null,
+      setItem: () => {
+        throw new Error('QuotaExceededError');
+      }
+    }
+  });
+  expect(full.save('Session', DEFAULT_CAMERA)).toHaveLength(1);
+  expect(full.list()[0].name).toBe('Session');
+});
@@ -0,0 +1,63 @@
+// Fixed-timestep simulation clock. Wall time is accumulated and consumed in
+// whole steps, so the simulated time after a run depends only on the elapsed
+// time and time scale, not on how often the renderer happened to call in.
+
+export const FIXED_TIMESTEP = 1 / 60;
+// Caps the catch-up after the tab was hidden or the main thread stalled.
+export const MAX_CATCH_UP_STEPS = 30;
+
+// start/end in simulated seconds; duration is the wall-clock seconds a full
+// run takes at time scale 1.
+export const createSimulationClock = ({ start, end, duration, step = FIXED_TIMESTEP }) => {
+  if (!(end > start) || !(duration > 0)) {
+    throw new RangeError(`Clock needs end > start and a positive duration, got ${start}..${end} over ${duration}s`);
+  }
+  const rate = (end - start) / duration;
+  let time = start;
+  let accumulator = 0;
+
+  const clock = {
+    start,
+    end,
+    get time() {
+      return time;
+    },
+    get progress() {
+      return (time - start) / (end - start);
+    },
+    get finished() {
+      return time >= end;
+    },
+    // Advances by the whole steps in elapsed wall seconds (plus any remainder
+    // carried from earlier calls) and returns how many steps were taken.
+    advance: (elapsed, timeScale = 1) => {
+      accumulator = Math.min(accumulator + Math.max(elapsed, 0), MAX_CATCH_UP_STEPS * step);
+      let steps = 0;
+      while (accumulator >= step && time < end) {
+        time = Math.min(time + step * rate * timeScale, end);
+        accumulator -= step;
+        steps++;
+      }
+      return steps;
+    },
+    seek: (target) => {
+      time = Math.min(Math.max(target, start), end);
+      accumulator = 0;
+      return time;
+    },
+    seekProgress: (fraction) => clock.seek(start + fraction * (end - start))
+  };
+  return clock;
+};
+
+const pad = (value) => String(Math.floor(value)).padStart(2, '0');
+
+// Countdown label for a simulated time in seconds relative to impact.
+export const formatTimeToImpact = (seconds) => {
+  const remaining = Math.abs(seconds);
+  const sign = seconds <= 0 ? 'T-' : 'T+';
+  if (remaining >= 86400) return `${sign}${Math.floor(remaining / 86400)}d ${pad((remaining % 86400) / 3600)}h`;
+  if (remaining >= 3600) return `${sign}${Math.floor(remaining / 3600)}h ${pad((remaining % 3600) / 60)}m`;
+  if (remaining >= 60) return `${sign}${Math.floor(remaining / 60)}m ${pad(remaining % 60)}s`;
+  return `${sign}${remaining.toFixed(1)}s`;
+};
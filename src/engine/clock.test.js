@@ -0,0 +1,44 @@
+import { FIXED_TIMESTEP, MAX_CATCH_UP_STEPS, createSimulationClock, formatTimeToImpact } from './clock';
+
+const clock = () => createSimulationClock({ start: -3600, end: 0, duration: 6 });
+
+test('advances in fixed steps regardless of how wall time is sliced', () => {
+  const coarse = clock();
+  const fine = clock();
+  coarse.advance(0.5);
+  for (let i = 0; i < 50; i++) fine.advance(0.01);
+  expect(fine.time).toBeCloseTo(coarse.time, 9);
+  expect(coarse.time).toBeCloseTo(-3600 + 30 * FIXED_TIMESTEP * 600, 6);
+});
+
+test('time scale can change between steps and the run stops at the end', () => {
+  const run = clock();
+  run.advance(0.25, 1);
+  const before = run.time;
+  expect(run.advance(0.25, 4)).toBe(15);
+  expect(run.time - before).toBeCloseTo(4 * (before + 3600), 6);
+
+  for (let i = 0; i < 100; i++) run.advance(0.5, 4);
+  expect(run.finished).toBe(true);
+  expect(run.time).toBe(0);
+  expect(run.advance(1)).toBe(0);
+});
+
+test('caps catch-up after a stall and supports seeking both ways', () => {
+  const run = clock();
+  expect(run.advance(60)).toBe(MAX_CATCH_UP_STEPS);
+
+  expect(run.seekProgress(0.75)).toBe(-900);
+  expect(run.progress).toBeCloseTo(0.75, 9);
+  expect(run.seek(-7200)).toBe(-3600);
+  expect(run.seek(10)).toBe(0);
+  expect(() => createSimulationClock({ start: 0, end: 0, duration: 1 })).toThrow(RangeError);
+});
+
+test('formats the countdown to impact', () => {
+  expect(formatTimeToImpact(-2 * 86400 - 4 * 3600)).toBe('T-2d 04h');
+  expect(formatTimeToImpact(-3 * 3600 - 12 * 60)).toBe('T-3h 12m');
+  expect(formatTimeToImpact(-125)).toBe('T-2m 05s');
+  expect(formatTimeToImpact(-4.25)).toBe('T-4.3s');
+  expect(formatTimeToImpact(0)).toBe('T-0.0s');
+});
@@ -0,0 +1,15 @@
+export const COMPOSITIONS = {
+  stony: { density: 3000, strength: 1e6, color: 0x8B7355, name: 'Stony', albedo: 0.20 },
+  iron: { density: 7800, strength: 5e7, color: 0x696969, name: 'Iron', albedo: 0.15 },
+  carbonaceous: { density: 2000, strength: 1e5, color: 0x2F1B0C, name: 'Carbonaceous', albedo: 0.05 }
+};
+
+// Diameter in metres from absolute magnitude H and geometric albedo
+// (D km = 1329 / sqrt(p) * 10^(-H/5)).
+export const estimateDiameter = (absoluteMagnitude, albedo) =>
+  (1329 / Math.sqrt(albedo)) * Math.pow(10, -absoluteMagnitude / 5) * 1000;
+
+// Composition whose typical albedo is closest to a measured one.
+export const compositionForAlbedo = (albedo) => Object.keys(COMPOSITIONS)
+  .reduce((best, key) =>
+    Math.abs(COMPOSITIONS[key].albedo - albedo) < Math.abs(COMPOSITIONS[best].albedo - albedo) ? key : best);
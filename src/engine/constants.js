@@ -0,0 +1,4 @@
+export const EARTH_RADIUS_KM = 6371;
+export const GRAVITY = 9.81;
+export const JOULES_PER_MEGATON = 4.184e15;
+export const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
@@ -0,0 +1,108 @@
+import { GRAVITY } from './constants';
+import { createRandom } from './random';
+
+// Crater formation over time for animating an impact, from calculateImpact's
+// crater fields; times are real seconds after contact, lengths km. The
+// transient bowl opens as r ∝ t^0.4 over the excavation time √(D/g), then
+// slumps into the final crater over about as long again (Melosh 1989). Ejecta
+// leave the growing bowl on 45° ballistic arcs, the early inner ejecta fastest
+// (Housen et al. 1983), so the material in flight forms the inverted cone of
+// the ejecta curtain.
+
+const GROWTH_EXPONENT = 0.4;
+const EJECTA_ANGLE = Math.PI / 4;
+// Ejection speed is EJECTA_SPEED·√(gR)·(x/R)^(-1/μ), taken from the outer half
+// of the bowl; the inner half leaves as melt and vapour, not in the curtain.
+const EJECTA_SPEED = 0.6;
+const EJECTA_INNER_FRACTION = 0.5;
+const CENTRAL_PEAK_RADIUS = 0.15;
+const FLOOR_FRACTION = 0.5;
+const GRAVITY_KM = GRAVITY / 1000;
+
+const smoothstep = (f) => {
+  const t = Math.min(Math.max(f, 0), 1);
+  return t * t * (3 - 2 * t);
+};
+
+const rimHeight = (transientDiameter, diameter) => 0.07 * Math.pow(transientDiameter, 4) / Math.pow(diameter, 3);
+
+// Height at x = r/R of a bowl floorDepth deep with a raised rim, falling off
+// outside as the ejecta blanket (thickness ∝ (r/R)^-3, McGetchin et al. 1973).
+const bowl = (x, floorDepth, rim) => (x < 1 ? -floorDepth * (1 - x * x) + rim * Math.pow(x, 4) : rim * Math.pow(x, -3));
+
+// Complex craters have a flat floor with a central peak inside a terraced wall.
+const complexProfile = (x, floorDepth, rim) => {
+  if (x >= 1) return rim * Math.pow(x, -3);
+  const peak = x < CENTRAL_PEAK_RADIUS ? 0.6 * floorDepth * (1 + Math.cos((Math.PI * x) / CENTRAL_PEAK_RADIUS)) / 2 : 0;
+  if (x < FLOOR_FRACTION) return -floorDepth + peak;
+  const wall = (x - FLOOR_FRACTION) / (1 - FLOOR_FRACTION);
+  return -floorDepth * (1 - wall * wall) + rim * Math.pow(wall, 4);
+};
+
+export const craterTimeline = ({ transientDiameter }) => {
+  const excavation = Math.sqrt((transientDiameter * 1000) / GRAVITY);
+  return { excavation, modification: excavation };
+};
+
+// Surface height (km, negative below the original ground) as a function of
+// distance from the centre (km), time seconds after contact.
+export const craterProfileAt = (crater, time) => {
+  const { transientDiameter, diameter, depth, type } = crater;
+  if (!(transientDiameter > 0)) return () => 0;
+  const { excavation, modification } = craterTimeline(crater);
+  const transientRim = rimHeight(transientDiameter, transientDiameter);
+  const transientDepth = transientDiameter / (2 * Math.SQRT2);
+  const growth = Math.pow(Math.min(Math.max(time / excavation, 0), 1), GROWTH_EXPONENT);
+  const slump = smoothstep((time - excavation) / modification);
+  const finalRim = rimHeight(transientDiameter, diameter);
+  const finalFloor = Math.max(depth - finalRim, 0);
+  const final = type === 'complex' ? complexProfile : bowl;
+
+  return (r) => {
+    if (growth === 0) return 0;
+    const opening = bowl(r / (growth * transientDiameter / 2), growth * transientDepth, growth * transientRim);
+    return slump === 0 ? opening : opening + slump * (final(r / (diameter / 2), finalFloor, finalRim) - opening);
+  };
+};
+
+const ejectionAt = (x, radius) => {
+  const { excavation } = craterTimeline({ transientDiameter: 2 * radius });
+  return {
+    start: x * radius,
+    launch: excavation * Math.pow(x, 1 / GROWTH_EXPONENT),
+    speed: EJECTA_SPEED * Math.sqrt(GRAVITY_KM * radius) * Math.pow(x, -1 / GROWTH_EXPONENT)
+  };
+};
+
+const flightTime = (speed) => (2 * speed * Math.sin(EJECTA_ANGLE)) / GRAVITY_KM;
+
+// Ejecta particles: where on the bowl each leaves from (km), its bearing
+// (radians), launch time and launch speed (km/s).
+export const ejectaCurtain = ({ transientDiameter }, { count = 600, seed = 5 } = {}) => {
+  if (!(transientDiameter > 0)) return [];
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => {
+    const x = EJECTA_INNER_FRACTION + (1 - EJECTA_INNER_FRACTION) * Math.sqrt(random());
+    return { ...ejectionAt(x, transientDiameter / 2), bearing: 2 * Math.PI * random() };
+  });
+};
+
+// Distance from the centre and height (km) of a particle in flight, or null
+// before its launch and after it lands.
+export const ejectaPosition = ({ start, launch, speed }, time) => {
+  const t = time - launch;
+  if (t < 0 || t > flightTime(speed)) return null;
+  return {
+    distance: start + speed * Math.cos(EJECTA_ANGLE) * t,
+    height: speed * Math.sin(EJECTA_ANGLE) * t - (GRAVITY_KM * t * t) / 2
+  };
+};
+
+// Seconds until the crater has settled and the fastest ejecta, which fly
+// longest, have landed.
+export const craterFormationDuration = (crater) => {
+  if (!(crater.transientDiameter > 0)) return 0;
+  const { excavation, modification } = craterTimeline(crater);
+  const first = ejectionAt(EJECTA_INNER_FRACTION, crater.transientDiameter / 2);
+  return Math.max(excavation + modification, first.launch + flightTime(first.speed));
+};
@@ -0,0 +1,51 @@
+import { craterDimensions } from './impact';
+import { craterFormationDuration, craterProfileAt, craterTimeline, ejectaCurtain, ejectaPosition } from './craterFormation';
+
+const simple = craterDimensions({ diameter: 100, density: 3000, impactVelocity: 17, angle: 45, targetDensity: 2500 });
+const complex = craterDimensions({ diameter: 2000, density: 3000, impactVelocity: 20, angle: 45, targetDensity: 2500 });
+
+test('the transient bowl opens, then settles into the final crater', () => {
+  expect(simple.type).toBe('simple');
+  const { excavation, modification } = craterTimeline(simple);
+  expect(excavation).toBeCloseTo(Math.sqrt((simple.transientDiameter * 1000) / 9.81), 6);
+  expect(craterProfileAt(simple, 0)(0)).toBe(0);
+
+  const opening = craterProfileAt(simple, excavation / 4);
+  const opened = craterProfileAt(simple, excavation);
+  expect(opened(0)).toBeCloseTo(-simple.transientDiameter / (2 * Math.SQRT2), 6);
+  expect(opening(0)).toBeGreaterThan(opened(0));
+
+  const settled = craterProfileAt(simple, excavation + modification);
+  const radius = simple.diameter / 2;
+  expect(settled(radius)).toBeGreaterThan(0);
+  expect(settled(radius) - settled(0)).toBeCloseTo(simple.depth, 6);
+  expect(settled(10 * radius)).toBeLessThan(settled(radius) / 100);
+});
+
+test('a complex crater settles with a flat floor and a central peak', () => {
+  expect(complex.type).toBe('complex');
+  const { excavation, modification } = craterTimeline(complex);
+  const settled = craterProfileAt(complex, excavation + modification);
+  const radius = complex.diameter / 2;
+  expect(settled(0.3 * radius)).toBeCloseTo(settled(0.45 * radius), 6);
+  expect(settled(0)).toBeGreaterThan(settled(0.3 * radius));
+  expect(settled(radius)).toBeGreaterThan(0);
+  expect(craterProfileAt({ transientDiameter: 0, diameter: 0, depth: 0, type: null }, 10)(0)).toBe(0);
+});
+
+test('inner ejecta leave first and fastest, and all have landed by the end', () => {
+  const particles = ejectaCurtain(simple, { count: 200 });
+  expect(particles).toHaveLength(200);
+  const [inner, outer] = [...particles].sort((a, b) => a.start - b.start).filter((_, i, all) => i === 0 || i === all.length - 1);
+  expect(inner.launch).toBeLessThan(outer.launch);
+  expect(inner.speed).toBeGreaterThan(outer.speed);
+  particles.forEach((particle) => expect(particle.start).toBeLessThanOrEqual(simple.transientDiameter / 2));
+
+  expect(ejectaPosition(outer, outer.launch - 1)).toBeNull();
+  const duration = craterFormationDuration(simple);
+  const inFlight = particles.map((particle) => ejectaPosition(particle, duration / 4)).filter(Boolean);
+  expect(inFlight.length).toBeGreaterThan(0);
+  inFlight.forEach(({ height }) => expect(height).toBeGreaterThanOrEqual(0));
+  expect(particles.every((particle) => ejectaPosition(particle, duration + 1e-6) === null)).toBe(true);
+  expect(ejectaCurtain({ transientDiameter: 0 })).toEqual([]);
+});
@@ -0,0 +1,186 @@
+import { EARTH_RADIUS_KM } from './constants';
+import { disruptBody } from './disruption';
+import { captureRadius } from './orbit';
+
+// Each method turns its spacecraft parameters into a Δv on the asteroid. An
+// along-track Δv shifts the arrival time, which drifts into a B-plane
+// displacement of roughly 3·Δv·t (Ahrens & Harris 1992); continuous pushes are
+// credited from the middle of their dwell.
+
+const G = 6.674e-11;
+const SECONDS_PER_YEAR = 3.156e7;
+const JOULES_PER_KILOTON = 4.184e12;
+const NUCLEAR_COUPLING = 1e-4;
+const MEAN_MOTION = (2 * Math.PI) / SECONDS_PER_YEAR;
+const EARTH_ORBITAL_SPEED = 29.78;
+
+const continuousDwell = (params, leadTime) => Math.min(params.dwellTime, leadTime);
+const contactBurstEnergy = ({ yield: kilotons, coupling }) => (kilotons * JOULES_PER_KILOTON * coupling) / 100;
+
+export const DEFLECTION_METHODS = {
+  none: { name: 'No Deflection', minLeadTime: 0, color: 0x888888, parameters: [], deltaV: () => 0 },
+  kinetic: {
+    name: 'Kinetic Impactor',
+    minLeadTime: 5,
+    color: 0x00ff00,
+    parameters: [
+      { key: 'spacecraftMass', label: 'Spacecraft mass', unit: 'kg', default: 600, min: 100, max: 20000, step: 100 },
+      { key: 'impactSpeed', label: 'Impact speed', unit: 'km/s', default: 6, min: 1, max: 30, step: 0.5 },
+      { key: 'beta', label: 'Momentum enhancement β', unit: '', default: 3.6, min: 1, max: 6, step: 0.1 }
+    ],
+    deltaV: ({ spacecraftMass, impactSpeed, beta }, { mass }) => (beta * spacecraftMass * impactSpeed * 1000) / mass
+  },
+  nuclear: {
+    name: 'Nuclear Standoff',
+    minLeadTime: 2,
+    color: 0xff0000,
+    parameters: [
+      { key: 'yield', label: 'Yield', unit: 'kt', default: 100, min: 1, max: 10000, step: 1 },
+      { key: 'standoff', label: 'Standoff distance', unit: 'm', default: 200, min: 10, max: 5000, step: 10 }
+    ],
+    // X-rays intercepted by the facing cap ablate the surface; the blow-off
+    // momentum is taken as a fixed coupling of the deposited energy.
+    deltaV: ({ yield: kilotons, standoff }, { mass, diameter }) => {
+      const radius = diameter / 2;
+      const interceptedFraction = (1 - Math.sqrt(1 - (radius / (radius + standoff)) ** 2)) / 2;
+      return (NUCLEAR_COUPLING * kilotons * JOULES_PER_KILOTON * interceptedFraction) / mass;
+    }
+  },
+  disruption: {
+    name: 'Nuclear Disruption',
+    minLeadTime: 0,
+    color: 0xff8800,
+    parameters: [
+      { key: 'yield', label: 'Yield', unit: 'kt', default: 1000, min: 10, max: 100000, step: 10 },
+      { key: 'coupling', label: 'Energy coupled', unit: '%', default: 5, min: 1, max: 50, step: 1 }
+    ],
+    // A surface or buried burst couples part of its yield into the body. It
+    // pushes like a standoff burst and, above Q*_D, also breaks the body up.
+    depositedEnergy: contactBurstEnergy,
+    deltaV: (params, { mass }) => (NUCLEAR_COUPLING * contactBurstEnergy(params)) / mass
+  },
+  gravity: {
+    name: 'Gravity Tractor',
+    minLeadTime: 20,
+    color: 0x0088ff,
+    continuous: true,
+    parameters: [
+      { key: 'spacecraftMass', label: 'Spacecraft mass', unit: 'kg', default: 20000, min: 1000, max: 100000, step: 1000 },
+      { key: 'hoverDistance', label: 'Hover distance', unit: 'radii', default: 1.5, min: 1.1, max: 5, step: 0.1 },
+      { key: 'dwellTime', label: 'Dwell time', unit: 'years', default: 10, min: 1, max: 30, step: 1 }
+    ],
+    deltaV: ({ spacecraftMass, hoverDistance, dwellTime }, { diameter, leadTime }) =>
+      (G * spacecraftMass / (hoverDistance * diameter / 2) ** 2) *
+        continuousDwell({ dwellTime }, leadTime) * SECONDS_PER_YEAR
+  },
+  laser: {
+    name: 'Laser Ablation',
+    minLeadTime: 10,
+    color: 0xff00ff,
+    continuous: true,
+    parameters: [
+      { key: 'power', label: 'Beam power', unit: 'kW', default: 100, min: 10, max: 10000, step: 10 },
+      { key: 'coupling', label: 'Thrust coupling', unit: 'µN/W', default: 10, min: 1, max: 100, step: 1 },
+      { key: 'dwellTime', label: 'Dwell time', unit: 'years', default: 5, min: 1, max: 30, step: 1 }
+    ],
+    deltaV: ({ power, coupling, dwellTime }, { mass, leadTime }) =>
+      (power * 1000 * coupling * 1e-6 * continuousDwell({ dwellTime }, leadTime) * SECONDS_PER_YEAR) / mass
+  }
+};
+
+export const defaultDeflectionParams = (method) =>
+  Object.fromEntries(DEFLECTION_METHODS[method].parameters.map(({ key, default: value }) => [key, value]));
+
+export const bPlaneDisplacement = (deltaV, leadTime, dwellTime = 0) =>
+  (3 * deltaV * Math.max(leadTime - dwellTime / 2, 0) * SECONDS_PER_YEAR) / 1000;
+
+// Clohessy-Wiltshire drift of a fragment from the cloud's centre after leadTime
+// years, for a velocity in m/s. The along-track offset shifts the arrival time
+// (ζ) and the out-of-plane offset moves the B-plane point sideways (ξ); the
+// bounded radial offset is neglected. delay is in seconds.
+export const fragmentDrift = ({ along, normal, radial }, leadTime) => {
+  const phase = MEAN_MOTION * leadTime * SECONDS_PER_YEAR;
+  const ahead = (2 * radial * (Math.cos(phase) - 1) + along * (4 * Math.sin(phase) - 3 * phase)) / MEAN_MOTION / 1000;
+  return {
+    xi: (normal * Math.sin(phase)) / MEAN_MOTION / 1000,
+    zeta: -ahead,
+    delay: -ahead / EARTH_ORBITAL_SPEED
+  };
+};
+
+// The nominal B-plane point sits impactParameter from Earth's centre; the
+// along-track shift is taken as perpendicular to it, so the deflected point
+// moves out to the hypotenuse. A miss needs it to clear the capture radius.
+// A disrupted body misses only if every fragment clears it; fragment B-plane
+// points are given in km with ξ along the nominal impact parameter.
+export const calculateDeflection = ({
+  method,
+  params,
+  leadTime,
+  diameter,
+  density,
+  vInfinity,
+  impactParameter
+}) => {
+  const definition = DEFLECTION_METHODS[method];
+  if (!definition) throw new RangeError(`Unknown deflection method: ${method}`);
+
+  const settings = params || defaultDeflectionParams(method);
+  const mass = (4 / 3) * Math.PI * Math.pow(diameter / 2, 3) * density;
+  const deployed = method !== 'none' && leadTime >= definition.minLeadTime;
+  const deltaV = deployed ? definition.deltaV(settings, { mass, diameter, leadTime }) : 0;
+  const dwellTime = definition.continuous ? continuousDwell(settings, leadTime) : 0;
+  const displacement = bPlaneDisplacement(deltaV, leadTime, dwellTime);
+  const bPlaneDistance = Math.hypot(impactParameter, displacement);
+  if (!Number.isFinite(deltaV) || !Number.isFinite(bPlaneDistance)) {
+    throw new RangeError(`${definition.name} gives no finite Δv for these parameters`);
+  }
+  const capture = captureRadius(vInfinity);
+  const cloud = deployed && definition.depositedEnergy
+    ? disruptBody({ diameter, density, energy: definition.depositedEnergy(settings) })
+    : null;
+  const fragments = cloud ? cloud.fragments.map((fragment) => {
+    const drift = fragmentDrift(fragment.velocity, leadTime);
+    const xi = impactParameter + drift.xi;
+    const zeta = displacement + drift.zeta;
+    const distance = Math.hypot(xi, zeta);
+    return { ...fragment, xi, zeta, bPlaneDistance: distance, delay: drift.delay, hit: distance <= capture };
+  }) : [];
+
+  return {
+    deployed,
+    deltaV,
+    displacement,
+    bPlaneDistance,
+    captureRadius: capture,
+    missDistance: bPlaneDistance / EARTH_RADIUS_KM,
+    requiredDistance: capture / EARTH_RADIUS_KM,
+    miss: cloud?.disrupted ? fragments.every(({ hit }) => !hit) : bPlaneDistance > capture,
+    disruption: cloud && { ...cloud, fragments }
+  };
+};
+
+export const TRADE_STUDY_LEAD_TIMES = Array.from({ length: 30 }, (_, i) => i + 1);
+
+// Every deflection method against every lead time for one body; params holds
+// per-method settings keyed by method. margin is how far the closest piece
+// clears the capture radius in Earth radii, negative on a hit, and a failed
+// cell gives its reason: 'leadTime' when there is no time to deploy, 'deltaV'
+// when the push falls short and 'fragments' when a disruption leaves pieces on
+// a collision course.
+export const deflectionTradeStudy = ({ params = {}, leadTimes = TRADE_STUDY_LEAD_TIMES, ...body }) => {
+  const methods = Object.keys(DEFLECTION_METHODS).filter((method) => method !== 'none');
+  return {
+    methods,
+    leadTimes,
+    cells: methods.map((method) => leadTimes.map((leadTime) => {
+      const result = calculateDeflection({ ...body, method, params: params[method], leadTime });
+      const fragments = result.disruption?.disrupted ? result.disruption.fragments : null;
+      const closest = fragments ? Math.min(...fragments.map(({ bPlaneDistance }) => bPlaneDistance)) : result.bPlaneDistance;
+      let reason = null;
+      if (!result.deployed) reason = 'leadTime';
+      else if (!result.miss) reason = fragments ? 'fragments' : 'deltaV';
+      return { method, leadTime, miss: result.miss, margin: (closest - result.captureRadius) / EARTH_RADIUS_KM, reason };
+    }))
+  };
+};
@@ -0,0 +1,87 @@
+import {
+  DEFLECTION_METHODS,
+  TRADE_STUDY_LEAD_TIMES,
+  bPlaneDisplacement,
+  calculateDeflection,
+  defaultDeflectionParams,
+  deflectionTradeStudy
+} from './deflection';
+import { fragmentCloud, simulateImpactor, simulationSpan } from './impactors';
+import { captureRadius, propagateApproach } from './orbit';
+
+const apophis = { diameter: 370, density: 3000, vInfinity: 5.8, impactParameter: 0.5 * captureRadius(5.8) };
+
+test('a DART-class impactor nudges an Apophis-sized body by a fraction of a mm/s', () => {
+  const result = calculateDeflection({ ...apophis, method: 'kinetic', leadTime: 10 });
+  expect(result.deltaV).toBeGreaterThan(1e-4);
+  expect(result.deltaV).toBeLessThan(1e-3);
+  expect(result.miss).toBe(false);
+});
+
+test('displacement grows with lead time', () => {
+  expect(bPlaneDisplacement(0.01, 20)).toBeCloseTo(2 * bPlaneDisplacement(0.01, 10), 6);
+  const short = calculateDeflection({ ...apophis, method: 'nuclear', leadTime: 2 });
+  const long = calculateDeflection({ ...apophis, method: 'nuclear', leadTime: 30 });
+  expect(long.missDistance).toBeGreaterThan(short.missDistance);
+  expect(long.miss).toBe(true);
+});
+
+test('methods are not deployed below their minimum lead time', () => {
+  const result = calculateDeflection({ ...apophis, method: 'gravity', leadTime: 5 });
+  expect(result.deployed).toBe(false);
+  expect(result.deltaV).toBe(0);
+  expect(result.bPlaneDistance).toBeCloseTo(apophis.impactParameter, 6);
+});
+
+test('every method exposes defaults for its parameters', () => {
+  Object.keys(DEFLECTION_METHODS).forEach((method) => {
+    const params = defaultDeflectionParams(method);
+    const result = calculateDeflection({ ...apophis, method, params, leadTime: 30 });
+    expect(Number.isFinite(result.deltaV)).toBe(true);
+  });
+  expect(() => calculateDeflection({ ...apophis, method: 'wishful', leadTime: 10 })).toThrow(RangeError);
+  const hovering = { ...defaultDeflectionParams('gravity'), hoverDistance: 0 };
+  expect(() => calculateDeflection({ ...apophis, method: 'gravity', params: hovering, leadTime: 30 })).toThrow(RangeError);
+});
+
+test('a trade study covers every method at every lead time and explains failures', () => {
+  const study = deflectionTradeStudy({ ...apophis, params: { nuclear: { yield: 1000, standoff: 200 } } });
+  expect(study.methods).toEqual(Object.keys(DEFLECTION_METHODS).filter((method) => method !== 'none'));
+  expect(study.leadTimes).toEqual(TRADE_STUDY_LEAD_TIMES);
+  study.cells.forEach((row, index) => {
+    expect(row).toHaveLength(30);
+    row.forEach((cell) => {
+      expect(cell.method).toBe(study.methods[index]);
+      expect(cell.miss).toBe(cell.margin > 0);
+      expect(cell.reason === null).toBe(cell.miss);
+    });
+  });
+  const row = (method) => study.cells[study.methods.indexOf(method)];
+  expect(row('gravity')[0].reason).toBe('leadTime');
+  expect(row('kinetic')[4].reason).toBe('deltaV');
+  expect(row('nuclear')[29].miss).toBe(true);
+  expect(row('nuclear')[29].margin).toBeGreaterThan(row('nuclear')[9].margin);
+});
+
+test('a disruption that leaves pieces on course fails on its fragments', () => {
+  const study = deflectionTradeStudy({ ...apophis, impactParameter: 0, leadTimes: [0.01] });
+  const [cell] = study.cells[study.methods.indexOf('disruption')];
+  expect(cell).toMatchObject({ method: 'disruption', miss: false, reason: 'fragments' });
+});
+
+test('every successful trade-study cell loads as a scenario that can be flown', () => {
+  const site = { lat: 35.68, lon: 139.69 };
+  const body = { name: 'Apophis', velocity: apophis.vInfinity, composition: 'stony', heading: 90, site };
+  const study = deflectionTradeStudy(apophis);
+  const misses = study.cells.flat().filter(({ miss }) => miss);
+  expect(misses.length).toBeGreaterThan(0);
+  misses.forEach(({ method, leadTime }) => {
+    const deflection = calculateDeflection({ ...apophis, method, leadTime });
+    const approach = propagateApproach({ vInfinity: apophis.vInfinity, impactParameter: deflection.bPlaneDistance, site });
+    expect(approach.hit).toBe(false);
+    const fragments = deflection.disruption?.disrupted ? fragmentCloud(body, deflection).slice(1).map(simulateImpactor) : [];
+    fragments.forEach(({ effects }) => expect(effects).toBeNull());
+    const span = simulationSpan([{ approach }, ...fragments]);
+    expect(span.start).toBeLessThan(span.end);
+  });
+});
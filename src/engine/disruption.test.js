@@ -0,0 +1,94 @@
+import { calculateDeflection } from './deflection';
+import { disruptBody, disruptionThreshold, largestRemnantFraction } from './disruption';
+import { greatCircleDistance } from './geo';
+import { fragmentCloud, simulateImpactor, simulationSpan } from './impactors';
+import { captureRadius } from './orbit';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const body = { diameter: 370, density: 3000 };
+const mass = (4 / 3) * Math.PI * (body.diameter / 2) ** 3 * body.density;
+const apophis = { ...body, vInfinity: 12, impactParameter: 0.3 * captureRadius(12) };
+const megaton = { yield: 1000, coupling: 5 };
+
+test('Q*_D is lowest for bodies of a few hundred metres', () => {
+  expect(disruptionThreshold(10, 3000)).toBeGreaterThan(disruptionThreshold(200, 3000));
+  expect(disruptionThreshold(5000, 3000)).toBeGreaterThan(disruptionThreshold(200, 3000));
+  expect(largestRemnantFraction(1)).toBeCloseTo(0.5, 9);
+  expect(largestRemnantFraction(1.8)).toBeCloseTo(0.1, 9);
+  expect(largestRemnantFraction(18)).toBeLessThan(0.01);
+});
+
+test('a body only breaks up above Q*_D', () => {
+  const threshold = disruptionThreshold(body.diameter, body.density);
+  const intact = disruptBody({ ...body, energy: 0.5 * threshold * mass });
+  expect(intact.disrupted).toBe(false);
+  expect(intact.fragments).toEqual([]);
+  expect(disruptBody({ ...body, energy: 2 * threshold * mass }).disrupted).toBe(true);
+});
+
+test('fragments conserve mass and momentum and share the dispersal energy', () => {
+  const energy = 50 * disruptionThreshold(body.diameter, body.density) * mass;
+  const cloud = disruptBody({ ...body, energy });
+  const { fragments } = cloud;
+  expect(fragments).toHaveLength(24);
+  expect(fragments[0].velocity).toEqual({ along: 0, normal: 0, radial: 0 });
+  fragments.slice(1).forEach((fragment, index) => expect(fragment.diameter).toBeLessThanOrEqual(fragments[index].diameter));
+  expect(sum(fragments.map(({ mass: m }) => m)) / mass + cloud.debrisFraction).toBeCloseTo(1, 9);
+  expect(fragments[0].mass / mass).toBeCloseTo(cloud.largestRemnantFraction, 9);
+
+  ['along', 'normal', 'radial'].forEach((axis) => {
+    expect(sum(fragments.map(({ mass: m, velocity }) => m * velocity[axis])) / mass).toBeCloseTo(0, 9);
+  });
+  const speed = ({ velocity }) => Math.hypot(velocity.along, velocity.normal, velocity.radial);
+  expect(speed(fragments[23])).toBeGreaterThan(speed(fragments[1]));
+  expect(disruptBody({ ...body, energy })).toEqual(cloud);
+});
+
+test('a short-warning disruption turns one impact into many', () => {
+  const late = calculateDeflection({ ...apophis, method: 'disruption', params: megaton, leadTime: 0.01 });
+  expect(late.disruption.disrupted).toBe(true);
+  const hits = late.disruption.fragments.filter(({ hit }) => hit);
+  expect(hits.length).toBeGreaterThan(1);
+  expect(late.miss).toBe(false);
+  expect(Math.max(...hits.map(({ delay }) => Math.abs(delay)))).toBeGreaterThan(0);
+
+  const early = calculateDeflection({ ...apophis, method: 'disruption', params: megaton, leadTime: 0.1 });
+  expect(early.disruption.fragments.filter(({ hit }) => hit).length).toBeLessThan(hits.length);
+
+  const undisrupted = calculateDeflection({ ...apophis, diameter: 2000, method: 'disruption', params: megaton, leadTime: 0.01 });
+  expect(undisrupted.disruption.disrupted).toBe(false);
+  expect(undisrupted.miss).toBe(undisrupted.bPlaneDistance > undisrupted.captureRadius);
+  expect(calculateDeflection({ ...apophis, method: 'nuclear', leadTime: 5 }).disruption).toBeNull();
+});
+
+test('impacting fragments land around the site with their own effects', () => {
+  const deflection = calculateDeflection({ ...apophis, method: 'disruption', params: megaton, leadTime: 0.01 });
+  const site = { lat: 35.68, lon: 139.69 };
+  const bodies = fragmentCloud({ name: 'Apophis', velocity: 12, composition: 'stony', heading: 90, site, impactParameter: 0.3 }, deflection);
+  expect(bodies).toHaveLength(24);
+  expect(bodies[0].name).toBe('Apophis A');
+  expect(greatCircleDistance(bodies[0].site, site)).toBeLessThan(1);
+
+  const runs = bodies.map(simulateImpactor);
+  deflection.disruption.fragments.forEach(({ hit }, index) => expect(runs[index].approach.hit).toBe(hit));
+  const impacts = runs.filter(({ effects }) => effects);
+  expect(new Set(impacts.map(({ site: point }) => `${point.lat},${point.lon}`)).size).toBe(impacts.length);
+  impacts.forEach(({ site: point, effects }) => {
+    expect(greatCircleDistance(point, site)).toBeLessThan(2 * 6371);
+    expect(effects.energy).toBeGreaterThan(0);
+  });
+});
+
+test('fragments scattered over years of warning are simulated as misses', () => {
+  const site = { lat: 35.68, lon: 139.69 };
+  [1, 10, 30].forEach((leadTime) => {
+    const deflection = calculateDeflection({ ...apophis, method: 'disruption', params: megaton, leadTime });
+    expect(deflection.disruption.disrupted).toBe(true);
+    const runs = fragmentCloud({ name: 'Apophis', velocity: 12, composition: 'stony', heading: 90, site }, deflection).map(simulateImpactor);
+    runs.forEach(({ approach }) => expect(approach.path.length).toBeGreaterThan(0));
+    deflection.disruption.fragments.forEach(({ hit }, index) => expect(Boolean(runs[index].effects) && !hit).toBe(false));
+    const span = simulationSpan(runs);
+    expect(span.start).toBeLessThan(span.end);
+  });
+  expect(simulationSpan([{ approach: { path: [] } }])).toEqual({ start: 0, end: 0 });
+});
@@ -0,0 +1,84 @@
+import { GRAVITY, JOULES_PER_MEGATON } from './constants';
+
+// Single-body entry with drag and ablation; after the ram pressure exceeds the
+// material strength the body spreads as a pancake (Chyba et al. 1993). Reaching
+// PANCAKE_FACTOR times the original diameter above ground counts as an airburst,
+// placed at the altitude of peak energy deposition.
+
+const SCALE_HEIGHT = 8000;
+const SURFACE_AIR_DENSITY = 1.225;
+const ENTRY_ALTITUDE = 100000;
+const DRAG_COEFFICIENT = 2;
+const HEAT_TRANSFER_COEFFICIENT = 0.1;
+const HEAT_OF_ABLATION = 8e6;
+const PANCAKE_FACTOR = 7;
+const ALTITUDE_STEP = 50;
+const MAX_STEPS = 200000;
+
+export const airDensityAt = (altitude) => SURFACE_AIR_DENSITY * Math.exp(-Math.max(altitude, 0) / SCALE_HEIGHT);
+
+// Empirical strength-density relation from Collins et al. (2005), eq. 9.
+export const estimateStrength = (density) => Math.pow(10, 2.107 + 0.0624 * Math.sqrt(density));
+
+export const simulateEntry = ({ diameter, velocity, density, angle, strength = estimateStrength(density) }) => {
+  const sinAngle = Math.sin((angle * Math.PI) / 180);
+  const initialRadius = diameter / 2;
+  const initialMass = (4 / 3) * Math.PI * Math.pow(initialRadius, 3) * density;
+  const initialEnergy = 0.5 * initialMass * Math.pow(velocity * 1000, 2);
+
+  let altitude = ENTRY_ALTITUDE;
+  let speed = velocity * 1000;
+  let mass = initialMass;
+  let radius = initialRadius;
+  let spreadRate = 0;
+  let breakupAltitude = null;
+  let burst = false;
+  let peakDeposition = { altitude: 0, rate: 0 };
+
+  for (let step = 0; step < MAX_STEPS && altitude > 0; step++) {
+    const airDensity = airDensityAt(altitude);
+    const area = Math.PI * radius * radius;
+    const deceleration = DRAG_COEFFICIENT * airDensity * area * speed * speed / (2 * mass) - GRAVITY * sinAngle;
+    const dt = Math.min(
+      ALTITUDE_STEP / (speed * sinAngle),
+      Math.abs(deceleration) > 0 ? 0.01 * speed / Math.abs(deceleration) : Infinity
+    );
+
+    if (breakupAltitude === null && airDensity * speed * speed > strength) {
+      breakupAltitude = altitude;
+    }
+    if (breakupAltitude !== null && !burst) {
+      spreadRate += DRAG_COEFFICIENT * airDensity * speed * speed / (4 * density * radius) * dt;
+      radius += spreadRate * dt;
+      if (radius >= PANCAKE_FACTOR * initialRadius) {
+        radius = PANCAKE_FACTOR * initialRadius;
+        burst = true;
+      }
+    }
+
+    const energyBefore = 0.5 * mass * speed * speed;
+    mass = Math.max(mass - HEAT_TRANSFER_COEFFICIENT * airDensity * area * Math.pow(speed, 3) / (2 * HEAT_OF_ABLATION) * dt, 0);
+    speed = Math.max(speed - deceleration * dt, 0);
+    const drop = speed * sinAngle * dt;
+    const depositionRate = drop > 0 ? (energyBefore - 0.5 * mass * speed * speed) / drop : 0;
+    if (depositionRate > peakDeposition.rate) {
+      peakDeposition = { altitude, rate: depositionRate };
+    }
+    altitude -= drop;
+    if (mass === 0 || speed === 0) break;
+  }
+
+  const groundEnergy = 0.5 * mass * speed * speed;
+  const energyDeposited = Math.max(initialEnergy - groundEnergy, 0) / JOULES_PER_MEGATON;
+  return {
+    breakupAltitude: breakupAltitude === null ? null : breakupAltitude / 1000,
+    airburst: burst,
+    airburstAltitude: burst ? peakDeposition.altitude / 1000 : null,
+    airburstEnergy: burst ? energyDeposited : 0,
+    energyDeposited,
+    groundVelocity: speed / 1000,
+    groundMass: mass,
+    groundEnergy: groundEnergy / JOULES_PER_MEGATON,
+    groundDiameter: 2 * Math.cbrt((3 * mass) / (4 * Math.PI * density))
+  };
+};
@@ -0,0 +1,36 @@
+import { simulateEntry, estimateStrength } from './entry';
+import { COMPOSITIONS } from './compositions';
+
+const chelyabinsk = {
+  diameter: 20,
+  velocity: 19,
+  density: COMPOSITIONS.stony.density,
+  strength: COMPOSITIONS.stony.strength,
+  angle: 18
+};
+
+test('breaks Chelyabinsk up high and bursts it in the stratosphere', () => {
+  const entry = simulateEntry(chelyabinsk);
+  expect(entry.breakupAltitude).toBeGreaterThan(35);
+  expect(entry.airburst).toBe(true);
+  expect(entry.airburstAltitude).toBeGreaterThan(20);
+  expect(entry.airburstAltitude).toBeLessThan(45);
+  expect(entry.groundEnergy).toBeLessThan(entry.airburstEnergy * 1e-3);
+});
+
+test('lets a large body reach the ground almost undecelerated', () => {
+  const entry = simulateEntry({ ...chelyabinsk, diameter: 5000, velocity: 20, angle: 45 });
+  expect(entry.airburst).toBe(false);
+  expect(entry.groundVelocity).toBeGreaterThan(19.5);
+});
+
+test('stronger material breaks up lower', () => {
+  const weak = simulateEntry({ ...chelyabinsk, strength: 1e5 });
+  const strong = simulateEntry({ ...chelyabinsk, strength: 1e7 });
+  expect(weak.breakupAltitude).toBeGreaterThan(strong.breakupAltitude);
+});
+
+test('falls back to the empirical strength for the given density', () => {
+  expect(estimateStrength(3000)).toBeGreaterThan(1e5);
+  expect(estimateStrength(7800)).toBeGreaterThan(estimateStrength(3000));
+});
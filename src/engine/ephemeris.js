@@ -0,0 +1,180 @@
+import { destinationPoint, greatCircleDistance, normalizeLongitude } from './geo';
+
+// Two-body heliocentric ephemerides from osculating elements, enough to recover
+// the direction an asteroid approaches Earth from on a known close-approach
+// date. Earth uses the JPL low-precision mean elements (Standish 1992).
+
+export const AU_KM = 1.495978707e8;
+export const MU_SUN = 1.32712440018e11;
+
+const DEG = Math.PI / 180;
+const J2000 = 2451545;
+const OBLIQUITY = 23.4392911 * DEG;
+
+export const julianDate = (time) => time / 86400000 + 2440587.5;
+
+const solveKepler = (meanAnomaly, e) => {
+  let E = e < 0.8 ? meanAnomaly : Math.PI;
+  for (let i = 0; i < 50; i++) {
+    const delta = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+  return E;
+};
+
+// State on an elliptical orbit at eccentric anomaly E, heliocentric ecliptic.
+const stateAtEccentricAnomaly = ({ a, e, i, node, peri }, E) => {
+  const aKm = a * AU_KM;
+  const root = Math.sqrt(1 - e * e);
+  const r = aKm * (1 - e * Math.cos(E));
+  const px = aKm * (Math.cos(E) - e);
+  const py = aKm * root * Math.sin(E);
+  const speed = Math.sqrt(MU_SUN * aKm) / r;
+  const vx = -speed * Math.sin(E);
+  const vy = speed * root * Math.cos(E);
+
+  const [cO, sO, cw, sw, ci, si] = [node, node, peri, peri, i, i].map((angle, k) =>
+    (k % 2 ? Math.sin : Math.cos)(angle * DEG));
+  const rotate = (x, y) => ({
+    x: (cO * cw - sO * sw * ci) * x + (-cO * sw - sO * cw * ci) * y,
+    y: (sO * cw + cO * sw * ci) * x + (-sO * sw + cO * cw * ci) * y,
+    z: sw * si * x + cw * si * y
+  });
+  return { position: rotate(px, py), velocity: rotate(vx, vy) };
+};
+
+// Elements: a (AU), e, i, node, peri, meanAnomaly (deg) at epoch (JD).
+// Returns heliocentric ecliptic J2000 position (km) and velocity (km/s).
+export const stateFromElements = (elements, jd) => {
+  const { a, e, meanAnomaly, epoch } = elements;
+  const aKm = a * AU_KM;
+  const n = Math.sqrt(MU_SUN / (aKm * aKm * aKm));
+  const M = (meanAnomaly * DEG + n * (jd - epoch) * 86400) % (2 * Math.PI);
+  return stateAtEccentricAnomaly(elements, solveKepler(M, e));
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+// Point on Earth's (ecliptic, near-circular) orbit at a heliocentric longitude.
+const earthOrbitPoint = (earth, longitude) => {
+  const peri = earth.peri * DEG;
+  const f = longitude - peri;
+  const p = earth.a * AU_KM * (1 - earth.e * earth.e);
+  const r = p / (1 + earth.e * Math.cos(f));
+  const scale = Math.sqrt(MU_SUN / p);
+  const [vx, vy] = [-Math.sin(f) * scale, (earth.e + Math.cos(f)) * scale];
+  return {
+    position: { x: r * Math.cos(longitude), y: r * Math.sin(longitude), z: 0 },
+    velocity: { x: vx * Math.cos(peri) - vy * Math.sin(peri), y: vx * Math.sin(peri) + vy * Math.cos(peri), z: 0 }
+  };
+};
+
+// Minimum orbit intersection distance with Earth's orbit. Because Earth's orbit
+// is nearly circular, the closest point to any asteroid position is taken at
+// the same heliocentric longitude; the asteroid's orbit is then scanned and
+// each local minimum refined. Also returns the encounter speed at that point.
+export const moidEncounter = (elements) => {
+  const earth = earthElements(elements.epoch);
+  const separation = (E) => {
+    const asteroid = stateAtEccentricAnomaly(elements, E);
+    const planet = earthOrbitPoint(earth, Math.atan2(asteroid.position.y, asteroid.position.x));
+    return { E, d: distance(asteroid.position, planet.position), asteroid, planet };
+  };
+
+  const steps = 720;
+  const step = (2 * Math.PI) / steps;
+  const scan = Array.from({ length: steps }, (_, j) => separation(j * step));
+  const best = scan
+    .filter(({ d }, j) => d <= scan[(j + steps - 1) % steps].d && d <= scan[(j + 1) % steps].d)
+    .map(({ E }) => {
+      let [low, high] = [E - step, E + step];
+      while (high - low > 1e-10) {
+        const m1 = low + (high - low) / 3;
+        const m2 = high - (high - low) / 3;
+        if (separation(m1).d < separation(m2).d) high = m2;
+        else low = m1;
+      }
+      return separation((low + high) / 2);
+    })
+    .reduce((a, b) => (b.d < a.d ? b : a));
+
+  return {
+    moid: best.d / AU_KM,
+    vInfinity: distance(best.asteroid.velocity, best.planet.velocity)
+  };
+};
+
+export const earthElements = (jd) => {
+  const T = (jd - J2000) / 36525;
+  const perihelion = 102.93768193 + 0.32327364 * T;
+  const meanLongitude = 100.46457166 + 35999.37244981 * T;
+  return {
+    a: 1.00000261 + 0.00000562 * T,
+    e: 0.01671123 - 0.00004392 * T,
+    i: 0,
+    node: 0,
+    peri: perihelion,
+    meanAnomaly: meanLongitude - perihelion,
+    epoch: jd
+  };
+};
+
+const greenwichSiderealAngle = (jd) => (280.46061837 + 360.98564736629 * (jd - J2000)) * DEG;
+
+// Geocentric approach of a body on its close-approach date: v-infinity and the
+// sub-radiant point, the spot directly beneath the direction it arrives from.
+export const approachGeometry = (elements, time) => {
+  const jd = julianDate(time);
+  const asteroid = stateFromElements(elements, jd);
+  const earth = stateFromElements(earthElements(jd), jd);
+  const v = {
+    x: asteroid.velocity.x - earth.velocity.x,
+    y: asteroid.velocity.y - earth.velocity.y,
+    z: asteroid.velocity.z - earth.velocity.z
+  };
+  const vInfinity = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+
+  const radiant = { x: -v.x / vInfinity, y: -v.y / vInfinity, z: -v.z / vInfinity };
+  const equatorial = {
+    x: radiant.x,
+    y: radiant.y * Math.cos(OBLIQUITY) - radiant.z * Math.sin(OBLIQUITY),
+    z: radiant.y * Math.sin(OBLIQUITY) + radiant.z * Math.cos(OBLIQUITY)
+  };
+  const rightAscension = Math.atan2(equatorial.y, equatorial.x);
+  const declination = Math.asin(equatorial.z);
+
+  return {
+    vInfinity,
+    rightAscension: (((rightAscension / DEG) % 360) + 360) % 360,
+    declination: declination / DEG,
+    subRadiant: {
+      lat: declination / DEG,
+      lon: normalizeLongitude((rightAscension - greenwichSiderealAngle(jd)) / DEG)
+    }
+  };
+};
+
+const bearing = (from, to) => {
+  const [lat1, lat2] = [from.lat * DEG, to.lat * DEG];
+  const dLon = (to.lon - from.lon) * DEG;
+  return Math.atan2(
+    Math.sin(dLon) * Math.cos(lat2),
+    Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon)
+  ) / DEG;
+};
+
+// Straight-line entry geometry at a site for a given radiant: the entry angle
+// is the radiant's elevation and the heading points away from it. Sites that
+// cannot see the radiant above minElevation are moved along the same great
+// circle until they can.
+export const radiantEntry = (subRadiant, site, minElevation = 10) => {
+  const arc = greatCircleDistance(subRadiant, site, 1) / DEG;
+  const fromRadiant = arc > 1e-6 ? bearing(subRadiant, site) : 0;
+  const reachable = 90 - arc >= minElevation;
+  const impactSite = reachable ? site : destinationPoint(subRadiant, fromRadiant, 45 * DEG, 1);
+  const elevation = reachable ? 90 - arc : 45;
+  const heading = (((bearing(impactSite, subRadiant) + 180) % 360) + 360) % 360;
+
+  return { site: impactSite, entryAngle: elevation, heading, moved: !reachable };
+};
@@ -0,0 +1,50 @@
+import { AU_KM, approachGeometry, earthElements, julianDate, moidEncounter, radiantEntry, stateFromElements } from './ephemeris';
+import { destinationPoint, greatCircleDistance } from './geo';
+
+const length = ({ x, y, z }) => Math.sqrt(x * x + y * y + z * z);
+
+test('Earth sits near perihelion in early January and moves at ~30 km/s', () => {
+  const jd = julianDate(Date.UTC(2025, 0, 4));
+  const earth = stateFromElements(earthElements(jd), jd);
+  expect(length(earth.position) / AU_KM).toBeCloseTo(0.9833, 3);
+  expect(length(earth.velocity)).toBeCloseTo(30.29, 1);
+});
+
+test('a body sharing Earth\'s orbit approaches with almost no relative speed', () => {
+  const time = Date.UTC(2025, 5, 1);
+  const elements = earthElements(julianDate(time));
+  expect(approachGeometry(elements, time).vInfinity).toBeLessThan(0.01);
+
+  const inclined = approachGeometry({ ...elements, i: 20, node: elements.peri + elements.meanAnomaly, peri: 0, meanAnomaly: 0 }, time);
+  expect(inclined.vInfinity).toBeGreaterThan(5);
+  expect(inclined.declination).toBeGreaterThanOrEqual(-90);
+  expect(inclined.subRadiant.lon).toBeLessThanOrEqual(180);
+});
+
+test('recovers the ~5.8 km/s v-infinity of Apophis in April 2029', () => {
+  const apophis = { a: 0.9224, e: 0.1911, i: 3.339, node: 203.96, peri: 126.6, meanAnomaly: 252.39, epoch: 2462240.4069 };
+  expect(approachGeometry(apophis, Date.UTC(2029, 3, 13, 21, 46)).vInfinity).toBeCloseTo(5.85, 1);
+});
+
+test('entry angle is the radiant elevation and sites below the horizon are moved', () => {
+  const radiant = { lat: 10, lon: 20 };
+  expect(radiantEntry(radiant, radiant).entryAngle).toBeCloseTo(90, 6);
+
+  const site = destinationPoint(radiant, 0, 30 * Math.PI / 180, 1);
+  const entry = radiantEntry(radiant, site);
+  expect(entry.entryAngle).toBeCloseTo(60, 4);
+  expect(entry.heading).toBeCloseTo(0, 0);
+  expect(entry.moved).toBe(false);
+
+  const farSide = radiantEntry(radiant, { lat: -60, lon: -150 });
+  expect(farSide.moved).toBe(true);
+  expect(farSide.entryAngle).toBe(45);
+  expect(greatCircleDistance(farSide.site, radiant, 1) * 180 / Math.PI).toBeCloseTo(45, 4);
+});
+
+test('finds the MOID and encounter speed of an Apophis-like orbit', () => {
+  const apophis = { a: 0.9224, e: 0.1911, i: 3.339, node: 203.96, peri: 126.6, meanAnomaly: 252.39, epoch: 2462240.4069 };
+  const { moid, vInfinity } = moidEncounter(apophis);
+  expect(moid).toBeLessThan(0.001);
+  expect(vInfinity).toBeCloseTo(5.85, 0);
+});
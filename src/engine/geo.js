@@ -0,0 +1,64 @@
+import { EARTH_RADIUS_KM } from './constants';
+
+// Cartesian frame matches three.js SphereGeometry UVs: +y is the north pole and
+// longitude 0 sits at the centre of an equirectangular texture.
+
+const DEG = Math.PI / 180;
+
+export const normalizeLongitude = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+export const clampLatitude = (lat) => Math.max(-90, Math.min(90, lat));
+
+export const latLonToVector = (lat, lon, radius = EARTH_RADIUS_KM) => {
+  const latRad = lat * DEG;
+  const phi = (lon + 180) * DEG;
+  return {
+    x: -radius * Math.cos(latRad) * Math.cos(phi),
+    y: radius * Math.sin(latRad),
+    z: radius * Math.cos(latRad) * Math.sin(phi)
+  };
+};
+
+export const vectorToLatLon = ({ x, y, z }) => {
+  const radius = Math.sqrt(x * x + y * y + z * z);
+  return {
+    lat: Math.asin(y / radius) / DEG,
+    lon: normalizeLongitude(Math.atan2(z, -x) / DEG - 180)
+  };
+};
+
+export const greatCircleDistance = (from, to, radius = EARTH_RADIUS_KM) => {
+  const dLat = (to.lat - from.lat) * DEG;
+  const dLon = (to.lon - from.lon) * DEG;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(from.lat * DEG) * Math.cos(to.lat * DEG) * Math.sin(dLon / 2) ** 2;
+  return 2 * radius * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+export const destinationPoint = (from, bearing, distance, radius = EARTH_RADIUS_KM) => {
+  const angular = distance / radius;
+  const latRad = from.lat * DEG;
+  const bearingRad = bearing * DEG;
+  const lat = Math.asin(
+    Math.sin(latRad) * Math.cos(angular) + Math.cos(latRad) * Math.sin(angular) * Math.cos(bearingRad)
+  );
+  const lon = from.lon * DEG + Math.atan2(
+    Math.sin(bearingRad) * Math.sin(angular) * Math.cos(latRad),
+    Math.cos(angular) - Math.sin(latRad) * Math.sin(lat)
+  );
+  return { lat: lat / DEG, lon: normalizeLongitude(lon / DEG) };
+};
+
+// Unit vectors of the local east/north/up frame at a site, in the frame above.
+export const localFrame = (lat, lon) => {
+  const up = latLonToVector(lat, lon, 1);
+  const phi = (lon + 180) * DEG;
+  const latRad = lat * DEG;
+  const east = { x: Math.sin(phi), y: 0, z: Math.cos(phi) };
+  const north = {
+    x: Math.sin(latRad) * Math.cos(phi),
+    y: Math.cos(latRad),
+    z: -Math.sin(latRad) * Math.sin(phi)
+  };
+  return { east, north, up };
+};
@@ -0,0 +1,35 @@
+import { latLonToVector, vectorToLatLon, greatCircleDistance, destinationPoint, localFrame } from './geo';
+
+test('round-trips coordinates through the Cartesian frame', () => {
+  [[0, 0], [35.68, 139.69], [-33.9, -70.6], [89, 179]].forEach(([lat, lon]) => {
+    const back = vectorToLatLon(latLonToVector(lat, lon));
+    expect(back.lat).toBeCloseTo(lat, 6);
+    expect(back.lon).toBeCloseTo(lon, 6);
+  });
+});
+
+test('places the north pole on +y', () => {
+  const pole = latLonToVector(90, 0, 1);
+  expect(pole.y).toBeCloseTo(1, 10);
+});
+
+test('measures great-circle distances in kilometres', () => {
+  const london = { lat: 51.5074, lon: -0.1278 };
+  const paris = { lat: 48.8566, lon: 2.3522 };
+  expect(greatCircleDistance(london, paris)).toBeGreaterThan(330);
+  expect(greatCircleDistance(london, paris)).toBeLessThan(350);
+});
+
+test('destinationPoint walks the distance it was given', () => {
+  const start = { lat: 10, lon: 20 };
+  const end = destinationPoint(start, 60, 1000);
+  expect(greatCircleDistance(start, end)).toBeCloseTo(1000, 3);
+});
+
+test('local frame points east along increasing longitude', () => {
+  const { east } = localFrame(0, 0);
+  const here = latLonToVector(0, 0, 1);
+  const there = latLonToVector(0, 1, 1);
+  const dot = (there.x - here.x) * east.x + (there.y - here.y) * east.y + (there.z - here.z) * east.z;
+  expect(dot).toBeGreaterThan(0);
+});
@@ -0,0 +1,101 @@
+import { feature, mesh } from 'topojson-client';
+import world from 'world-atlas/countries-110m.json';
+import { greatCircleDistance, normalizeLongitude } from './geo';
+
+// Natural Earth 1:110m land and country borders, bundled through world-atlas so
+// lookups and the globe texture work offline.
+
+let landPolygons = null;
+let borderLines = null;
+let countryOutlines = null;
+
+// Makes a [lon, lat] ring continuous across the antimeridian. Rings that wrap all
+// the way around (Antarctica) are closed along the nearer pole.
+const unwrapRing = (ring) => {
+  const points = [ring[0].slice()];
+  for (let i = 1; i < ring.length; i++) {
+    const previous = points[i - 1][0];
+    let lon = ring[i][0];
+    while (lon - previous > 180) lon -= 360;
+    while (lon - previous < -180) lon += 360;
+    points.push([lon, ring[i][1]]);
+  }
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (Math.abs(last[0] - first[0]) > 180) {
+    const pole = points.reduce((sum, point) => sum + point[1], 0) < 0 ? -90 : 90;
+    points.push([last[0], pole], [first[0], pole], first.slice());
+  }
+  const lons = points.map((point) => point[0]);
+  const lats = points.map((point) => point[1]);
+  points.bounds = {
+    minLon: Math.min(...lons),
+    maxLon: Math.max(...lons),
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats)
+  };
+  return points;
+};
+
+export const getLandPolygons = () => {
+  if (!landPolygons) {
+    const land = feature(world, world.objects.land);
+    landPolygons = land.features.flatMap(({ geometry }) =>
+      geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+    ).map((polygon) => polygon.map(unwrapRing));
+  }
+  return landPolygons;
+};
+
+export const getBorderLines = () => {
+  if (!borderLines) {
+    borderLines = mesh(world, world.objects.countries, (a, b) => a !== b).coordinates;
+  }
+  return borderLines;
+};
+
+const getCountryOutlines = () => {
+  if (!countryOutlines) {
+    countryOutlines = feature(world, world.objects.countries).features.map(({ properties, geometry }) => ({
+      name: properties.name,
+      points: (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates).flat(2)
+    }));
+  }
+  return countryOutlines;
+};
+
+// Closest outline point of each country, nearest first; over the ocean this is
+// the nearest stretch of that country's coast.
+export const nearestCountries = (site, count = 5) =>
+  getCountryOutlines().map(({ name, points }) => points.reduce((best, [lon, lat]) => {
+    const distance = greatCircleDistance(site, { lat, lon });
+    return distance < best.distance ? { name, distance, lat, lon } : best;
+  }, { name, distance: Infinity, lat: null, lon: null }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count);
+
+const ringContains = (ring, lon, lat) => {
+  const { minLon, maxLon, minLat, maxLat } = ring.bounds;
+  if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return false;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const polygonContains = (polygon, lon, lat) =>
+  polygon.reduce((inside, ring) => (ringContains(ring, lon, lat) ? !inside : inside), false);
+
+export const isLand = (lat, lon) => {
+  const wrapped = normalizeLongitude(lon);
+  return getLandPolygons().some((polygon) =>
+    [wrapped, wrapped - 360, wrapped + 360].some((candidate) => polygonContains(polygon, candidate, lat))
+  );
+};
+
+export const surfaceTypeAt = (lat, lon) => (isLand(lat, lon) ? 'land' : 'ocean');
@@ -0,0 +1,27 @@
+import { isLand, surfaceTypeAt, getLandPolygons, getBorderLines } from './geography';
+
+test('finds land under major cities', () => {
+  expect(isLand(35.68, 139.69)).toBe(true);
+  expect(isLand(40.71, -74.0 + 0.5)).toBe(true);
+  expect(isLand(-23.55, -46.63)).toBe(true);
+  expect(isLand(51.5, 0)).toBe(true);
+});
+
+test('finds ocean in the middle of the basins', () => {
+  expect(surfaceTypeAt(0, -150)).toBe('ocean');
+  expect(surfaceTypeAt(-30, 80)).toBe('ocean');
+  expect(surfaceTypeAt(30, -40)).toBe('ocean');
+});
+
+test('handles polygons that cross the antimeridian or wrap the pole', () => {
+  expect(isLand(66, 179.5)).toBe(true);
+  expect(isLand(66, -179.5)).toBe(true);
+  expect(isLand(-85, 0)).toBe(true);
+  expect(isLand(-85, 180)).toBe(true);
+  expect(isLand(88, 0)).toBe(false);
+});
+
+test('exposes drawable land polygons and border lines', () => {
+  expect(getLandPolygons().length).toBeGreaterThan(50);
+  expect(getBorderLines().length).toBeGreaterThan(50);
+});
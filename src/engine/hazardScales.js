@@ -0,0 +1,66 @@
+// Torino (Binzel 2000, revised Morrison et al. 2004) and Palermo Technical
+// (Chesley et al. 2002) impact hazard scales. Both take the impact probability,
+// kinetic energy in megatons and, for Palermo, the years until impact.
+
+const CERTAIN = 0.99;
+const THREATENING = 0.01;
+const REGIONAL_MT = 1e3;
+const GLOBAL_MT = 1e5;
+
+export const TORINO_DESCRIPTIONS = [
+  'No hazard',
+  'Normal: routine discovery, collision extremely unlikely',
+  'Meriting attention: close encounter, collision very unlikely',
+  'Meriting attention: ≥1% chance of localized destruction',
+  'Meriting attention: ≥1% chance of regional devastation',
+  'Threatening: serious but uncertain threat of regional devastation',
+  'Threatening: serious but uncertain threat of global catastrophe',
+  'Threatening: unprecedented but uncertain threat of global catastrophe',
+  'Certain collision: localized destruction',
+  'Certain collision: regional devastation',
+  'Certain collision: global climatic catastrophe'
+];
+
+// Annual background probability of an impact at least this energetic.
+export const backgroundImpactFrequency = (energyMt) => 0.03 * Math.pow(energyMt, -0.8);
+
+export const palermoScale = ({ probability, energy, yearsToImpact }) => {
+  if (!(probability > 0) || !(energy > 0) || !(yearsToImpact > 0)) return null;
+  return Math.log10(probability / (backgroundImpactFrequency(energy) * yearsToImpact));
+};
+
+// Zones follow the published probability/energy chart. Below 1% the diagonal
+// 0/1 and 1/2 boundaries are approximated as straight lines in log-log space.
+export const torinoScale = ({ probability, energy }) => {
+  if (!(probability > 0) || !(energy >= 1)) return 0;
+  const severity = energy < REGIONAL_MT ? 0 : energy < GLOBAL_MT ? 1 : 2;
+  if (probability >= CERTAIN) return 8 + severity;
+  if (probability >= THREATENING) {
+    if (severity === 0) return 3;
+    return (severity === 1 ? 4 : 6) + (probability >= 0.1 ? 1 : 0);
+  }
+  const logP = Math.log10(probability);
+  const logE = Math.log10(energy);
+  if (logP < -2 - 0.75 * logE) return 0;
+  return logP < -0.75 * logE ? 1 : 2;
+};
+
+const formatProbability = (probability) =>
+  probability === 0 ? '0' : probability >= 0.01 ? `${(probability * 100).toFixed(1)}%` : probability.toExponential(1);
+
+export const rateHazard = ({ probability, energy, yearsToImpact }) => {
+  const torino = torinoScale({ probability, energy });
+  const palermo = palermoScale({ probability, energy, yearsToImpact });
+  const inputs = `P = ${formatProbability(probability)}, E = ${energy.toPrecision(3)} Mt`;
+
+  return {
+    torino,
+    palermo,
+    torinoExplanation: `Torino ${torino}: ${TORINO_DESCRIPTIONS[torino]}. From ${inputs}` +
+      (energy < 1 ? ' (below the 1 Mt floor of the scale).' : '.'),
+    palermoExplanation: palermo === null
+      ? 'Palermo undefined: no impact probability.'
+      : `Palermo ${palermo.toFixed(2)} = log10(P / (fB × T)) with ${inputs}, T = ${yearsToImpact.toFixed(1)} y ` +
+        `and background rate fB = 0.03 E^-0.8 = ${backgroundImpactFrequency(energy).toExponential(2)} /y.`
+  };
+};
@@ -0,0 +1,30 @@
+import { palermoScale, rateHazard, torinoScale } from './hazardScales';
+
+test('rates Apophis at its December 2004 peak as Torino 4', () => {
+  expect(torinoScale({ probability: 0.027, energy: 1480 })).toBe(4);
+  expect(palermoScale({ probability: 0.027, energy: 1480, yearsToImpact: 24.3 })).toBeCloseTo(1.1, 0);
+});
+
+test('certain collisions map to 8-10 by energy', () => {
+  expect(torinoScale({ probability: 1, energy: 10 })).toBe(8);
+  expect(torinoScale({ probability: 1, energy: 5e4 })).toBe(9);
+  expect(torinoScale({ probability: 1, energy: 1e8 })).toBe(10);
+});
+
+test('small or improbable impacts rate zero', () => {
+  expect(torinoScale({ probability: 1, energy: 0.5 })).toBe(0);
+  expect(torinoScale({ probability: 1e-9, energy: 100 })).toBe(0);
+  expect(torinoScale({ probability: 0, energy: 1e6 })).toBe(0);
+});
+
+test('sub-percent probabilities fall into zones 1 and 2 along the chart diagonals', () => {
+  expect(torinoScale({ probability: 1e-4, energy: 1e4 })).toBe(1);
+  expect(torinoScale({ probability: 5e-3, energy: 1e4 })).toBe(2);
+});
+
+test('Palermo is undefined without an impact probability and explains itself otherwise', () => {
+  expect(palermoScale({ probability: 0, energy: 100, yearsToImpact: 10 })).toBeNull();
+  const rating = rateHazard({ probability: 1e-3, energy: 100, yearsToImpact: 10 });
+  expect(rating.palermoExplanation).toContain('log10');
+  expect(rating.torinoExplanation).toMatch(/^Torino \d/);
+});
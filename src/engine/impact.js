@@ -0,0 +1,284 @@
+import { EARTH_RADIUS_KM, GRAVITY, JOULES_PER_MEGATON } from './constants';
+import { simulateEntry } from './entry';
+import { VULNERABILITY, samplePopulation } from './population';
+import { calculateTsunami } from './ocean';
+
+// Scaling laws follow Collins, Melosh & Marcus (2005), "Earth Impact Effects Program".
+
+export const TARGETS = {
+  sedimentary: { name: 'Sedimentary Rock', density: 2500 },
+  crystalline: { name: 'Crystalline Rock', density: 2750 },
+  water: { name: 'Ocean', density: 1000, seafloor: 'sedimentary' }
+};
+
+export const IMPACT_UNITS = {
+  mass: 'kg',
+  energy: 'Mt',
+  energyJoules: 'J',
+  impactVelocity: 'km/s',
+  breakupAltitude: 'km',
+  airburstAltitude: 'km',
+  airburstEnergy: 'Mt',
+  groundEnergy: 'Mt',
+  groundMass: 'kg',
+  transientCraterDiameter: 'km',
+  craterDiameter: 'km',
+  craterDepth: 'km',
+  fireballRadius: 'km',
+  airblastRadius: 'km',
+  thermalRadius: 'km',
+  seismicRadius: 'km',
+  magnitude: 'Richter',
+  populationAtRisk: 'people',
+  casualties: 'people'
+};
+
+const SIMPLE_CRATER_LIMIT_KM = 3.2;
+const PEAK_OVERPRESSURE_PA = 75000;
+const PEAK_OVERPRESSURE_RANGE_M = 290;
+const SEVERE_OVERPRESSURE_PA = 34474;
+const GROUND_REFLECTION_FACTOR = 2;
+const LUMINOUS_EFFICIENCY = 3e-3;
+const THIRD_DEGREE_BURN_EXPOSURE = 4.2e5;
+const DAMAGING_MAGNITUDE = 5;
+const MAX_EFFECT_RANGE_KM = Math.PI * EARTH_RADIUS_KM;
+// Light damage reaches past the severe (5 psi) airblast and third-degree burn
+// radii: the 1 psi overpressure that shatters windows extends about three times
+// as far (Glasstone & Dolan 1977), and fluence falling as 1/r² is down to
+// first-degree burn levels at twice the distance.
+const RISK_AIRBLAST_FACTOR = 3;
+const RISK_THERMAL_FACTOR = 2;
+
+// The range is (min, max], or [min, max] with inclusiveMin.
+const requireNumber = (scenario, key, min, max = Infinity, { inclusiveMin = false } = {}) => {
+  const value = scenario[key];
+  const belowMin = inclusiveMin ? value < min : value <= min;
+  if (typeof value !== 'number' || !Number.isFinite(value) || belowMin || value > max) {
+    throw new RangeError(`Scenario ${key} must be a number in ${inclusiveMin ? '[' : '('}${min}, ${max}], got ${value}`);
+  }
+};
+
+export const validateScenario = (scenario) => {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new TypeError('Scenario must be an object');
+  }
+  requireNumber(scenario, 'diameter', 0);
+  requireNumber(scenario, 'velocity', 0);
+  requireNumber(scenario, 'density', 0);
+  requireNumber(scenario, 'angle', 0, 90);
+  if (scenario.strength !== undefined) requireNumber(scenario, 'strength', 0);
+  if (scenario.waterDepth !== undefined) requireNumber(scenario, 'waterDepth', 0);
+  if (!TARGETS[scenario.target]) {
+    throw new RangeError(`Unknown impact target "${scenario.target}"`);
+  }
+  if (scenario.site !== undefined) {
+    requireNumber(scenario.site, 'lat', -90, 90, { inclusiveMin: true });
+    requireNumber(scenario.site, 'lon', -180, 180, { inclusiveMin: true });
+  }
+  return scenario;
+};
+
+// Largest distance (km) at which a decreasing effect still reaches the threshold.
+const solveRange = (effectAt, threshold) => {
+  if (!(threshold > 0) || effectAt(1e-3) < threshold) return 0;
+  if (effectAt(MAX_EFFECT_RANGE_KM) >= threshold) return MAX_EFFECT_RANGE_KM;
+  let low = 1e-3;
+  let high = MAX_EFFECT_RANGE_KM;
+  for (let i = 0; i < 60; i++) {
+    const mid = Math.sqrt(low * high);
+    if (effectAt(mid) >= threshold) low = mid;
+    else high = mid;
+  }
+  return low;
+};
+
+const slantRange = (distanceKm, altitudeKm) => Math.hypot(distanceKm, altitudeKm);
+
+export const overpressureAt = (distanceKm, energyMt) => {
+  const scaledDistance = (distanceKm * 1000) / Math.cbrt(energyMt * 1000);
+  return (PEAK_OVERPRESSURE_PA * PEAK_OVERPRESSURE_RANGE_M / (4 * scaledDistance)) *
+    (1 + 3 * Math.pow(PEAK_OVERPRESSURE_RANGE_M / scaledDistance, 1.3));
+};
+
+export const thermalExposureAt = (distanceKm, energyJoules) => {
+  const distanceM = distanceKm * 1000;
+  return LUMINOUS_EFFICIENCY * energyJoules / (2 * Math.PI * distanceM * distanceM);
+};
+
+// Collins eq. 58; the far-field term is offset so the curve stays continuous at 700 km.
+export const effectiveMagnitudeAt = (distanceKm, magnitude) => {
+  if (distanceKm < 60) return magnitude - 0.0238 * distanceKm;
+  if (distanceKm < 700) return magnitude - 0.0048 * distanceKm - 1.1644;
+  return magnitude - 1.66 * Math.log10(distanceKm / 700) - 4.5244;
+};
+
+export const craterDimensions = ({ diameter, density, impactVelocity, angle, targetDensity }) => {
+  const angleRad = (angle * Math.PI) / 180;
+  const transientM = 1.161 * Math.cbrt(density / targetDensity) *
+    Math.pow(diameter, 0.78) * Math.pow(impactVelocity * 1000, 0.44) *
+    Math.pow(GRAVITY, -0.22) * Math.cbrt(Math.sin(angleRad));
+  const transient = transientM / 1000;
+
+  if (transient * 1.25 < SIMPLE_CRATER_LIMIT_KM) {
+    const finalDiameter = transient * 1.25;
+    const transientDepth = transient / (2 * Math.SQRT2);
+    const rimHeight = 0.07 * Math.pow(transient, 4) / Math.pow(finalDiameter, 3);
+    const brecciaVolume = 0.032 * Math.pow(finalDiameter, 3);
+    const brecciaThickness = 2.8 * brecciaVolume *
+      ((transientDepth + rimHeight) / (transientDepth * finalDiameter * finalDiameter));
+    return {
+      transientDiameter: transient,
+      diameter: finalDiameter,
+      depth: transientDepth + rimHeight - brecciaThickness,
+      type: 'simple'
+    };
+  }
+
+  const finalDiameter = 1.17 * Math.pow(transient, 1.13) / Math.pow(SIMPLE_CRATER_LIMIT_KM, 0.13);
+  return {
+    transientDiameter: transient,
+    diameter: finalDiameter,
+    depth: 0.4 * Math.pow(finalDiameter, 0.3),
+    type: 'complex'
+  };
+};
+
+export const kineticEnergy = ({ diameter, density, velocity }) =>
+  (2 / 3) * Math.PI * Math.pow(diameter / 2, 3) * density * Math.pow(velocity * 1000, 2) / JOULES_PER_MEGATON;
+
+export const classifyThreat = (energyMt) => {
+  if (energyMt > 1000) return 'CATASTROPHIC';
+  if (energyMt > 100) return 'SEVERE';
+  if (energyMt > 10) return 'HIGH';
+  if (energyMt > 1) return 'MODERATE';
+  return 'LOW';
+};
+
+// Radius in km beyond which an impact's effects no longer put anyone at risk.
+// populationAtRisk counts everyone inside it, the same area casualties are
+// summed over; exposedPopulation.airblast keeps the airblast-only count.
+export const populationRiskRadius = ({ crater, airblast, thermal, seismic }) =>
+  Math.max(crater, RISK_AIRBLAST_FACTOR * airblast, RISK_THERMAL_FACTOR * thermal, seismic);
+
+const assessPopulation = ({ site, blastEnergy, blastJoules, burstAltitude, reflection, burnThreshold, magnitude, radii }) => {
+  const { crater, airblast, thermal, seismic } = radii;
+  const exposed = { crater: 0, airblast: 0, thermal: 0, seismic: 0 };
+  let casualties = 0;
+
+  const populationAtRisk = samplePopulation(site, populationRiskRadius(radii), (distance, people) => {
+    if (distance <= crater) exposed.crater += people;
+    if (distance <= airblast) exposed.airblast += people;
+    if (distance <= thermal) exposed.thermal += people;
+    if (distance <= seismic) exposed.seismic += people;
+
+    const slant = slantRange(distance, burstAltitude);
+    const survival = [
+      distance <= crater ? 1 : 0,
+      VULNERABILITY.overpressure(reflection * overpressureAt(slant, blastEnergy)),
+      VULNERABILITY.thermal(thermalExposureAt(slant, blastJoules), burnThreshold),
+      magnitude === null ? 0 : VULNERABILITY.seismic(effectiveMagnitudeAt(distance, magnitude))
+    ].reduce((alive, risk) => alive * (1 - risk), 1);
+    casualties += people * (1 - survival);
+  });
+
+  return {
+    populationAtRisk: Math.round(populationAtRisk),
+    casualties: Math.round(casualties),
+    exposedPopulation: Object.fromEntries(Object.entries(exposed).map(([key, value]) => [key, Math.round(value)]))
+  };
+};
+
+export const calculateImpact = (scenario) => {
+  const { diameter, velocity, density, angle, target, strength, site, waterDepth } = validateScenario(scenario);
+  const { seafloor } = TARGETS[target];
+
+  const mass = (4 / 3) * Math.PI * Math.pow(diameter / 2, 3) * density;
+  const energy = kineticEnergy({ diameter, density, velocity });
+  const energyJoules = energy * JOULES_PER_MEGATON;
+
+  const entry = simulateEntry({ diameter, velocity, density, angle, strength });
+  const blastEnergy = entry.airburst ? entry.airburstEnergy : entry.groundEnergy;
+  const blastJoules = blastEnergy * JOULES_PER_MEGATON;
+  const burstAltitude = entry.airburst ? entry.airburstAltitude : 0;
+
+  const tsunami = seafloor && !entry.airburst
+    ? calculateTsunami({ diameter: entry.groundDiameter, density, velocity: entry.groundVelocity, angle, site, waterDepth })
+    : null;
+  const noCrater = { transientDiameter: 0, diameter: 0, depth: 0, type: null };
+
+  let crater = noCrater;
+  if (tsunami) {
+    crater = tsunami.reachesSeafloor
+      ? craterDimensions({
+        diameter: entry.groundDiameter,
+        density,
+        impactVelocity: tsunami.seafloorVelocity,
+        angle,
+        targetDensity: TARGETS[seafloor].density
+      })
+      : noCrater;
+  } else if (!entry.airburst) {
+    crater = craterDimensions({
+      diameter: entry.groundDiameter,
+      density,
+      impactVelocity: entry.groundVelocity,
+      angle,
+      targetDensity: TARGETS[target].density
+    });
+  }
+
+  const fireballRadius = 0.002 * Math.cbrt(blastJoules) / 1000;
+  const reflection = entry.airburst ? GROUND_REFLECTION_FACTOR : 1;
+  const airblastRadius = solveRange(
+    (r) => reflection * overpressureAt(slantRange(r, burstAltitude), blastEnergy),
+    SEVERE_OVERPRESSURE_PA
+  );
+  const burnThreshold = THIRD_DEGREE_BURN_EXPOSURE * Math.pow(blastEnergy, 1 / 6);
+  const thermalRadius = solveRange(
+    (r) => thermalExposureAt(slantRange(r, burstAltitude), blastJoules),
+    burnThreshold
+  );
+  const groundShaking = !entry.airburst && entry.groundEnergy > 0;
+  const magnitude = groundShaking ? 0.67 * Math.log10(entry.groundEnergy * JOULES_PER_MEGATON) - 5.87 : null;
+  const seismicRadius = groundShaking ? solveRange((r) => effectiveMagnitudeAt(r, magnitude), DAMAGING_MAGNITUDE) : 0;
+
+  const population = site
+    ? assessPopulation({
+      site,
+      blastEnergy,
+      blastJoules,
+      burstAltitude,
+      reflection,
+      burnThreshold,
+      magnitude,
+      radii: { crater: crater.diameter / 2, airblast: airblastRadius, thermal: thermalRadius, seismic: seismicRadius }
+    })
+    : { populationAtRisk: null, casualties: null, exposedPopulation: null };
+
+  return {
+    mass,
+    energy,
+    energyJoules,
+    impactVelocity: entry.groundVelocity,
+    breakupAltitude: entry.breakupAltitude,
+    airburst: entry.airburst,
+    airburstAltitude: entry.airburstAltitude,
+    airburstEnergy: entry.airburstEnergy,
+    groundEnergy: entry.groundEnergy,
+    groundMass: entry.groundMass,
+    transientCraterDiameter: crater.transientDiameter,
+    craterDiameter: crater.diameter,
+    craterDepth: crater.depth,
+    craterType: crater.type,
+    fireballRadius,
+    airblastRadius,
+    thermalRadius,
+    seismicRadius,
+    magnitude,
+    populationAtRisk: population.populationAtRisk,
+    casualties: population.casualties,
+    exposedPopulation: population.exposedPopulation,
+    tsunami,
+    threatLevel: classifyThreat(energy)
+  };
+};
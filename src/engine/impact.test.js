@@ -0,0 +1,70 @@
+import { calculateImpact, validateScenario, IMPACT_UNITS } from './impact';
+import { COMPOSITIONS } from './compositions';
+
+const meteorCrater = {
+  diameter: 50,
+  velocity: 12.8,
+  density: COMPOSITIONS.iron.density,
+  strength: COMPOSITIONS.iron.strength,
+  angle: 45,
+  target: 'sedimentary'
+};
+
+test('reproduces the Barringer (Meteor) Crater within scaling-law accuracy', () => {
+  const result = calculateImpact(meteorCrater);
+  expect(result.energy).toBeGreaterThan(5);
+  expect(result.energy).toBeLessThan(15);
+  expect(result.craterDiameter).toBeGreaterThan(0.8);
+  expect(result.craterDiameter).toBeLessThan(1.6);
+  expect(result.craterType).toBe('simple');
+});
+
+test('produces a complex crater for a Chicxulub-scale impactor', () => {
+  const result = calculateImpact({ ...meteorCrater, diameter: 10000, velocity: 20, density: 2000, angle: 60 });
+  expect(result.craterType).toBe('complex');
+  expect(result.craterDiameter).toBeGreaterThan(100);
+  expect(result.craterDiameter).toBeLessThan(250);
+  expect(result.threatLevel).toBe('CATASTROPHIC');
+});
+
+test('returns plain numbers or null for every field with a declared unit', () => {
+  const result = calculateImpact(meteorCrater);
+  Object.keys(IMPACT_UNITS).forEach((key) => {
+    expect(result[key] === null || Number.isFinite(result[key])).toBe(true);
+  });
+});
+
+test('reports Tunguska as an airburst without a crater', () => {
+  const result = calculateImpact({
+    diameter: 60,
+    velocity: 27,
+    density: COMPOSITIONS.stony.density,
+    strength: COMPOSITIONS.stony.strength,
+    angle: 30,
+    target: 'sedimentary'
+  });
+  expect(result.airburst).toBe(true);
+  expect(result.craterDiameter).toBe(0);
+  expect(result.magnitude).toBeNull();
+  expect(result.airburstAltitude).toBeGreaterThan(5);
+  expect(result.airburstAltitude).toBeLessThan(25);
+  expect(result.airblastRadius).toBeGreaterThan(0);
+});
+
+test('damage radii grow with impact energy', () => {
+  const small = calculateImpact(meteorCrater);
+  const large = calculateImpact({ ...meteorCrater, diameter: 500 });
+  expect(large.airblastRadius).toBeGreaterThan(small.airblastRadius);
+  expect(large.thermalRadius).toBeGreaterThan(small.thermalRadius);
+  expect(large.seismicRadius).toBeGreaterThan(small.seismicRadius);
+});
+
+test('rejects incomplete or out-of-range scenarios', () => {
+  expect(() => validateScenario(null)).toThrow(TypeError);
+  expect(() => validateScenario({ ...meteorCrater, angle: 120 })).toThrow(RangeError);
+  expect(() => validateScenario({ ...meteorCrater, diameter: undefined })).toThrow(RangeError);
+  expect(() => validateScenario({ ...meteorCrater, target: 'lava' })).toThrow(RangeError);
+  expect(() => validateScenario({ ...meteorCrater, strength: -1 })).toThrow(RangeError);
+  expect(validateScenario({ ...meteorCrater, site: { lat: -90, lon: -180 } }).site).toEqual({ lat: -90, lon: -180 });
+  expect(() => validateScenario({ ...meteorCrater, site: { lat: -90.5, lon: 0 } })).toThrow('Scenario lat must be a number in [-90, 90], got -90.5');
+});
@@ -0,0 +1,142 @@
+import { COMPOSITIONS } from './compositions';
+import { destinationPoint, greatCircleDistance, normalizeLongitude } from './geo';
+import { surfaceTypeAt } from './geography';
+import { calculateImpact, classifyThreat, populationRiskRadius } from './impact';
+import { bPlaneToSurface, captureRadius, propagateApproach } from './orbit';
+import { samplePopulation } from './population';
+import { createRandom } from './random';
+
+// Scenarios with several bodies. Each body is propagated and assessed on its
+// own; aggregateImpacts then combines the results into one damage summary.
+// A body is { name, size (m), velocity (v∞ km/s), composition, impactParameter
+// (fraction of the capture radius), heading, site, delay (s after the primary) }.
+
+export const SIDEREAL_DAY = 86164.1;
+
+export const simulateImpactor = (body) => {
+  const { size, velocity, composition, impactParameter, heading, site, delay = 0 } = body;
+  const approach = propagateApproach({
+    vInfinity: velocity,
+    impactParameter: impactParameter * captureRadius(velocity),
+    site,
+    heading
+  });
+  const surface = surfaceTypeAt(site.lat, site.lon);
+  const end = approach.path[approach.path.length - 1];
+  const effects = approach.hit && end
+    ? calculateImpact({
+      diameter: size,
+      velocity: approach.entrySpeed,
+      density: COMPOSITIONS[composition].density,
+      strength: COMPOSITIONS[composition].strength,
+      angle: approach.entryAngle,
+      target: surface === 'ocean' ? 'water' : 'sedimentary',
+      site
+    })
+    : null;
+  return { ...body, delay, approach, surface, effects, arrival: (end ? end.time : 0) + delay };
+};
+
+// First and last simulated times over every body's path, in seconds relative
+// to the primary's arrival. Bodies without a drawn path are left out.
+export const simulationSpan = (runs) => {
+  const drawn = runs.filter(({ approach }) => approach.path.length > 0);
+  if (!drawn.length) return { start: 0, end: 0 };
+  return {
+    start: Math.min(...drawn.map(({ approach, delay = 0 }) => approach.path[0].time + delay)),
+    end: Math.max(...drawn.map(({ approach, delay = 0 }) => approach.path[approach.path.length - 1].time + delay))
+  };
+};
+
+const fragmentName = (parent, index) => `${parent.name} ${index < 26 ? String.fromCharCode(65 + index) : index + 1}`;
+
+// Shoemaker-Levy 9 style train: the parent's volume split unevenly between
+// count fragments on the same trajectory, arriving interval seconds apart.
+// Earth turns under the train, so each fragment lands further west.
+export const fragmentTrain = (parent, { count, interval, sizeSpread = 0.5, seed = 9 }) => {
+  const random = createRandom(seed);
+  const weights = Array.from({ length: count }, () => 1 + sizeSpread * (2 * random() - 1));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map((weight, index) => {
+    const delay = index * interval;
+    return {
+      ...parent,
+      name: fragmentName(parent, index),
+      size: Math.max(1, Math.round(parent.size * Math.cbrt(weight / total))),
+      site: { lat: parent.site.lat, lon: normalizeLongitude(parent.site.lon - 360 * delay / SIDEREAL_DAY) },
+      delay
+    };
+  });
+};
+
+// Secondary of a binary system such as Didymos/Dimorphos, arriving with the
+// primary and displaced across the ground track by their separation (km).
+export const binaryCompanion = (primary, { size, separation, composition = primary.composition }) => ({
+  ...primary,
+  name: `${primary.name} secondary`,
+  size,
+  composition,
+  site: destinationPoint(primary.site, primary.heading + 90, separation),
+  delay: primary.delay ?? 0
+});
+
+// Bodies for the fragments of a disrupted parent, largest remnant first, from
+// calculateDeflection's result. The scene draws the cloud's centre on the
+// parent's site like any deflected primary, so while it still hits, fragment
+// B-plane points are rotated into a frame where the centre is the nominal point.
+export const fragmentCloud = (parent, { bPlaneDistance, captureRadius: capture, disruption }) => {
+  const { fragments } = disruption;
+  const centred = bPlaneDistance > 0 && bPlaneDistance <= capture;
+  const [cos, sin] = centred ? [fragments[0].xi / bPlaneDistance, fragments[0].zeta / bPlaneDistance] : [1, 0];
+  const toSurface = bPlaneToSurface({
+    vInfinity: parent.velocity,
+    impactParameter: centred ? bPlaneDistance : 0,
+    site: parent.site,
+    heading: parent.heading
+  });
+  return fragments.map(({ diameter, xi, zeta, bPlaneDistance: distance, delay, hit }, index) => ({
+    ...parent,
+    name: fragmentName(parent, index),
+    size: diameter,
+    impactParameter: distance / capture,
+    site: (hit && toSurface(xi * cos + zeta * sin, zeta * cos - xi * sin)) || parent.site,
+    delay
+  }));
+};
+
+const riskRadius = ({ effects }) => populationRiskRadius({
+  crater: effects.craterDiameter / 2,
+  airblast: effects.airblastRadius,
+  thermal: effects.thermalRadius,
+  seismic: effects.seismicRadius
+});
+
+// Combined damage of the bodies that reach the ground. People inside several
+// bodies' risk areas are counted once; casualties are summed per body and
+// capped at that combined population, so overlapping blasts are not compounded.
+export const aggregateImpacts = (runs) => {
+  const impacts = runs.filter(({ effects }) => effects);
+  const radii = impacts.map(riskRadius);
+  const populationAtRisk = impacts.reduce((total, { site }, index) => {
+    let people = 0;
+    samplePopulation(site, radii[index], (distance, count, point) => {
+      const counted = impacts.slice(0, index).some((other, j) => greatCircleDistance(point, other.site) <= radii[j]);
+      if (!counted) people += count;
+    });
+    return total + people;
+  }, 0);
+  const energy = impacts.reduce((total, { effects }) => total + effects.energy, 0);
+  const casualties = impacts.reduce((total, { effects }) => total + effects.casualties, 0);
+
+  return {
+    bodies: runs.length,
+    impacts: impacts.length,
+    airbursts: impacts.filter(({ effects }) => effects.airburst).length,
+    misses: runs.length - impacts.length,
+    energy,
+    populationAtRisk: Math.round(populationAtRisk),
+    casualties: Math.min(casualties, Math.round(populationAtRisk)),
+    largestCrater: impacts.reduce((largest, { effects }) => Math.max(largest, effects.craterDiameter), 0),
+    threatLevel: classifyThreat(energy)
+  };
+};
@@ -0,0 +1,52 @@
+import { greatCircleDistance } from './geo';
+import { SIDEREAL_DAY, aggregateImpacts, binaryCompanion, fragmentTrain, simulateImpactor, simulationSpan } from './impactors';
+
+const tokyo = { lat: 35.68, lon: 139.69 };
+const body = { name: 'Test', size: 200, velocity: 15, composition: 'stony', impactParameter: 0.5, heading: 90, site: tokyo };
+
+test('simulates each body on its own trajectory and arrival time', () => {
+  const run = simulateImpactor({ ...body, delay: 600 });
+  expect(run.approach.hit).toBe(true);
+  expect(run.effects.energy).toBeGreaterThan(0);
+  expect(run.arrival).toBeCloseTo(600, 6);
+
+  const miss = simulateImpactor({ ...body, impactParameter: 2, delay: 0 });
+  expect(miss.effects).toBeNull();
+
+  const span = simulationSpan([simulateImpactor(body), run]);
+  expect(span.end).toBeCloseTo(600, 6);
+  expect(span.start).toBeLessThan(0);
+});
+
+test('splits a parent into a fragment train that keeps its volume', () => {
+  const train = fragmentTrain({ ...body, size: 1000 }, { count: 5, interval: 3600 });
+  expect(train.map(({ name }) => name)).toEqual(['Test A', 'Test B', 'Test C', 'Test D', 'Test E']);
+  expect(train.map(({ delay }) => delay)).toEqual([0, 3600, 7200, 10800, 14400]);
+  expect(train.reduce((volume, { size }) => volume + size ** 3, 0)).toBeCloseTo(1e9, -7);
+  expect(new Set(train.map(({ size }) => size)).size).toBeGreaterThan(1);
+  expect(tokyo.lon - train[1].site.lon).toBeCloseTo(360 * 3600 / SIDEREAL_DAY, 6);
+  expect(fragmentTrain(body, { count: 3, interval: 60 })).toEqual(fragmentTrain(body, { count: 3, interval: 60 }));
+});
+
+test('places a binary secondary beside the primary', () => {
+  const secondary = binaryCompanion(body, { size: 40, separation: 1.2 });
+  expect(secondary.size).toBe(40);
+  expect(secondary.delay).toBe(0);
+  expect(greatCircleDistance(tokyo, secondary.site)).toBeCloseTo(1.2, 6);
+});
+
+test('aggregates damage without counting overlapping populations twice', () => {
+  const single = simulateImpactor(body);
+  const together = aggregateImpacts([single, simulateImpactor(binaryCompanion(body, { size: 200, separation: 0.5 }))]);
+  expect(together.impacts).toBe(2);
+  expect(together.energy).toBeCloseTo(2 * single.effects.energy, 6);
+  expect(together.populationAtRisk).toBeLessThan(1.1 * single.effects.populationAtRisk);
+  expect(together.casualties).toBeLessThanOrEqual(together.populationAtRisk);
+
+  const apart = aggregateImpacts([single, simulateImpactor({ ...body, site: { lat: 40.71, lon: -74.01 } })]);
+  const separate = aggregateImpacts([simulateImpactor({ ...body, site: { lat: 40.71, lon: -74.01 } })]);
+  expect(apart.populationAtRisk).toBeCloseTo(single.effects.populationAtRisk + separate.populationAtRisk, -1);
+
+  const missed = aggregateImpacts([simulateImpactor({ ...body, impactParameter: 2 })]);
+  expect(missed).toMatchObject({ bodies: 1, impacts: 0, misses: 1, energy: 0, populationAtRisk: 0, casualties: 0, threatLevel: 'LOW' });
+});
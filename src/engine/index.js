@@ -0,0 +1,20 @@
+export * from './constants';
+export * from './random';
+export * from './compositions';
+export * from './geo';
+export * from './geography';
+export * from './population';
+export * from './ocean';
+export * from './entry';
+export * from './impact';
+export * from './craterFormation';
+export * from './orbit';
+export * from './disruption';
+export * from './deflection';
+export * from './uncertainty';
+export * from './sweep';
+export * from './hazardScales';
+export * from './ephemeris';
+export * from './mission';
+export * from './clock';
+export * from './impactors';
@@ -0,0 +1,142 @@
+import { AU_KM, MU_SUN, earthElements, stateFromElements } from './ephemeris';
+
+// Interceptor mission design: Lambert transfers from Earth to the target on
+// the Sun's two-body problem, and porkchop grids of them. Dates are Julian
+// dates; states are heliocentric ecliptic km and km/s.
+
+export const DAYS_PER_YEAR = 365.25;
+// Roughly what a heavy expendable launcher gives a deflection spacecraft.
+export const MAX_LAUNCH_C3 = 60;
+
+const add = (a, b, scale = 1) => ({ x: a.x + b.x * scale, y: a.y + b.y * scale, z: a.z + b.z * scale });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const length = (a) => Math.sqrt(dot(a, a));
+const scaled = (a, scale) => ({ x: a.x * scale, y: a.y * scale, z: a.z * scale });
+
+const stumpffC = (z) => {
+  if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+  if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+  return 1 / 2 - z / 24;
+};
+
+const stumpffS = (z) => {
+  if (z > 1e-6) return (Math.sqrt(z) - Math.sin(Math.sqrt(z))) / z ** 1.5;
+  if (z < -1e-6) return (Math.sinh(Math.sqrt(-z)) - Math.sqrt(-z)) / (-z) ** 1.5;
+  return 1 / 6 - z / 120;
+};
+
+// Two-body state dt seconds later with universal variables (Curtis, Alg. 3.4),
+// so elliptical and hyperbolic orbits alike.
+export const propagateKepler = ({ position, velocity }, dt, mu = MU_SUN) => {
+  const r0 = length(position);
+  const radialSpeed = dot(position, velocity) / r0;
+  const alpha = 2 / r0 - dot(velocity, velocity) / mu;
+  const rootMu = Math.sqrt(mu);
+
+  let chi = rootMu * Math.abs(alpha) * dt;
+  for (let i = 0; i < 100; i++) {
+    const z = alpha * chi * chi;
+    const [C, S] = [stumpffC(z), stumpffS(z)];
+    const F = (r0 * radialSpeed / rootMu) * chi * chi * C + (1 - alpha * r0) * chi ** 3 * S + r0 * chi - rootMu * dt;
+    const dF = (r0 * radialSpeed / rootMu) * chi * (1 - z * S) + (1 - alpha * r0) * chi * chi * C + r0;
+    chi -= F / dF;
+    if (Math.abs(F / dF) < 1e-9 * Math.max(1, Math.abs(chi))) break;
+  }
+
+  const z = alpha * chi * chi;
+  const [C, S] = [stumpffC(z), stumpffS(z)];
+  const f = 1 - (chi * chi / r0) * C;
+  const g = dt - chi ** 3 * S / rootMu;
+  const next = add(scaled(position, f), velocity, g);
+  const r = length(next);
+  const fDot = (rootMu / (r * r0)) * (z * chi * S - chi);
+  const gDot = 1 - (chi * chi / r) * C;
+  return { position: next, velocity: add(scaled(position, fDot), velocity, gDot) };
+};
+
+// Zero-revolution prograde Lambert arc from r1 to r2 in tof seconds (universal
+// variables, bisection on z). Returns the velocities at both ends, or null for
+// the degenerate 0° and 180° geometries.
+export const solveLambert = (r1, r2, tof, mu = MU_SUN) => {
+  const [R1, R2] = [length(r1), length(r2)];
+  const cosAngle = Math.min(1, Math.max(-1, dot(r1, r2) / (R1 * R2)));
+  const clockwise = r1.x * r2.y - r1.y * r2.x < 0;
+  const angle = clockwise ? 2 * Math.PI - Math.acos(cosAngle) : Math.acos(cosAngle);
+  const A = Math.sin(angle) * Math.sqrt(R1 * R2 / (1 - cosAngle));
+  if (!Number.isFinite(A) || Math.abs(A) < 1e-6 * Math.sqrt(R1 * R2)) return null;
+
+  const y = (z) => R1 + R2 + A * (z * stumpffS(z) - 1) / Math.sqrt(stumpffC(z));
+  const timeOfFlight = (z) => {
+    const yz = y(z);
+    if (yz < 0) return -Infinity;
+    return ((yz / stumpffC(z)) ** 1.5 * stumpffS(z) + A * Math.sqrt(yz)) / Math.sqrt(mu);
+  };
+
+  let [low, high] = [-4 * Math.PI * Math.PI, 4 * Math.PI * Math.PI - 1e-9];
+  if (timeOfFlight(low) > tof) return null;
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const middle = (low + high) / 2;
+    if (timeOfFlight(middle) < tof) low = middle;
+    else high = middle;
+  }
+
+  const yz = y((low + high) / 2);
+  const f = 1 - yz / R1;
+  const g = A * Math.sqrt(yz / mu);
+  const gDot = 1 - yz / R2;
+  return { v1: scaled(add(r2, r1, -f), 1 / g), v2: scaled(add(scaled(r2, gDot), r1, -1), 1 / g) };
+};
+
+export const earthState = (jd) => stateFromElements(earthElements(jd), jd);
+
+// Where the target is on a given date. A body with known elements follows them;
+// otherwise it is put on the orbit that meets Earth at impact with the
+// scenario's v∞, arriving from outside Earth's orbit at 45° to its motion and
+// slightly above the ecliptic, which is typical of Apollo-class impactors.
+export const missionTarget = ({ elements, vInfinity, impact }) => {
+  if (elements) return (jd) => stateFromElements(elements, jd);
+  const earth = earthState(impact);
+  const along = scaled(earth.velocity, 1 / length(earth.velocity));
+  const outward = scaled(earth.position, 1 / length(earth.position));
+  const direction = add(add(scaled(along, -1), outward, -1), { x: 0, y: 0, z: 1 }, -0.5);
+  const arrival = { position: earth.position, velocity: add(earth.velocity, direction, vInfinity / length(direction)) };
+  return (jd) => propagateKepler(arrival, (jd - impact) * 86400);
+};
+
+// C3 is the launch energy, the square of the departure hyperbolic excess speed
+// (km²/s²); arrivalSpeed is the interceptor's speed relative to the target.
+export const planTransfer = ({ target, launch, arrival }) => {
+  if (!(arrival > launch)) return null;
+  const earth = earthState(launch);
+  const goal = target(arrival);
+  const arc = solveLambert(earth.position, goal.position, (arrival - launch) * 86400);
+  if (!arc) return null;
+  const departure = add(arc.v1, earth.velocity, -1);
+  return {
+    launch,
+    arrival,
+    timeOfFlight: arrival - launch,
+    c3: dot(departure, departure),
+    arrivalSpeed: length(add(arc.v2, goal.velocity, -1)),
+    interceptDistance: length(add(goal.position, earthState(arrival).position, -1)) / AU_KM
+  };
+};
+
+// Transfers over a launch × arrival grid; cells where the arrival is not after
+// the launch are null.
+export const porkchop = ({ target, launch, arrival, steps = 40 }) => {
+  const dates = ({ start, end }) => Array.from({ length: steps }, (_, i) => start + ((end - start) * i) / (steps - 1));
+  const launches = dates(launch);
+  const arrivals = dates(arrival);
+  return {
+    launches,
+    arrivals,
+    transfers: arrivals.map((arrive) => launches.map((depart) => planTransfer({ target, launch: depart, arrival: arrive })))
+  };
+};
+
+// The lowest-C3 transfer in a grid that the launcher can fly, if any.
+export const bestTransfer = ({ transfers }, maxC3 = MAX_LAUNCH_C3) => transfers
+  .flat()
+  .filter((transfer) => transfer && transfer.c3 <= maxC3)
+  .reduce((best, transfer) => (!best || transfer.c3 < best.c3 ? transfer : best), null);
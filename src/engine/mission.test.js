@@ -0,0 +1,62 @@
+import { AU_KM, MU_SUN } from './ephemeris';
+import { bestTransfer, earthState, missionTarget, planTransfer, porkchop, propagateKepler, solveLambert } from './mission';
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const impact = 2462000.5;
+
+test('Kepler propagation keeps a circular orbit on its circle and handles hyperbolas', () => {
+  const speed = Math.sqrt(MU_SUN / AU_KM);
+  const state = { position: { x: AU_KM, y: 0, z: 0 }, velocity: { x: 0, y: speed, z: 0 } };
+  const period = 2 * Math.PI * Math.sqrt(AU_KM ** 3 / MU_SUN);
+  const quarter = propagateKepler(state, period / 4);
+  expect(quarter.position.x / AU_KM).toBeCloseTo(0, 6);
+  expect(quarter.position.y / AU_KM).toBeCloseTo(1, 6);
+
+  const fast = { ...state, velocity: { x: 0, y: 1.5 * speed, z: 0 } };
+  const back = propagateKepler(propagateKepler(fast, 3e7), -3e7);
+  expect(distance(back.position, fast.position)).toBeLessThan(1);
+});
+
+test('Lambert arcs reach the target in the requested time', () => {
+  const r1 = { x: AU_KM, y: 0, z: 0 };
+  const r2 = { x: -0.3 * AU_KM, y: 1.4 * AU_KM, z: 0.05 * AU_KM };
+  [120, 250, 400].forEach((days) => {
+    const { v1, v2 } = solveLambert(r1, r2, days * 86400);
+    const end = propagateKepler({ position: r1, velocity: v1 }, days * 86400);
+    expect(distance(end.position, r2)).toBeLessThan(10);
+    expect(distance(end.velocity, v2)).toBeLessThan(1e-5);
+  });
+  expect(solveLambert(r1, { x: 2 * AU_KM, y: 0, z: 0 }, 1e7)).toBeNull();
+});
+
+test('a synthesized target meets Earth at impact with the scenario v∞', () => {
+  const target = missionTarget({ vInfinity: 12, impact });
+  const earth = earthState(impact);
+  const state = target(impact);
+  expect(distance(state.position, earth.position)).toBeLessThan(1);
+  expect(distance(state.velocity, earth.velocity)).toBeCloseTo(12, 6);
+  expect(distance(target(impact - 200).position, earthState(impact - 200).position)).toBeGreaterThan(0.05 * AU_KM);
+});
+
+test('transfers report launch energy, arrival speed and time of flight', () => {
+  const target = missionTarget({ vInfinity: 12, impact });
+  const transfer = planTransfer({ target, launch: impact - 600, arrival: impact - 400 });
+  expect(transfer.timeOfFlight).toBe(200);
+  expect(transfer.c3).toBeGreaterThan(0);
+  expect(transfer.arrivalSpeed).toBeGreaterThan(0);
+  expect(transfer.interceptDistance).toBeGreaterThan(0);
+  expect(planTransfer({ target, launch: impact - 400, arrival: impact - 600 })).toBeNull();
+});
+
+test('a porkchop grid finds the cheapest feasible window', () => {
+  const target = missionTarget({ vInfinity: 8, impact });
+  const grid = porkchop({ target, launch: { start: impact - 1100, end: impact - 400 }, arrival: { start: impact - 1000, end: impact - 300 }, steps: 12 });
+  expect(grid.launches).toHaveLength(12);
+  expect(grid.transfers).toHaveLength(12);
+  expect(grid.transfers[0][11]).toBeNull();
+
+  const best = bestTransfer(grid);
+  expect(best.c3).toBeLessThanOrEqual(60);
+  grid.transfers.flat().filter(Boolean).forEach(({ c3 }) => expect(c3 >= best.c3 || c3 > 60).toBe(true));
+  expect(bestTransfer(grid, 0)).toBeNull();
+});
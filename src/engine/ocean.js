@@ -0,0 +1,82 @@
+import { GRAVITY } from './constants';
+import { nearestCountries } from './geography';
+
+// Water-layer crater and rim-wave estimates follow Collins et al. (2005); the
+// rim wave decays as 1/r and run-up uses Synolakis' (1987) plane-beach law.
+
+export const MEAN_OCEAN_DEPTH = 3682;
+
+export const TSUNAMI_UNITS = {
+  waterDepth: 'm',
+  waterCraterDiameter: 'km',
+  seafloorVelocity: 'km/s',
+  rimWaveAmplitude: 'm',
+  rimRadius: 'km',
+  waveSpeed: 'km/h'
+};
+
+export const COAST_UNITS = {
+  distance: 'km',
+  amplitude: 'm',
+  runUp: 'm',
+  arrivalTime: 'h'
+};
+
+const WATER_DENSITY = 1000;
+const DRAG_COEFFICIENT = 2;
+const BEACH_SLOPE_COTANGENT = 100;
+const COASTS_REPORTED = 5;
+
+export const seafloorVelocity = ({ diameter, density, velocity, angle, waterDepth }) => {
+  const sinAngle = Math.sin((angle * Math.PI) / 180);
+  return velocity * Math.exp(-3 * WATER_DENSITY * DRAG_COEFFICIENT * waterDepth / (2 * density * diameter * sinAngle));
+};
+
+export const waterCraterDiameter = ({ diameter, density, velocity, angle }) => {
+  const angleRad = (angle * Math.PI) / 180;
+  return 1.365 * Math.cbrt(density / WATER_DENSITY) * Math.pow(diameter, 0.78) *
+    Math.pow(velocity * 1000, 0.44) * Math.pow(GRAVITY, -0.22) * Math.cbrt(Math.sin(angleRad)) / 1000;
+};
+
+export const waveSpeed = (depth) => Math.sqrt(GRAVITY * depth) * 3.6;
+
+export const tsunamiAmplitudeAt = (distanceKm, { rimWaveAmplitude, rimRadius }) =>
+  distanceKm <= rimRadius ? rimWaveAmplitude : rimWaveAmplitude * rimRadius / distanceKm;
+
+export const runUpHeight = (amplitude, depth) =>
+  2.831 * Math.sqrt(BEACH_SLOPE_COTANGENT) * Math.pow(amplitude, 1.25) * Math.pow(depth, -0.25);
+
+export const calculateTsunami = ({ diameter, density, velocity, angle, site, waterDepth = MEAN_OCEAN_DEPTH }) => {
+  const craterDiameter = waterCraterDiameter({ diameter, density, velocity, angle });
+  const reachesSeafloor = (craterDiameter * 1000) / (2 * Math.SQRT2) > waterDepth;
+  const wave = {
+    rimWaveAmplitude: Math.min((craterDiameter * 1000) / 14.1, waterDepth),
+    rimRadius: craterDiameter / 2
+  };
+  const speed = waveSpeed(waterDepth);
+
+  const coasts = site
+    ? nearestCountries(site, COASTS_REPORTED).map(({ name, distance, lat, lon }) => {
+      const amplitude = tsunamiAmplitudeAt(distance, wave);
+      return {
+        name,
+        lat,
+        lon,
+        distance,
+        amplitude,
+        runUp: runUpHeight(amplitude, waterDepth),
+        arrivalTime: distance / speed
+      };
+    })
+    : [];
+
+  return {
+    waterDepth,
+    waterCraterDiameter: craterDiameter,
+    seafloorVelocity: seafloorVelocity({ diameter, density, velocity, angle, waterDepth }),
+    reachesSeafloor,
+    ...wave,
+    waveSpeed: speed,
+    coasts
+  };
+};
@@ -0,0 +1,40 @@
+import { calculateTsunami, tsunamiAmplitudeAt, runUpHeight, waveSpeed, MEAN_OCEAN_DEPTH } from './ocean';
+import { calculateImpact } from './impact';
+
+const offJapan = { lat: 35, lon: 145 };
+const impactor = { diameter: 500, velocity: 20, density: 3000, angle: 45 };
+
+test('travels at shallow-water wave speed', () => {
+  expect(waveSpeed(MEAN_OCEAN_DEPTH)).toBeGreaterThan(650);
+  expect(waveSpeed(MEAN_OCEAN_DEPTH)).toBeLessThan(720);
+});
+
+test('attenuates the rim wave with distance and runs it up on the coast', () => {
+  const wave = { rimWaveAmplitude: 300, rimRadius: 5 };
+  expect(tsunamiAmplitudeAt(1, wave)).toBe(300);
+  expect(tsunamiAmplitudeAt(500, wave)).toBeCloseTo(3);
+  expect(runUpHeight(3, MEAN_OCEAN_DEPTH)).toBeGreaterThan(3);
+});
+
+test('reports the nearest coasts with arrival times', () => {
+  const tsunami = calculateTsunami({ ...impactor, site: offJapan });
+  expect(tsunami.coasts[0].name).toBe('Japan');
+  expect(tsunami.coasts[0].arrivalTime).toBeGreaterThan(0);
+  tsunami.coasts.slice(1).forEach((coast, i) => {
+    expect(coast.distance).toBeGreaterThanOrEqual(tsunami.coasts[i].distance);
+    expect(coast.amplitude).toBeLessThanOrEqual(tsunami.coasts[i].amplitude);
+  });
+});
+
+test('only craters the seafloor when the water crater is deeper than the ocean', () => {
+  expect(calculateTsunami({ ...impactor, waterDepth: 100 }).reachesSeafloor).toBe(true);
+  expect(calculateTsunami({ ...impactor, diameter: 100, waterDepth: 5000 }).reachesSeafloor).toBe(false);
+});
+
+test('an ocean impact produces a tsunami instead of a land crater', () => {
+  const result = calculateImpact({ ...impactor, strength: 1e6, target: 'water', site: offJapan });
+  expect(result.tsunami).not.toBeNull();
+  expect(result.tsunami.rimWaveAmplitude).toBeGreaterThan(10);
+  const land = calculateImpact({ ...impactor, strength: 1e6, target: 'sedimentary' });
+  expect(land.tsunami).toBeNull();
+});
@@ -0,0 +1,201 @@
+import { EARTH_RADIUS_KM } from './constants';
+import { latLonToVector, localFrame, vectorToLatLon } from './geo';
+
+// Two-body hyperbolic approach. The asteroid starts on its incoming asymptote
+// far from Earth and is integrated with RK4 in a canonical plane; because
+// gravity is spherically symmetric the path is then rotated so that it strikes
+// (or, on a miss, passes closest over) the requested site on the requested heading.
+
+export const MU_EARTH = 398600.4418;
+export const ENTRY_INTERFACE_ALTITUDE = 100;
+
+const ENTRY_RADIUS = EARTH_RADIUS_KM + ENTRY_INTERFACE_ALTITUDE;
+const START_RADIUS = 200 * EARTH_RADIUS_KM;
+const PATH_RADIUS = 6 * EARTH_RADIUS_KM;
+const STEP_FRACTION = 0.002;
+const MAX_STEPS = 100000;
+
+export const escapeVelocity = (radiusKm) => Math.sqrt((2 * MU_EARTH) / radiusKm);
+
+export const entrySpeedFromVInfinity = (vInfinity) => Math.sqrt(vInfinity * vInfinity + escapeVelocity(ENTRY_RADIUS) ** 2);
+
+// Energy conservation back out to infinity from a speed measured at radiusKm.
+export const vInfinityFromSpeedAt = (speed, radiusKm) => Math.sqrt(Math.max(speed * speed - escapeVelocity(radiusKm) ** 2, 0.25));
+
+export const vInfinityFromEntrySpeed = (entrySpeed) => vInfinityFromSpeedAt(entrySpeed, ENTRY_RADIUS);
+
+// Largest impact parameter that still reaches the entry interface.
+export const captureRadius = (vInfinity) => ENTRY_RADIUS * entrySpeedFromVInfinity(vInfinity) / vInfinity;
+
+// Angular momentum is conserved, so b * vInf = r_entry * v_entry * cos(entry angle).
+export const impactParameterForEntryAngle = (vInfinity, entryAngle) =>
+  captureRadius(vInfinity) * Math.cos((entryAngle * Math.PI) / 180);
+
+const add = (a, b, scale = 1) => ({ x: a.x + b.x * scale, y: a.y + b.y * scale, z: a.z + b.z * scale });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => add({ x: 0, y: 0, z: 0 }, a, 1 / length(a));
+
+const gravity = (position) => {
+  const r = length(position);
+  return add({ x: 0, y: 0, z: 0 }, position, -MU_EARTH / (r * r * r));
+};
+
+const rk4Step = ({ position, velocity }, dt) => {
+  const k1v = gravity(position);
+  const k1r = velocity;
+  const k2v = gravity(add(position, k1r, dt / 2));
+  const k2r = add(velocity, k1v, dt / 2);
+  const k3v = gravity(add(position, k2r, dt / 2));
+  const k3r = add(velocity, k2v, dt / 2);
+  const k4v = gravity(add(position, k3r, dt));
+  const k4r = add(velocity, k3v, dt);
+  return {
+    position: add(position, add(add(k1r, k4r), add(k2r, k3r), 2), dt / 6),
+    velocity: add(velocity, add(add(k1v, k4v), add(k2v, k3v), 2), dt / 6)
+  };
+};
+
+const interpolate = (a, b, radius) => {
+  const ra = length(a.position);
+  const f = (ra - radius) / (ra - length(b.position));
+  return {
+    time: a.time + (b.time - a.time) * f,
+    position: add(a.position, add(b.position, a.position, -1), f),
+    velocity: add(a.velocity, add(b.velocity, a.velocity, -1), f)
+  };
+};
+
+// Integrates in a plane where the asteroid travels along +x, offset by b along +y.
+const integrateCanonical = (vInfinity, impactParameter) => {
+  const startRadius = Math.max(START_RADIUS, 2 * impactParameter);
+  const startPosition = { x: -Math.sqrt(startRadius ** 2 - impactParameter ** 2), y: impactParameter, z: 0 };
+  let state = {
+    time: 0,
+    position: startPosition,
+    velocity: { x: Math.sqrt(vInfinity * vInfinity + (2 * MU_EARTH) / startRadius), y: 0, z: 0 }
+  };
+  const samples = [state];
+  let entry = null;
+  let surface = null;
+  let closest = state;
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const r = length(state.position);
+    const dt = STEP_FRACTION * r / length(state.velocity);
+    const next = { time: state.time + dt, ...rk4Step(state, dt) };
+    const nextR = length(next.position);
+
+    if (!entry && nextR <= ENTRY_RADIUS) entry = interpolate(state, next, ENTRY_RADIUS);
+    if (nextR <= EARTH_RADIUS_KM) {
+      surface = interpolate(state, next, EARTH_RADIUS_KM);
+      samples.push(surface);
+      break;
+    }
+    if (nextR < length(closest.position)) closest = next;
+    samples.push(next);
+    state = next;
+    if (nextR > startRadius) break;
+  }
+  return { samples, entry, surface, closest };
+};
+
+const headingVector = (site, heading) => {
+  const { east, north } = localFrame(site.lat, site.lon);
+  const bearing = (heading * Math.PI) / 180;
+  return add(add({ x: 0, y: 0, z: 0 }, north, Math.cos(bearing)), east, Math.sin(bearing));
+};
+
+// Rotation taking the canonical (point, horizontal direction) pair onto the target pair.
+const alignment = (point, velocity, site, heading) => {
+  const from = normalize(point);
+  const horizontal = add(velocity, from, -dot(velocity, from));
+  const fromHeading = length(horizontal) > 1e-9 ? normalize(horizontal) : { x: 0, y: 0, z: 1 };
+  const fromFrame = [from, fromHeading, cross(from, fromHeading)];
+
+  const to = latLonToVector(site.lat, site.lon, 1);
+  const toHeading = headingVector(site, heading);
+  const toFrame = [to, toHeading, cross(to, toHeading)];
+
+  return (v) => {
+    const local = fromFrame.map((axis) => dot(v, axis));
+    return toFrame.reduce((sum, axis, i) => add(sum, axis, local[i]), { x: 0, y: 0, z: 0 });
+  };
+};
+
+export const propagateApproach = ({ vInfinity, impactParameter, site, heading = 90 }) => {
+  const { samples, entry, surface, closest } = integrateCanonical(vInfinity, impactParameter);
+  const reference = surface || closest;
+  const rotate = alignment(reference.position, reference.velocity, site, heading);
+  // A wide miss never comes within PATH_RADIUS, so keep the arc around closest approach.
+  const pathRadius = Math.max(PATH_RADIUS, 1.1 * length(closest.position));
+
+  const path = samples
+    .filter((sample) => length(sample.position) <= pathRadius)
+    .map((sample) => ({ time: sample.time - reference.time, ...rotate(sample.position) }));
+
+  const entryState = entry
+    ? {
+      entrySpeed: length(entry.velocity),
+      entryAngle: Math.asin(-dot(entry.velocity, normalize(entry.position)) / length(entry.velocity)) * 180 / Math.PI
+    }
+    : { entrySpeed: null, entryAngle: null };
+
+  // A path can dip into the atmosphere and climb back out, so only one that
+  // reaches the ground counts as a hit.
+  return {
+    hit: Boolean(surface),
+    ...entryState,
+    closestApproach: length(closest.position),
+    impactSite: surface ? vectorToLatLon(rotate(surface.position)) : null,
+    path
+  };
+};
+
+// Angle swept between the incoming asymptote and the point where a hyperbola
+// with impact parameter b crosses the given radius, or null if it never does.
+const sweepToRadius = (vInfinity, impactParameter, radius) => {
+  const e = Math.sqrt(1 + (impactParameter * vInfinity * vInfinity / MU_EARTH) ** 2);
+  const p = (impactParameter * vInfinity) ** 2 / MU_EARTH;
+  const cosAnomaly = (p / radius - 1) / e;
+  if (cosAnomaly > 1) return null;
+  return Math.acos(-1 / e) - Math.acos(Math.max(-1, cosAnomaly));
+};
+
+const canonicalSurfacePoint = (vInfinity, xi, zeta) => {
+  const b = Math.hypot(xi, zeta);
+  const sweep = sweepToRadius(vInfinity, b, EARTH_RADIUS_KM);
+  if (sweep === null) return null;
+  const direction = b > 0 ? { x: 0, y: xi / b, z: zeta / b } : { x: 0, y: 1, z: 0 };
+  return {
+    position: add({ x: -Math.cos(sweep), y: 0, z: 0 }, direction, Math.sin(sweep)),
+    velocity: add({ x: Math.sin(sweep), y: 0, z: 0 }, direction, Math.cos(sweep))
+  };
+};
+
+// Maps B-plane coordinates (xi along the nominal impact parameter, zeta across
+// it, both km) to surface points, oriented like propagateApproach so the
+// nominal point lands on the site. Used to project sampled B-plane scatter.
+// A nominal path that only grazes the atmosphere has no site to align with,
+// so nothing is projected and every point counts as a miss.
+export const bPlaneToSurface = ({ vInfinity, impactParameter, site, heading = 90 }) => {
+  const nominal = canonicalSurfacePoint(vInfinity, impactParameter, 0);
+  if (!nominal) return () => null;
+  const rotate = alignment(nominal.position, nominal.velocity, site, heading);
+  return (xi, zeta) => {
+    const point = canonicalSurfacePoint(vInfinity, xi, zeta);
+    return point ? vectorToLatLon(rotate(point.position)) : null;
+  };
+};
+
+export const positionAt = (path, time) => {
+  if (time <= path[0].time) return path[0];
+  for (let i = 1; i < path.length; i++) {
+    if (path[i].time >= time) {
+      const f = (time - path[i - 1].time) / (path[i].time - path[i - 1].time);
+      return add(path[i - 1], add(path[i], path[i - 1], -1), f);
+    }
+  }
+  return path[path.length - 1];
+};
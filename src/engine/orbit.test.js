@@ -0,0 +1,87 @@
+import {
+  propagateApproach,
+  captureRadius,
+  impactParameterForEntryAngle,
+  entrySpeedFromVInfinity,
+  vInfinityFromEntrySpeed,
+  positionAt,
+  bPlaneToSurface
+} from './orbit';
+import { EARTH_RADIUS_KM } from './constants';
+import { greatCircleDistance } from './geo';
+
+const tokyo = { lat: 35.68, lon: 139.69 };
+
+test('converts between v-infinity and entry speed', () => {
+  expect(entrySpeedFromVInfinity(0.001)).toBeCloseTo(11.09, 1);
+  expect(vInfinityFromEntrySpeed(entrySpeedFromVInfinity(15))).toBeCloseTo(15, 6);
+});
+
+test('gravitational focusing widens the capture radius for slow asteroids', () => {
+  expect(captureRadius(5)).toBeGreaterThan(captureRadius(30));
+  expect(captureRadius(1000)).toBeCloseTo(EARTH_RADIUS_KM + 100, -1);
+});
+
+test('integrates to the requested site with the entry angle implied by b', () => {
+  [15, 45, 80].forEach((angle) => {
+    const approach = propagateApproach({
+      vInfinity: 15,
+      impactParameter: impactParameterForEntryAngle(15, angle),
+      site: tokyo
+    });
+    expect(approach.hit).toBe(true);
+    expect(approach.entryAngle).toBeCloseTo(angle, 0);
+    expect(approach.entrySpeed).toBeCloseTo(entrySpeedFromVInfinity(15), 2);
+    expect(approach.impactSite.lat).toBeCloseTo(tokyo.lat, 4);
+    expect(approach.impactSite.lon).toBeCloseTo(tokyo.lon, 4);
+  });
+});
+
+test('misses when the impact parameter exceeds the capture radius', () => {
+  const approach = propagateApproach({ vInfinity: 10, impactParameter: 1.2 * captureRadius(10), site: tokyo });
+  expect(approach.hit).toBe(false);
+  expect(approach.closestApproach).toBeGreaterThan(EARTH_RADIUS_KM + 100);
+  expect(approach.impactSite).toBeNull();
+});
+
+test('a path that grazes the atmosphere without reaching the ground is a miss', () => {
+  const approach = propagateApproach({ vInfinity: 15, impactParameter: 0.99 * captureRadius(15), site: tokyo });
+  expect(approach.entryAngle).not.toBeNull();
+  expect(approach.hit).toBe(false);
+  expect(approach.impactSite).toBeNull();
+});
+
+test('draws the integrated path in time order, ending at the surface', () => {
+  const { path } = propagateApproach({ vInfinity: 20, impactParameter: 3000, site: tokyo });
+  const last = path[path.length - 1];
+  expect(Math.hypot(last.x, last.y, last.z)).toBeCloseTo(EARTH_RADIUS_KM, 0);
+  expect(last.time).toBeCloseTo(0, 6);
+  expect(path[0].time).toBeLessThan(0);
+  const midway = positionAt(path, path[0].time / 2);
+  expect(Math.hypot(midway.x, midway.y, midway.z)).toBeGreaterThan(EARTH_RADIUS_KM);
+});
+
+test('keeps a path around closest approach for a miss far outside the drawn region', () => {
+  const approach = propagateApproach({ vInfinity: 12, impactParameter: 254819, site: tokyo });
+  expect(approach.hit).toBe(false);
+  expect(approach.path.length).toBeGreaterThan(1);
+  const closest = Math.min(...approach.path.map((point) => Math.hypot(point.x, point.y, point.z)));
+  expect(closest).toBeCloseTo(approach.closestApproach, -2);
+  expect(positionAt(approach.path, 0)).toEqual(expect.objectContaining({ x: expect.any(Number) }));
+});
+
+test('projects B-plane points onto the surface around the nominal site', () => {
+  const b = impactParameterForEntryAngle(15, 45);
+  const project = bPlaneToSurface({ vInfinity: 15, impactParameter: b, site: tokyo, heading: 90 });
+  const nominal = project(b, 0);
+  expect(nominal.lat).toBeCloseTo(tokyo.lat, 4);
+  expect(nominal.lon).toBeCloseTo(tokyo.lon, 4);
+
+  const shifted = project(b * 0.8, 0);
+  expect(greatCircleDistance(shifted, tokyo)).toBeGreaterThan(100);
+  expect(shifted.lon).toBeLessThan(tokyo.lon);
+  expect(project(captureRadius(15) * 1.1, 0)).toBeNull();
+
+  const grazing = bPlaneToSurface({ vInfinity: 15, impactParameter: 0.995 * captureRadius(15), site: tokyo });
+  expect(grazing(b, 0)).toBeNull();
+});
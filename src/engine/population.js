@@ -0,0 +1,69 @@
+import grid from './data/population-grid.json';
+import { EARTH_RADIUS_KM } from './constants';
+import { destinationPoint } from './geo';
+
+// Coarse global population grid, regenerated by scripts/build-population-grid.js.
+
+const RING_SAMPLES = 48;
+const BEARING_SAMPLES = 64;
+
+let densities = null;
+
+const cellAreaKm2 = (row) => {
+  const top = (90 - row * grid.resolution) * Math.PI / 180;
+  const bottom = (90 - (row + 1) * grid.resolution) * Math.PI / 180;
+  return EARTH_RADIUS_KM * EARTH_RADIUS_KM * (grid.resolution * Math.PI / 180) * (Math.sin(top) - Math.sin(bottom));
+};
+
+const getDensities = () => {
+  if (!densities) {
+    densities = new Float32Array(grid.rows * grid.cols);
+    for (let i = 0; i < grid.cells.length; i += 2) {
+      const index = grid.cells[i];
+      densities[index] = grid.cells[i + 1] / cellAreaKm2(Math.floor(index / grid.cols));
+    }
+  }
+  return densities;
+};
+
+export const POPULATION_GRID_TOTAL = grid.total;
+
+export const populationDensityAt = (lat, lon) => {
+  const row = Math.min(grid.rows - 1, Math.max(0, Math.floor((90 - lat) / grid.resolution)));
+  const col = Math.min(grid.cols - 1, Math.max(0, Math.floor((lon + 180) / grid.resolution)));
+  return getDensities()[row * grid.cols + col];
+};
+
+// Integrates the grid over a disc, calling visit(distanceKm, people, point) for
+// each polar sample so callers can weight people by distance-dependent effects.
+export const samplePopulation = (site, radiusKm, visit = () => {}) => {
+  if (!(radiusKm > 0)) return 0;
+  const angularStep = radiusKm / EARTH_RADIUS_KM / RING_SAMPLES;
+  const bearingStep = 2 * Math.PI / BEARING_SAMPLES;
+  let total = 0;
+  for (let ring = 0; ring < RING_SAMPLES; ring++) {
+    const angular = (ring + 0.5) * angularStep;
+    const distance = angular * EARTH_RADIUS_KM;
+    const area = EARTH_RADIUS_KM * EARTH_RADIUS_KM * Math.sin(angular) * angularStep * bearingStep;
+    for (let b = 0; b < BEARING_SAMPLES; b++) {
+      const point = destinationPoint(site, (b + 0.5) * (360 / BEARING_SAMPLES), distance);
+      const people = populationDensityAt(point.lat, point.lon) * area;
+      if (people > 0) {
+        total += people;
+        visit(distance, people, point);
+      }
+    }
+  }
+  return total;
+};
+
+const logistic = (x, midpoint, width) => 1 / (1 + Math.exp(-(x - midpoint) / width));
+
+// Fatality probability for people at a given exposure. The overpressure curve
+// gives ~15% at 3 psi and 50% at 5 psi, in line with blast casualty rules of
+// thumb; thermal is centred on twice the third-degree burn exposure.
+export const VULNERABILITY = {
+  overpressure: (pascals) => (pascals > 0 ? logistic(Math.log(pascals / 34500), 0, 0.31) : 0),
+  thermal: (exposure, burnThreshold) => (exposure > 0 ? logistic(Math.log(exposure / (2 * burnThreshold)), 0, 0.35) : 0),
+  seismic: (effectiveMagnitude) => logistic(effectiveMagnitude, 8.5, 0.5)
+};
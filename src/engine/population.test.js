@@ -0,0 +1,58 @@
+import { populationDensityAt, samplePopulation, POPULATION_GRID_TOTAL, VULNERABILITY } from './population';
+import { calculateImpact, populationRiskRadius } from './impact';
+
+const tokyo = { lat: 35.68, lon: 139.69 };
+const pacific = { lat: 0, lon: -150 };
+
+test('bundles a grid that sums to the world population', () => {
+  expect(POPULATION_GRID_TOTAL).toBeGreaterThan(7.5e9);
+  expect(POPULATION_GRID_TOTAL).toBeLessThan(8.5e9);
+});
+
+test('is dense over cities and empty over open ocean', () => {
+  expect(populationDensityAt(tokyo.lat, tokyo.lon)).toBeGreaterThan(1000);
+  expect(populationDensityAt(pacific.lat, pacific.lon)).toBe(0);
+});
+
+test('integrates people over a disc and reports each sample distance', () => {
+  const distances = [];
+  const people = samplePopulation(tokyo, 50, (distance) => distances.push(distance));
+  expect(people).toBeGreaterThan(5e6);
+  expect(Math.max(...distances)).toBeLessThanOrEqual(50);
+});
+
+test('vulnerability rises with exposure', () => {
+  expect(VULNERABILITY.overpressure(7000)).toBeLessThan(0.01);
+  expect(VULNERABILITY.overpressure(34500)).toBeCloseTo(0.5);
+  expect(VULNERABILITY.overpressure(200000)).toBeGreaterThan(0.99);
+  expect(VULNERABILITY.seismic(9.5)).toBeGreaterThan(VULNERABILITY.seismic(7));
+});
+
+test('an ocean impact threatens far fewer people than the same impact on Tokyo', () => {
+  const scenario = { diameter: 300, velocity: 20, density: 3000, strength: 1e6, angle: 45, target: 'sedimentary' };
+  const city = calculateImpact({ ...scenario, site: tokyo });
+  const ocean = calculateImpact({ ...scenario, site: pacific });
+  expect(city.populationAtRisk).toBeGreaterThan(1e6);
+  expect(city.casualties).toBeGreaterThan(0);
+  expect(city.casualties).toBeLessThan(city.populationAtRisk);
+  expect(ocean.populationAtRisk).toBeLessThan(city.populationAtRisk / 100);
+});
+
+test('counts everyone within the risk radius as at risk, not only the airblast zone', () => {
+  const result = calculateImpact({ diameter: 300, velocity: 20, density: 3000, strength: 1e6, angle: 45, target: 'sedimentary', site: tokyo });
+  const radius = populationRiskRadius({
+    crater: result.craterDiameter / 2,
+    airblast: result.airblastRadius,
+    thermal: result.thermalRadius,
+    seismic: result.seismicRadius
+  });
+  expect(radius).toBeGreaterThanOrEqual(3 * result.airblastRadius);
+  expect(result.populationAtRisk).toBe(Math.round(samplePopulation(tokyo, radius)));
+  expect(result.populationAtRisk).toBeGreaterThan(result.exposedPopulation.airblast);
+});
+
+test('leaves population fields empty when no site is given', () => {
+  const result = calculateImpact({ diameter: 300, velocity: 20, density: 3000, angle: 45, target: 'sedimentary' });
+  expect(result.populationAtRisk).toBeNull();
+  expect(result.casualties).toBeNull();
+});
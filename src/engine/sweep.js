@@ -0,0 +1,131 @@
+import { calculateDeflection } from './deflection';
+import { calculateImpact } from './impact';
+import { entrySpeedFromVInfinity, impactParameterForEntryAngle } from './orbit';
+
+// Parameter sweeps: the impact and deflection models evaluated along one input
+// or over a grid of two, every other input held at the base scenario. The base
+// is { diameter (m), density, velocity (v∞ km/s), angle (entry, °), leadTime
+// (years), strength, target, method, params }; grid cells are indexed
+// cells[y][x], with a single row when only x is swept.
+
+export const MAX_SWEEP_STEPS = 41;
+// Megatons above which an impact's effects turn global (Toon et al. 1997).
+export const GLOBAL_CATASTROPHE_ENERGY = 1e5;
+
+export const SWEEP_PARAMETERS = {
+  diameter: { label: 'Diameter', unit: 'm' },
+  velocity: { label: 'Velocity (v∞)', unit: 'km/s' },
+  angle: { label: 'Entry angle', unit: '°' },
+  density: { label: 'Density', unit: 'kg/m³' },
+  leadTime: { label: 'Lead time', unit: 'years' }
+};
+
+export const SWEEP_OUTPUTS = {
+  energy: { label: 'Impact energy', unit: 'Mt', logarithmic: true },
+  craterDiameter: { label: 'Crater diameter', unit: 'km' },
+  airblastRadius: { label: 'Airblast radius', unit: 'km' },
+  deflected: { label: 'Deflection success', unit: '' }
+};
+
+export const SWEEP_THRESHOLDS = [
+  { key: 'missionViable', label: 'Mission viable', output: 'deflected', level: 0.5 },
+  { key: 'globalCatastrophe', label: 'Global catastrophe', output: 'energy', level: GLOBAL_CATASTROPHE_ENERGY }
+];
+
+export const sweepValues = ({ min, max, step }) => {
+  if (!(step > 0) || !(max >= min)) throw new RangeError('A sweep range needs max ≥ min and a positive step');
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  if (count > MAX_SWEEP_STEPS) throw new RangeError(`A sweep axis takes at most ${MAX_SWEEP_STEPS} steps, got ${count}`);
+  return Array.from({ length: count }, (_, i) => Number((min + i * step).toPrecision(12)));
+};
+
+const evaluate = ({ diameter, density, velocity, angle, leadTime, strength, target, method, params }) => {
+  const effects = calculateImpact({ diameter, velocity: entrySpeedFromVInfinity(velocity), density, strength, angle, target });
+  const { miss } = calculateDeflection({
+    method,
+    params,
+    leadTime,
+    diameter,
+    density,
+    vInfinity: velocity,
+    impactParameter: impactParameterForEntryAngle(velocity, angle)
+  });
+  return {
+    energy: effects.energy,
+    craterDiameter: effects.craterDiameter,
+    airblastRadius: effects.airblastRadius,
+    deflected: miss ? 1 : 0
+  };
+};
+
+const sweepAxis = ({ key, ...range }) => {
+  if (!SWEEP_PARAMETERS[key]) throw new RangeError(`Unknown sweep parameter: ${key}`);
+  return { key, values: sweepValues(range) };
+};
+
+const createSweeper = ({ base, x, y = null }) => {
+  const xAxis = sweepAxis(x);
+  const yAxis = y && sweepAxis(y);
+  if (yAxis && yAxis.key === xAxis.key) throw new RangeError('Sweep two different parameters');
+  const rows = yAxis ? yAxis.values : [null];
+  const columns = xAxis.values.length;
+  const cells = rows.map(() => []);
+  let done = 0;
+
+  const next = () => {
+    const row = Math.floor(done / columns);
+    cells[row].push(evaluate({ ...base, [xAxis.key]: xAxis.values[done % columns], ...(yAxis && { [yAxis.key]: rows[row] }) }));
+    done++;
+  };
+
+  return { total: columns * rows.length, next, result: () => ({ x: xAxis, y: yAxis, cells }) };
+};
+
+export const runSweep = (options) => {
+  const sweeper = createSweeper(options);
+  for (let i = 0; i < sweeper.total; i++) sweeper.next();
+  return sweeper.result();
+};
+
+// Same sweep, yielding to the event loop between batches so the UI stays live.
+export const runSweepInBatches = async (options, { batchSize = 50, onProgress = () => {} } = {}) => {
+  const sweeper = createSweeper(options);
+  for (let done = 0; done < sweeper.total;) {
+    const end = Math.min(sweeper.total, done + batchSize);
+    for (; done < end; done++) sweeper.next();
+    onProgress(done / sweeper.total);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return sweeper.result();
+};
+
+const crossing = (from, to, level) => (level - from) / (to - from);
+
+// Values of x where a one-parameter sweep's output crosses level, interpolated
+// linearly between samples.
+export const sweepCrossings = ({ x, cells }, output, level) => cells[0].slice(1).flatMap((cell, index) => {
+  const [from, to] = [cells[0][index][output], cell[output]];
+  if ((from >= level) === (to >= level)) return [];
+  return [x.values[index] + (x.values[index + 1] - x.values[index]) * crossing(from, to, level)];
+});
+
+// Contour of a two-parameter sweep's output at level by marching squares, as
+// line segments [{ x, y }, { x, y }] in parameter units. Saddle cells are split
+// the same way every time rather than resolved.
+export const sweepContour = ({ x, y, cells }, output, level) => {
+  const segments = [];
+  for (let row = 0; row < y.values.length - 1; row++) {
+    for (let column = 0; column < x.values.length - 1; column++) {
+      const corners = [[column, row], [column + 1, row], [column + 1, row + 1], [column, row + 1]]
+        .map(([i, j]) => ({ x: x.values[i], y: y.values[j], value: cells[j][i][output] }));
+      const points = corners.flatMap((from, index) => {
+        const to = corners[(index + 1) % 4];
+        if ((from.value >= level) === (to.value >= level)) return [];
+        const t = crossing(from.value, to.value, level);
+        return [{ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t }];
+      });
+      for (let k = 0; k + 1 < points.length; k += 2) segments.push([points[k], points[k + 1]]);
+    }
+  }
+  return segments;
+};
@@ -0,0 +1,64 @@
+import { GLOBAL_CATASTROPHE_ENERGY, runSweep, runSweepInBatches, sweepContour, sweepCrossings, sweepValues } from './sweep';
+
+const base = {
+  diameter: 200,
+  density: 3000,
+  velocity: 15,
+  angle: 45,
+  leadTime: 10,
+  strength: 1e6,
+  target: 'sedimentary',
+  method: 'kinetic',
+  params: { spacecraftMass: 1000, impactSpeed: 10, beta: 3 }
+};
+
+test('steps a range inclusively and rejects bad or oversized ranges', () => {
+  expect(sweepValues({ min: 0.1, max: 0.5, step: 0.1 })).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+  expect(sweepValues({ min: 10, max: 25, step: 10 })).toEqual([10, 20]);
+  expect(() => sweepValues({ min: 5, max: 1, step: 1 })).toThrow(RangeError);
+  expect(() => sweepValues({ min: 0, max: 1, step: 0 })).toThrow(RangeError);
+  expect(() => sweepValues({ min: 0, max: 100, step: 1 })).toThrow(RangeError);
+});
+
+test('energy grows along a diameter sweep and crosses the global catastrophe level once', () => {
+  const grid = runSweep({ base, x: { key: 'diameter', min: 500, max: 5000, step: 500 } });
+  expect(grid.y).toBeNull();
+  expect(grid.cells).toHaveLength(1);
+  const energies = grid.cells[0].map(({ energy }) => energy);
+  energies.slice(1).forEach((energy, index) => expect(energy).toBeGreaterThan(energies[index]));
+  const [crossing, ...rest] = sweepCrossings(grid, 'energy', GLOBAL_CATASTROPHE_ENERGY);
+  expect(rest).toEqual([]);
+  expect(crossing).toBeGreaterThan(500);
+  expect(crossing).toBeLessThan(5000);
+});
+
+test('the mission viable contour separates short lead times from long ones', () => {
+  const grid = runSweep({
+    base,
+    x: { key: 'leadTime', min: 0, max: 30, step: 5 },
+    y: { key: 'diameter', min: 100, max: 400, step: 100 }
+  });
+  expect(grid.cells).toHaveLength(4);
+  grid.cells.forEach((row) => {
+    expect(row).toHaveLength(7);
+    expect(row[0].deflected).toBe(0);
+  });
+  expect(grid.cells[0][6].deflected).toBe(1);
+  const contour = sweepContour(grid, 'deflected', 0.5);
+  expect(contour.length).toBeGreaterThan(0);
+  contour.flat().forEach(({ x, y }) => {
+    expect(x).toBeGreaterThan(0);
+    expect(y).toBeGreaterThanOrEqual(100);
+    expect(y).toBeLessThanOrEqual(400);
+  });
+  expect(() => runSweep({ base, x: { key: 'angle', min: 30, max: 60, step: 10 }, y: { key: 'angle', min: 30, max: 60, step: 10 } }))
+    .toThrow(RangeError);
+});
+
+test('a batched sweep matches a single pass and reports progress', async () => {
+  const options = { base, x: { key: 'velocity', min: 10, max: 20, step: 5 }, y: { key: 'angle', min: 30, max: 90, step: 30 } };
+  const progress = [];
+  const grid = await runSweepInBatches(options, { batchSize: 4, onProgress: (value) => progress.push(value) });
+  expect(grid).toEqual(runSweep(options));
+  expect(progress).toEqual([4 / 9, 8 / 9, 1]);
+});
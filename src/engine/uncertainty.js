@@ -0,0 +1,151 @@
+import { calculateDeflection } from './deflection';
+import { calculateImpact } from './impact';
+import { bPlaneToSurface, captureRadius, entrySpeedFromVInfinity, impactParameterForEntryAngle } from './orbit';
+import { createRandom } from './random';
+
+// Monte Carlo over uncertain inputs. Every sample is pushed through the same
+// deflection and impact models as a single run; hits are then projected from
+// the B-plane to the ground to build a risk corridor.
+
+export const DEFAULT_SAMPLE_COUNT = 2000;
+
+// Physical bounds of each uncertain input; draws outside them are clamped.
+export const UNCERTAINTY_LIMITS = {
+  diameter: { min: 0.1 },
+  density: { min: 100 },
+  velocity: { min: 0.5 },
+  entryAngle: { min: 1, max: 90 },
+  deflectionPerformance: { min: 0 }
+};
+
+const rangeAround = (value, spread) => ({
+  min: Number((value * (1 - spread)).toFixed(2)),
+  max: Number((value * (1 + spread)).toFixed(2))
+});
+
+// Default { min, max } range of every uncertain input around nominal values.
+export const uncertaintyRangesFor = ({ diameter, density, velocity, entryAngle }) => ({
+  diameter: rangeAround(diameter, 0.1),
+  density: rangeAround(density, 0.1),
+  velocity: rangeAround(velocity, 0.1),
+  entryAngle: { min: Number(Math.max(entryAngle - 10, 1).toFixed(1)), max: Number(Math.min(entryAngle + 10, 90).toFixed(1)) },
+  deflectionPerformance: { min: 0.5, max: 1.5 }
+});
+
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// A distribution is a fixed number, { min, max } (uniform), { mean, sd }
+// (normal) or { median, sigma } (log-normal, sigma in natural-log units).
+export const sampleDistribution = (distribution, random) => {
+  if (typeof distribution === 'number') return distribution;
+  if ('min' in distribution) return distribution.min + (distribution.max - distribution.min) * random();
+  if ('mean' in distribution) return distribution.mean + distribution.sd * gaussian(random);
+  if ('median' in distribution) return distribution.median * Math.exp(distribution.sigma * gaussian(random));
+  throw new TypeError('Unknown distribution: expected a number, { min, max }, { mean, sd } or { median, sigma }');
+};
+
+export const percentiles = (values, levels = [5, 50, 95]) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return Object.fromEntries(levels.map((level) => {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round((level / 100) * (sorted.length - 1))));
+    return [`p${level}`, sorted[index]];
+  }));
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const createSampler = ({
+  seed = 1,
+  diameter,
+  density,
+  velocity,
+  entryAngle,
+  strength,
+  deflectionPerformance = 1,
+  bPlaneSigma = 0,
+  deflection = { method: 'none', leadTime: 0 },
+  site,
+  heading = 90,
+  target = 'sedimentary'
+}) => {
+  const random = createRandom(seed);
+  const nominalVelocity = sampleDistribution(velocity, () => 0.5);
+  const project = bPlaneToSurface({
+    vInfinity: nominalVelocity,
+    impactParameter: impactParameterForEntryAngle(nominalVelocity, sampleDistribution(entryAngle, () => 0.5)),
+    site,
+    heading
+  });
+
+  const energies = [];
+  const craters = [];
+  const impactPoints = [];
+  let airbursts = 0;
+  let count = 0;
+
+  const draw = () => {
+    count++;
+    const sample = {
+      diameter: Math.max(sampleDistribution(diameter, random), UNCERTAINTY_LIMITS.diameter.min),
+      density: Math.max(sampleDistribution(density, random), UNCERTAINTY_LIMITS.density.min),
+      velocity: Math.max(sampleDistribution(velocity, random), UNCERTAINTY_LIMITS.velocity.min),
+      entryAngle: clamp(sampleDistribution(entryAngle, random), UNCERTAINTY_LIMITS.entryAngle.min, UNCERTAINTY_LIMITS.entryAngle.max),
+      performance: Math.max(sampleDistribution(deflectionPerformance, random), UNCERTAINTY_LIMITS.deflectionPerformance.min)
+    };
+    const nominalB = impactParameterForEntryAngle(sample.velocity, sample.entryAngle);
+    const { displacement } = calculateDeflection({ ...deflection, ...sample, vInfinity: sample.velocity, impactParameter: nominalB });
+    const xi = nominalB + bPlaneSigma * gaussian(random);
+    const zeta = displacement * sample.performance + bPlaneSigma * gaussian(random);
+    const b = Math.hypot(xi, zeta);
+    const capture = captureRadius(sample.velocity);
+    if (b >= capture) return;
+
+    const result = calculateImpact({
+      diameter: sample.diameter,
+      velocity: entrySpeedFromVInfinity(sample.velocity),
+      density: sample.density,
+      strength,
+      angle: clamp((Math.acos(b / capture) * 180) / Math.PI, 1, 90),
+      target
+    });
+    energies.push(result.energy);
+    craters.push(result.craterDiameter);
+    if (result.airburst) airbursts++;
+    const point = project(xi, zeta);
+    if (point) impactPoints.push(point);
+  };
+
+  const summary = () => ({
+    samples: count,
+    hits: energies.length,
+    impactProbability: count ? energies.length / count : 0,
+    airburstFraction: energies.length ? airbursts / energies.length : 0,
+    energy: percentiles(energies),
+    craterDiameter: percentiles(craters),
+    impactPoints
+  });
+
+  return { draw, summary };
+};
+
+export const runMonteCarlo = ({ samples = DEFAULT_SAMPLE_COUNT, ...options }) => {
+  const sampler = createSampler(options);
+  for (let i = 0; i < samples; i++) sampler.draw();
+  return sampler.summary();
+};
+
+// Same run, yielding to the event loop between batches so the UI stays live.
+export const runMonteCarloInBatches = async (
+  { samples = DEFAULT_SAMPLE_COUNT, ...options },
+  { batchSize = 100, onProgress = () => {} } = {}
+) => {
+  const sampler = createSampler(options);
+  for (let done = 0; done < samples;) {
+    const end = Math.min(samples, done + batchSize);
+    for (; done < end; done++) sampler.draw();
+    onProgress(done / samples);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return sampler.summary();
+};
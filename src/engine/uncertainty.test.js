@@ -0,0 +1,68 @@
+import { createRandom } from './random';
+import { percentiles, runMonteCarlo, runMonteCarloInBatches, sampleDistribution } from './uncertainty';
+import { greatCircleDistance } from './geo';
+
+const site = { lat: 40, lon: -100 };
+const base = {
+  samples: 300,
+  diameter: { min: 150, max: 250 },
+  density: { mean: 3000, sd: 300 },
+  velocity: { min: 12, max: 18 },
+  entryAngle: { min: 30, max: 60 },
+  strength: 1e6,
+  site
+};
+
+test('seeded runs are reproducible', () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+  expect(runMonteCarlo({ ...base, samples: 50, seed: 7 })).toEqual(runMonteCarlo({ ...base, samples: 50, seed: 7 }));
+});
+
+test('samples every supported distribution shape', () => {
+  const random = createRandom(3);
+  expect(sampleDistribution(5, random)).toBe(5);
+  const uniform = sampleDistribution({ min: 1, max: 2 }, random);
+  expect(uniform).toBeGreaterThanOrEqual(1);
+  expect(uniform).toBeLessThanOrEqual(2);
+  expect(sampleDistribution({ median: 10, sigma: 0 }, random)).toBe(10);
+  expect(() => sampleDistribution({ spread: 1 }, random)).toThrow(TypeError);
+  expect(percentiles([3, 1, 2])).toEqual({ p5: 1, p50: 2, p95: 3 });
+});
+
+test('an undeflected body always hits and reports ordered bands around the site', () => {
+  const result = runMonteCarlo(base);
+  expect(result.impactProbability).toBe(1);
+  expect(result.energy.p5).toBeLessThan(result.energy.p50);
+  expect(result.energy.p50).toBeLessThan(result.energy.p95);
+  expect(result.craterDiameter.p95).toBeGreaterThan(0);
+  result.impactPoints.forEach((point) => expect(greatCircleDistance(point, site)).toBeLessThan(5000));
+});
+
+test('a grazing nominal entry projects no impact points instead of failing', () => {
+  const result = runMonteCarlo({ ...base, samples: 50, entryAngle: 5 });
+  expect(result.samples).toBe(50);
+  expect(result.impactPoints).toEqual([]);
+});
+
+test('uncertain deflection performance gives a fractional impact probability', () => {
+  const result = runMonteCarlo({
+    ...base,
+    diameter: 200,
+    entryAngle: 45,
+    velocity: 15,
+    deflection: { method: 'kinetic', leadTime: 15, params: { spacecraftMass: 1000, impactSpeed: 10, beta: 3 } },
+    deflectionPerformance: { min: 0, max: 2 },
+    bPlaneSigma: 500
+  });
+  expect(result.impactProbability).toBeGreaterThan(0);
+  expect(result.impactProbability).toBeLessThan(1);
+});
+
+test('batched runs match a single synchronous run', async () => {
+  const progress = [];
+  const batched = await runMonteCarloInBatches({ ...base, samples: 40 }, { batchSize: 15, onProgress: (p) => progress.push(p) });
+  expect(batched).toEqual(runMonteCarlo({ ...base, samples: 40 }));
+  expect(progress).toEqual([15 / 40, 30 / 40, 1]);
+});
@@ -0,0 +1,71 @@
+// Response caches for the NEO client. Both share the async get/set shape so the
+// client does not care which one it was given.
+
+export const DEFAULT_CACHE_TTL = 12 * 60 * 60 * 1000;
+
+export const createMemoryCache = ({ ttl = DEFAULT_CACHE_TTL, now = Date.now } = {}) => {
+  const entries = new Map();
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      return entry && now() - entry.storedAt < ttl ? entry.value : undefined;
+    },
+    set: async (key, value) => {
+      entries.set(key, { value, storedAt: now() });
+    }
+  };
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Falls back to memory when IndexedDB is unavailable (private browsing, jsdom)
+// or fails to open, so a broken cache never blocks a fetch.
+export const createIndexedDbCache = ({
+  dbName = 'asteroid-simulator',
+  storeName = 'neo-responses',
+  ttl = DEFAULT_CACHE_TTL,
+  now = Date.now,
+  indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined
+} = {}) => {
+  const fallback = createMemoryCache({ ttl, now });
+  if (!indexedDB) return fallback;
+
+  let database = null;
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      database = promisify(request).catch(() => null);
+    }
+    return database;
+  };
+  const store = async (mode) => {
+    const db = await open();
+    return db ? db.transaction(storeName, mode).objectStore(storeName) : null;
+  };
+
+  return {
+    get: async (key) => {
+      try {
+        const objects = await store('readonly');
+        if (!objects) return fallback.get(key);
+        const entry = await promisify(objects.get(key));
+        return entry && now() - entry.storedAt < ttl ? entry.value : undefined;
+      } catch {
+        return fallback.get(key);
+      }
+    },
+    set: async (key, value) => {
+      try {
+        const objects = await store('readwrite');
+        if (!objects) return fallback.set(key, value);
+        await promisify(objects.put({ value, storedAt: now() }, key));
+      } catch {
+        await fallback.set(key, value);
+      }
+    }
+  };
+};
@@ -0,0 +1,16 @@
+import { createIndexedDbCache, createMemoryCache } from './cache';
+
+test('memory cache entries expire after the TTL', async () => {
+  let time = 0;
+  const cache = createMemoryCache({ ttl: 1000, now: () => time });
+  await cache.set('feed', { count: 1 });
+  expect(await cache.get('feed')).toEqual({ count: 1 });
+  time = 1500;
+  expect(await cache.get('feed')).toBeUndefined();
+});
+
+test('falls back to memory when IndexedDB is unavailable', async () => {
+  const cache = createIndexedDbCache({ indexedDB: undefined });
+  await cache.set('feed', [1, 2]);
+  expect(await cache.get('feed')).toEqual([1, 2]);
+});
@@ -0,0 +1,198 @@
+import fixtureFeed from './fixtures/feed.json';
+import fixtureLookup from './fixtures/lookup.json';
+import { createIndexedDbCache } from './cache';
+import { MissingApiKeyError, NeoError, NetworkError, RateLimitError } from './errors';
+
+// Client for the NASA NeoWs feed. Ranges longer than the API's 7-day window are
+// split into pages; responses are cached by URL (minus the key). Setting the
+// base URL to FIXTURE_BASE_URL serves the bundled fixtures instead: the same
+// feed for every page and lookups for the objects in it.
+
+export const DEFAULT_BASE_URL = 'https://api.nasa.gov/neo/rest/v1';
+export const FIXTURE_BASE_URL = 'fixture';
+export const MAX_FEED_DAYS = 7;
+// Each page is one request against the hourly rate limit, so a range may span
+// about two months at most.
+export const MAX_FEED_PAGES = 8;
+
+const DAY_MS = 86400000;
+
+const parseDate = (date) => {
+  const time = Date.parse(`${date}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(time)) {
+    throw new RangeError(`Expected a YYYY-MM-DD date, got "${date}"`);
+  }
+  return time;
+};
+
+const formatDate = (time) => new Date(time).toISOString().split('T')[0];
+
+export const addDays = (date, days) => formatDate(parseDate(date) + days * DAY_MS);
+
+// Inclusive [start, end] windows of at most MAX_FEED_DAYS + 1 calendar days,
+// which is what the feed accepts in one request.
+export const splitDateRange = (startDate, endDate) => {
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  if (end < start) throw new RangeError(`End date ${endDate} is before start date ${startDate}`);
+  const count = Math.floor((end - start) / ((MAX_FEED_DAYS + 1) * DAY_MS)) + 1;
+  if (count > MAX_FEED_PAGES) {
+    throw new RangeError(`A range of ${count} feed pages is too long; choose at most ${MAX_FEED_PAGES * (MAX_FEED_DAYS + 1)} days`);
+  }
+
+  const pages = [];
+  for (let pageStart = start; pageStart <= end; pageStart += (MAX_FEED_DAYS + 1) * DAY_MS) {
+    pages.push({
+      startDate: formatDate(pageStart),
+      endDate: formatDate(Math.min(pageStart + MAX_FEED_DAYS * DAY_MS, end))
+    });
+  }
+  return pages;
+};
+
+export const parseNeo = (neo) => {
+  const diameterMin = neo.estimated_diameter?.meters?.estimated_diameter_min || 50;
+  const diameterMax = neo.estimated_diameter?.meters?.estimated_diameter_max || 100;
+  const avgDiameter = (diameterMin + diameterMax) / 2;
+  const approach = neo.close_approach_data?.[0];
+  const velocityKmS = parseFloat(approach?.relative_velocity?.kilometers_per_second || 20);
+
+  return {
+    id: neo.id,
+    name: neo.name.replace(/[()]/g, ''),
+    size: Math.round(avgDiameter),
+    sizeMin: Math.round(diameterMin),
+    sizeMax: Math.round(diameterMax),
+    velocity: parseFloat(velocityKmS.toFixed(1)),
+    isPotentiallyHazardous: neo.is_potentially_hazardous_asteroid,
+    approachDate: approach?.close_approach_date,
+    missDistance: parseFloat(approach?.miss_distance?.kilometers || Infinity)
+  };
+};
+
+const parseOrbit = (orbit) => orbit && {
+  a: parseFloat(orbit.semi_major_axis),
+  e: parseFloat(orbit.eccentricity),
+  i: parseFloat(orbit.inclination),
+  node: parseFloat(orbit.ascending_node_longitude),
+  peri: parseFloat(orbit.perihelion_argument),
+  meanAnomaly: parseFloat(orbit.mean_anomaly),
+  epoch: parseFloat(orbit.epoch_osculation),
+  orbitClass: orbit.orbit_class?.orbit_class_type || null,
+  moid: parseFloat(orbit.minimum_orbit_intersection) || null
+};
+
+const parseApproach = (approach) => ({
+  date: approach.close_approach_date,
+  time: approach.epoch_date_close_approach || Date.parse(`${approach.close_approach_date}T00:00:00Z`),
+  velocity: parseFloat(approach.relative_velocity?.kilometers_per_second),
+  missDistance: parseFloat(approach.miss_distance?.kilometers)
+});
+
+// The close approach to use for a lookup: the one on approachDate if given,
+// otherwise the next one to Earth, otherwise the most recent.
+const selectApproach = (approaches, approachDate, now) => {
+  const earth = approaches.filter((approach) => (approach.orbiting_body || 'Earth') === 'Earth').map(parseApproach);
+  return earth.find((approach) => approach.date === approachDate) ||
+    earth.find((approach) => approach.time >= now) ||
+    earth[earth.length - 1] ||
+    null;
+};
+
+// Full record from the neo/{id} lookup: diameter bounds, osculating orbit and
+// the selected Earth close approach.
+export const parseNeoDetail = (neo, { approachDate, now = Date.now() } = {}) => {
+  const diameter = neo.estimated_diameter?.meters;
+  const sizeMin = diameter?.estimated_diameter_min;
+  const sizeMax = diameter?.estimated_diameter_max;
+  const closeApproach = selectApproach(neo.close_approach_data || [], approachDate, now);
+
+  return {
+    id: neo.id,
+    name: neo.name.replace(/[()]/g, ''),
+    size: sizeMin && sizeMax ? Math.round((sizeMin + sizeMax) / 2) : null,
+    sizeMin: sizeMin ? Math.round(sizeMin) : null,
+    sizeMax: sizeMax ? Math.round(sizeMax) : null,
+    absoluteMagnitude: neo.absolute_magnitude_h ?? null,
+    isPotentiallyHazardous: neo.is_potentially_hazardous_asteroid,
+    orbit: parseOrbit(neo.orbital_data),
+    closeApproach
+  };
+};
+
+const fixtureFetch = async (url) => {
+  const lookup = url.match(/\/neo\/([^/?]+)/);
+  const body = lookup ? fixtureLookup[decodeURIComponent(lookup[1])] : fixtureFeed;
+  return {
+    ok: Boolean(body),
+    status: body ? 200 : 404,
+    headers: { get: () => null },
+    json: async () => body
+  };
+};
+
+const describeStatus = async (response, url) => {
+  const retryAfter = Number(response.headers?.get('Retry-After')) || null;
+  if (response.status === 429) {
+    return new RateLimitError('NASA API rate limit reached. Try again later or use your own API key.', {
+      url,
+      status: 429,
+      retryAfter
+    });
+  }
+  if (response.status === 401 || response.status === 403) {
+    return new MissingApiKeyError('The NASA API rejected the configured key.', { url, status: response.status });
+  }
+  return new NeoError(`NASA API request failed with status ${response.status}`, { url, status: response.status });
+};
+
+export const createNeoClient = ({
+  baseUrl = DEFAULT_BASE_URL,
+  apiKey,
+  fetch: fetchImpl = (...args) => window.fetch(...args),
+  cache = createIndexedDbCache()
+} = {}) => {
+  const fixtureMode = baseUrl === FIXTURE_BASE_URL;
+  const request = fixtureMode ? fixtureFetch : fetchImpl;
+
+  const getJson = async (path, params) => {
+    const query = new URLSearchParams(params).toString();
+    const url = query ? `${baseUrl}${path}?${query}` : `${baseUrl}${path}`;
+    const cached = await cache.get(url);
+    if (cached !== undefined) return cached;
+
+    if (!fixtureMode && !apiKey) throw new MissingApiKeyError(undefined, { url });
+    const keyed = fixtureMode ? url : `${url}${query ? '&' : '?'}${new URLSearchParams({ api_key: apiKey })}`;
+
+    let response;
+    try {
+      response = await request(keyed);
+    } catch (error) {
+      throw new NetworkError(`Could not reach the NASA API at ${baseUrl}`, { url, cause: error });
+    }
+    if (!response.ok) throw await describeStatus(response, url);
+
+    const body = await response.json();
+    await cache.set(url, body);
+    return body;
+  };
+
+  // All close approaches between two YYYY-MM-DD dates (inclusive), nearest
+  // date first, fetched one 7-day page at a time.
+  const feed = async ({ startDate, endDate = addDays(startDate, MAX_FEED_DAYS), onPage = () => {} }) => {
+    const pages = splitDateRange(startDate, endDate);
+    const byId = new Map();
+    for (const [index, page] of pages.entries()) {
+      const body = await getJson('/feed', { start_date: page.startDate, end_date: page.endDate });
+      Object.values(body.near_earth_objects || {}).flat().forEach((neo) => {
+        if (!byId.has(neo.id)) byId.set(neo.id, parseNeo(neo));
+      });
+      onPage(index + 1, pages.length);
+    }
+    return [...byId.values()].sort((a, b) => (a.approachDate || '').localeCompare(b.approachDate || ''));
+  };
+
+  const lookup = async (id, options) => parseNeoDetail(await getJson(`/neo/${encodeURIComponent(id)}`, {}), options);
+
+  return { feed, lookup, getJson, fixtureMode };
+};
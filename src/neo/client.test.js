@@ -0,0 +1,94 @@
+import { FIXTURE_BASE_URL, MAX_FEED_PAGES, createNeoClient, splitDateRange } from './client';
+import { createMemoryCache } from './cache';
+import { MissingApiKeyError, NeoError, NetworkError, RateLimitError } from './errors';
+
+const feedPage = (date, ids) => ({
+  near_earth_objects: {
+    [date]: ids.map((id) => ({
+      id,
+      name: `(${id})`,
+      estimated_diameter: { meters: { estimated_diameter_min: 100, estimated_diameter_max: 300 } },
+      is_potentially_hazardous_asteroid: false,
+      close_approach_data: [{
+        close_approach_date: date,
+        relative_velocity: { kilometers_per_second: '12.34' },
+        miss_distance: { kilometers: '1000000' }
+      }]
+    }))
+  }
+});
+
+const respond = (body, status = 200, headers = {}) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: () => Promise.resolve(body)
+});
+
+const client = (fetch, options = {}) =>
+  createNeoClient({ baseUrl: 'http://mock', apiKey: 'KEY', fetch, cache: createMemoryCache(), ...options });
+
+test('splits ranges into the 7-day windows the feed accepts', () => {
+  expect(splitDateRange('2025-01-01', '2025-01-08')).toEqual([{ startDate: '2025-01-01', endDate: '2025-01-08' }]);
+  expect(splitDateRange('2025-01-01', '2025-01-20')).toEqual([
+    { startDate: '2025-01-01', endDate: '2025-01-08' },
+    { startDate: '2025-01-09', endDate: '2025-01-16' },
+    { startDate: '2025-01-17', endDate: '2025-01-20' }
+  ]);
+  expect(() => splitDateRange('2025-02-01', '2025-01-01')).toThrow(RangeError);
+  expect(() => splitDateRange('yesterday', '2025-01-01')).toThrow(RangeError);
+  expect(splitDateRange('2025-01-01', '2025-03-05')).toHaveLength(MAX_FEED_PAGES);
+  expect(() => splitDateRange('2025-01-01', '2025-03-06')).toThrow(RangeError);
+  expect(() => splitDateRange('2025-01-01', '9999-12-31')).toThrow(RangeError);
+});
+
+test('pages across long ranges, merges every result and caches responses', async () => {
+  const fetch = jest.fn((url) => respond(url.includes('start_date=2025-01-01')
+    ? feedPage('2025-01-03', ['a', 'b'])
+    : feedPage('2025-01-10', ['c'])));
+  const neo = client(fetch);
+
+  const asteroids = await neo.feed({ startDate: '2025-01-01', endDate: '2025-01-12' });
+  expect(asteroids.map((asteroid) => asteroid.id)).toEqual(['a', 'b', 'c']);
+  expect(asteroids[0]).toMatchObject({ size: 200, velocity: 12.3, approachDate: '2025-01-03', missDistance: 1e6 });
+  expect(fetch).toHaveBeenCalledTimes(2);
+  expect(fetch.mock.calls[0][0]).toBe('http://mock/feed?start_date=2025-01-01&end_date=2025-01-08&api_key=KEY');
+
+  await neo.feed({ startDate: '2025-01-01', endDate: '2025-01-12' });
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test('surfaces distinct errors for a missing key, rate limiting and network failure', async () => {
+  await expect(client(jest.fn(), { apiKey: '' }).feed({ startDate: '2025-01-01' }))
+    .rejects.toBeInstanceOf(MissingApiKeyError);
+
+  const limited = client(() => respond({}, 429, { 'Retry-After': '3600' })).feed({ startDate: '2025-01-01' });
+  await expect(limited).rejects.toBeInstanceOf(RateLimitError);
+  await expect(limited).rejects.toMatchObject({ retryAfter: 3600, status: 429 });
+
+  await expect(client(() => Promise.reject(new TypeError('Failed to fetch'))).feed({ startDate: '2025-01-01' }))
+    .rejects.toBeInstanceOf(NetworkError);
+
+  const failed = client(() => respond({}, 500)).feed({ startDate: '2025-01-01' });
+  await expect(failed).rejects.toBeInstanceOf(NeoError);
+  await expect(failed).rejects.not.toBeInstanceOf(NetworkError);
+});
+
+test('fixture mode serves the bundled feed without a key or network', async () => {
+  const fetch = jest.fn();
+  const neo = createNeoClient({ baseUrl: FIXTURE_BASE_URL, fetch, cache: createMemoryCache() });
+  const asteroids = await neo.feed({ startDate: '2025-01-01', endDate: '2025-01-03' });
+  expect(asteroids.length).toBeGreaterThan(0);
+  expect(asteroids.some((asteroid) => asteroid.isPotentiallyHazardous)).toBe(true);
+  expect(fetch).not.toHaveBeenCalled();
+});
+
+test('looks up the full record with orbit, diameter bounds and the requested close approach', async () => {
+  const neo = createNeoClient({ baseUrl: FIXTURE_BASE_URL, cache: createMemoryCache() });
+  const apophis = await neo.lookup('2099942', { approachDate: '2029-04-13' });
+  expect(apophis).toMatchObject({ sizeMin: 340, sizeMax: 370, size: 355 });
+  expect(apophis.orbit).toMatchObject({ a: 0.9224, e: 0.1911, orbitClass: 'ATE' });
+  expect(apophis.closeApproach).toMatchObject({ date: '2029-04-13', missDistance: 38012, velocity: 7.4221 });
+
+  await expect(neo.lookup('missing')).rejects.toMatchObject({ status: 404 });
+});
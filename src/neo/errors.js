@@ -0,0 +1,39 @@
+// Failures from the NEO client. Callers branch on the class to tell the user
+// what to fix; every error keeps the request URL (without the API key).
+
+export class NeoError extends Error {
+  constructor(message, { url, status } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.status = status;
+  }
+}
+
+export class MissingApiKeyError extends NeoError {
+  constructor(message = 'No NASA API key configured. Set REACT_APP_NASA_API_KEY.', details) {
+    super(message, details);
+  }
+}
+
+export class RateLimitError extends NeoError {
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class NetworkError extends NeoError {
+  constructor(message, { cause, ...details } = {}) {
+    super(message, details);
+    this.cause = cause;
+  }
+}
+
+// An orbit file that could not be read; line is 1-based when known.
+export class OrbitFormatError extends NeoError {
+  constructor(message, { line = null, ...details } = {}) {
+    super(message, details);
+    this.line = line;
+  }
+}
@@ -0,0 +1,188 @@
+import { COMPOSITIONS, compositionForAlbedo, entrySpeedFromVInfinity, estimateDiameter, moidEncounter } from '../engine';
+import { OrbitFormatError } from './errors';
+
+// Readers for orbit files downloaded from the JPL Small-Body Database API and
+// the Minor Planet Center. Each returns plain orbit records that
+// orbitToScenario turns into something loadScenario understands.
+
+const GAUSS_DEG_PER_DAY = 0.01720209895 * 180 / Math.PI;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// JPL SBDB API response (sbdb.api?sstr=...&phys-par=1).
+export const parseSbdbJson = (json) => {
+  if (!json?.orbit?.elements) {
+    throw new OrbitFormatError(json?.message || 'Not an SBDB API response: no orbit.elements');
+  }
+  const byName = (list = []) => Object.fromEntries(list.map(({ name, value }) => [name, toNumber(value)]));
+  const elements = byName(json.orbit.elements);
+  const physical = byName(json.phys_par);
+  const orbit = {
+    a: elements.a,
+    e: elements.e,
+    i: elements.i,
+    node: elements.om,
+    peri: elements.w,
+    meanAnomaly: elements.ma,
+    epoch: toNumber(json.orbit.epoch)
+  };
+  const missing = Object.keys(orbit).filter((key) => orbit[key] === null);
+  if (missing.length) throw new OrbitFormatError(`SBDB orbit is missing ${missing.join(', ')}`);
+
+  return {
+    id: json.object?.spkid || json.object?.des,
+    name: (json.object?.fullname || json.object?.des || 'SBDB object').trim(),
+    orbit,
+    absoluteMagnitude: physical.H ?? null,
+    albedo: physical.albedo ?? null,
+    source: 'JPL SBDB'
+  };
+};
+
+const packedValue = (char) => {
+  if (/\d/.test(char)) return Number(char);
+  if (/[A-Z]/.test(char)) return char.charCodeAt(0) - 55;
+  return char.charCodeAt(0) - 61;
+};
+
+const packedYear = (packed) => (packedValue(packed[0]) * 100) + Number(packed.slice(1, 3));
+
+// Packed epoch such as K25BL (2025-11-21) to the Julian date at 0h.
+export const unpackEpoch = (packed) => {
+  if (!/^[IJK]\d{2}[1-9A-C][1-9A-V]$/.test(packed)) {
+    throw new OrbitFormatError(`Unrecognised packed epoch "${packed}"`);
+  }
+  const time = Date.UTC(packedYear(packed), packedValue(packed[3]) - 1, packedValue(packed[4]));
+  return time / 86400000 + 2440587.5;
+};
+
+// Packed designation: numbered (00433, A0345, ~000z) or provisional (K04M04N).
+export const unpackDesignation = (packed) => {
+  if (/^\d{5}$/.test(packed)) return String(Number(packed));
+  if (/^[A-Za-z]\d{4}$/.test(packed)) return String(packedValue(packed[0]) * 10000 + Number(packed.slice(1)));
+  if (/^~[0-9A-Za-z]{4}$/.test(packed)) {
+    return String(620000 + [...packed.slice(1)].reduce((total, char) => total * 62 + packedValue(char), 0));
+  }
+  if (/^[IJK]\d{2}[A-Z][0-9A-Za-z]\d[A-Z]$/.test(packed)) {
+    const cycle = packedValue(packed[4]) * 10 + Number(packed[5]);
+    return `${packedYear(packed)} ${packed[3]}${packed[6]}${cycle || ''}`;
+  }
+  return packed;
+};
+
+const column = (line, start, end) => line.slice(start - 1, end).trim();
+
+const lineError = (message, line) => new OrbitFormatError(line ? `Line ${line}: ${message}` : message, { line });
+
+// One MPCORB line (1-based columns, lines run to about column 202). Columns
+// 1-80 give only the orbit's shape and orientation; its size is the mean
+// motion (81-91) or the semimajor axis (93-103), and a is derived from n when
+// the axis is blank. A line cut off at column 80 has neither and is rejected.
+export const parseMpcOrbitLine = (line, lineNumber = null) => {
+  const field = (start, end, label) => {
+    const value = toNumber(column(line, start, end));
+    if (value === null) {
+      throw lineError(`no ${label} in columns ${start}-${end}`, lineNumber);
+    }
+    return value;
+  };
+
+  const designation = column(line, 1, 7);
+  if (!designation) throw lineError('no designation in columns 1-7', lineNumber);
+  const meanMotion = toNumber(column(line, 81, 91));
+  const semiMajorAxis = toNumber(column(line, 93, 103));
+  if (semiMajorAxis === null && meanMotion === null) {
+    throw lineError(
+      'no mean motion (columns 81-91) or semimajor axis (93-103); was the line cut off at column 80?',
+      lineNumber
+    );
+  }
+
+  let epoch;
+  try {
+    epoch = unpackEpoch(column(line, 21, 25));
+  } catch (error) {
+    throw lineError(error.message, lineNumber);
+  }
+
+  return {
+    id: designation,
+    name: column(line, 167, 194) || unpackDesignation(designation),
+    orbit: {
+      a: semiMajorAxis ?? Math.pow(GAUSS_DEG_PER_DAY / meanMotion, 2 / 3),
+      e: field(71, 79, 'eccentricity'),
+      i: field(60, 68, 'inclination'),
+      node: field(49, 57, 'ascending node'),
+      peri: field(38, 46, 'argument of perihelion'),
+      meanAnomaly: field(27, 35, 'mean anomaly'),
+      epoch
+    },
+    absoluteMagnitude: toNumber(column(line, 9, 13)),
+    albedo: null,
+    source: 'MPC'
+  };
+};
+
+// Every orbit in an MPCORB-style file, skipping the header above the dashed
+// separator line and any blank lines.
+export const parseMpcOrbits = (text) => {
+  const lines = text.split(/\r?\n/);
+  const separator = lines.findIndex((line) => /^-{10,}/.test(line));
+  return lines
+    .map((line, index) => ({ line, number: index + 1 }))
+    .slice(separator + 1)
+    .filter(({ line }) => line.trim())
+    .map(({ line, number }) => parseMpcOrbitLine(line, number));
+};
+
+// Size from H and albedo (a measured albedo picks the closest composition,
+// otherwise the stony default albedo is assumed) and entry speed from the
+// encounter speed at the MOID.
+export const orbitToScenario = ({ id, name, orbit, absoluteMagnitude, albedo, source }) => {
+  if (absoluteMagnitude === null || absoluteMagnitude === undefined) {
+    throw new OrbitFormatError(`${name} has no absolute magnitude (H), so its size cannot be estimated`);
+  }
+  if (!(orbit.e >= 0 && orbit.e < 1 && orbit.a > 0)) {
+    throw new OrbitFormatError(`${name} is not on a closed orbit (e = ${orbit.e}, a = ${orbit.a} au)`);
+  }
+  const composition = albedo ? compositionForAlbedo(albedo) : 'stony';
+  const usedAlbedo = albedo || COMPOSITIONS[composition].albedo;
+  const { moid, vInfinity } = moidEncounter(orbit);
+
+  return {
+    id,
+    name,
+    size: Math.round(estimateDiameter(absoluteMagnitude, usedAlbedo)),
+    velocity: Number(entrySpeedFromVInfinity(vInfinity).toFixed(1)),
+    composition,
+    angle: 45,
+    orbit,
+    absoluteMagnitude,
+    albedo: usedAlbedo,
+    albedoAssumed: !albedo,
+    moid,
+    source
+  };
+};
+
+// Reads an uploaded file: JSON is taken as an SBDB response, anything else as
+// MPC orbit lines.
+export const importOrbitFile = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) throw new OrbitFormatError('The file is empty');
+  if (trimmed.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (error) {
+      throw new OrbitFormatError(`Invalid JSON: ${error.message}`);
+    }
+    return [orbitToScenario(parseSbdbJson(json))];
+  }
+  const orbits = parseMpcOrbits(text);
+  if (!orbits.length) throw new OrbitFormatError('No orbit lines found');
+  return orbits.map(orbitToScenario);
+};
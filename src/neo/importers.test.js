@@ -0,0 +1,75 @@
+import { COMPOSITIONS, estimateDiameter } from '../engine';
+import { OrbitFormatError } from './errors';
+import { importOrbitFile, parseMpcOrbitLine, parseSbdbJson, unpackDesignation, unpackEpoch } from './importers';
+
+const APOPHIS_MPCORB = '99942   19.09  0.24 K25BL 142.97522  126.65873  203.94100    3.34093  0.1911400  1.11418410   0.9222590  0                                                            (99942) Apophis';
+const PROVISIONAL_NO_AXIS = 'K04M04N 20.40  0.15 K2451  10.00000   20.00000   30.00000    5.00000  0.3000000  0.56000000';
+
+const sbdb = {
+  object: { fullname: '  99942 Apophis (2004 MN4)', des: '99942', spkid: '20099942' },
+  orbit: {
+    epoch: '2462240.4069',
+    moid: '.000109',
+    elements: [
+      { name: 'e', value: '.1911' },
+      { name: 'a', value: '.9224' },
+      { name: 'i', value: '3.339' },
+      { name: 'om', value: '203.96' },
+      { name: 'w', value: '126.6' },
+      { name: 'ma', value: '252.39' }
+    ]
+  },
+  phys_par: [{ name: 'H', value: '19.09' }, { name: 'albedo', value: '0.23' }]
+};
+
+test('estimates diameter from H and albedo', () => {
+  expect(estimateDiameter(19.09, 0.23)).toBeCloseTo(422, -1);
+  expect(estimateDiameter(15, 0.25)).toBeCloseTo(2658, -1);
+});
+
+test('unpacks MPC epochs and designations', () => {
+  expect(unpackEpoch('K25BL')).toBe(2461000.5);
+  expect(unpackEpoch('J9611')).toBe(2450083.5);
+  expect(() => unpackEpoch('2025')).toThrow(OrbitFormatError);
+  expect(unpackDesignation('00433')).toBe('433');
+  expect(unpackDesignation('A0345')).toBe('100345');
+  expect(unpackDesignation('K04M04N')).toBe('2004 MN4');
+  expect(unpackDesignation('J95X00A')).toBe('1995 XA');
+});
+
+test('parses SBDB JSON elements and physical parameters', () => {
+  const record = parseSbdbJson(sbdb);
+  expect(record).toMatchObject({ name: '99942 Apophis (2004 MN4)', absoluteMagnitude: 19.09, albedo: 0.23 });
+  expect(record.orbit).toEqual({ a: 0.9224, e: 0.1911, i: 3.339, node: 203.96, peri: 126.6, meanAnomaly: 252.39, epoch: 2462240.4069 });
+  expect(() => parseSbdbJson({ message: 'specified object was not found' })).toThrow('specified object was not found');
+});
+
+test('parses MPCORB lines, deriving a from the mean motion when the axis is blank', () => {
+  const apophis = parseMpcOrbitLine(APOPHIS_MPCORB);
+  expect(apophis).toMatchObject({ name: '(99942) Apophis', absoluteMagnitude: 19.09, albedo: null });
+  expect(apophis.orbit).toEqual({ a: 0.922259, e: 0.19114, i: 3.34093, node: 203.941, peri: 126.65873, meanAnomaly: 142.97522, epoch: 2461000.5 });
+
+  const provisional = parseMpcOrbitLine(PROVISIONAL_NO_AXIS);
+  expect(provisional.name).toBe('2004 MN4');
+  expect(provisional.orbit.a).toBeCloseTo(1.4577, 3);
+
+  expect(() => parseMpcOrbitLine(PROVISIONAL_NO_AXIS.slice(0, 80), 3)).toThrow(/^Line 3: .*cut off at column 80/);
+});
+
+test('imports either format as loadable scenarios', () => {
+  const [fromJson] = importOrbitFile(JSON.stringify(sbdb));
+  expect(fromJson).toMatchObject({ size: 421, composition: 'stony', angle: 45, albedo: 0.23, albedoAssumed: false, source: 'JPL SBDB' });
+  expect(fromJson.moid).toBeLessThan(0.001);
+  expect(fromJson.velocity).toBeCloseTo(12.6, 0);
+
+  const header = 'Des\'n     H     G   Epoch     M        Peri.      Node       Incl.       e            n           a\n' +
+    '-'.repeat(160);
+  const scenarios = importOrbitFile(`${header}\n${APOPHIS_MPCORB}\n\n${PROVISIONAL_NO_AXIS}\n`);
+  expect(scenarios.map((scenario) => scenario.name)).toEqual(['(99942) Apophis', '2004 MN4']);
+  expect(scenarios[0]).toMatchObject({ albedo: COMPOSITIONS.stony.albedo, albedoAssumed: true, source: 'MPC' });
+
+  const hyperbolic = `${APOPHIS_MPCORB.slice(0, 70)} 1.1911400${APOPHIS_MPCORB.slice(79)}`;
+  expect(() => importOrbitFile(hyperbolic)).toThrow(expect.objectContaining({ name: 'OrbitFormatError', message: expect.stringMatching(/closed orbit/) }));
+  expect(() => importOrbitFile('{ nope')).toThrow(OrbitFormatError);
+  expect(() => importOrbitFile('   ')).toThrow('The file is empty');
+});
@@ -0,0 +1,4 @@
+export * from './errors';
+export * from './cache';
+export * from './client';
+export * from './importers';
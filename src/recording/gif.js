@@ -0,0 +1,116 @@
+// Animated GIF encoder with a fixed 3-3-2 bit RGB palette. A fixed palette
+// keeps every frame independent of the others, so the same frames always
+// produce the same file; the cost is some banding in smooth gradients.
+
+const MIN_CODE_SIZE = 8;
+const CLEAR_CODE = 1 << MIN_CODE_SIZE;
+const END_CODE = CLEAR_CODE + 1;
+const MAX_CODES = 4096;
+
+export const PALETTE = Array.from({ length: 256 }, (_, index) => [
+  Math.round(((index >> 5) & 7) * 255 / 7),
+  Math.round(((index >> 2) & 7) * 255 / 7),
+  Math.round((index & 3) * 255 / 3)
+]);
+
+// Palette index for each pixel of RGBA data.
+export const quantize = (rgba) => {
+  const indices = new Uint8Array(rgba.length / 4);
+  for (let i = 0; i < indices.length; i++) {
+    const r = Math.round(rgba[i * 4] * 7 / 255);
+    const g = Math.round(rgba[i * 4 + 1] * 7 / 255);
+    const b = Math.round(rgba[i * 4 + 2] * 3 / 255);
+    indices[i] = (r << 5) | (g << 2) | b;
+  }
+  return indices;
+};
+
+// Variable-width LZW codes packed least significant bit first.
+export const lzwEncode = (indices) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  let codeSize = MIN_CODE_SIZE + 1;
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  let table = new Map();
+  let next = END_CODE + 1;
+  emit(CLEAR_CODE);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (next === MAX_CODES) {
+      emit(CLEAR_CODE);
+      table = new Map();
+      next = END_CODE + 1;
+      codeSize = MIN_CODE_SIZE + 1;
+    } else {
+      if (next >= 1 << codeSize) codeSize++;
+      table.set(key, next++);
+    }
+    prefix = indices[i];
+  }
+  emit(prefix);
+  emit(END_CODE);
+  if (bits > 0) bytes.push(buffer & 0xff);
+  return bytes;
+};
+
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+const subBlocks = (bytes) => {
+  const output = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    output.push(block.length, ...block);
+  }
+  output.push(0);
+  return output;
+};
+
+// delay is per frame in hundredths of a second, and addFrame can override it
+// for one frame; the animation loops forever.
+export const createGifEncoder = ({ width, height, delay = 10 }) => {
+  const chunks = [[
+    ...Array.from('GIF89a', (char) => char.charCodeAt(0)),
+    ...uint16(width), ...uint16(height), 0xf7, 0, 0,
+    ...PALETTE.flat(),
+    0x21, 0xff, 0x0b, ...Array.from('NETSCAPE2.0', (char) => char.charCodeAt(0)), 0x03, 0x01, 0, 0, 0
+  ]];
+
+  return {
+    addFrame: (rgba, frameDelay = delay) => {
+      if (rgba.length !== width * height * 4) {
+        throw new RangeError(`Expected ${width}x${height} RGBA data, got ${rgba.length} bytes`);
+      }
+      chunks.push([
+        0x21, 0xf9, 0x04, 0x00, ...uint16(frameDelay), 0, 0,
+        0x2c, 0, 0, 0, 0, ...uint16(width), ...uint16(height), 0,
+        MIN_CODE_SIZE, ...subBlocks(lzwEncode(quantize(rgba)))
+      ]);
+    },
+    finish: () => {
+      chunks.push([0x3b]);
+      const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+      chunks.reduce((position, chunk) => {
+        output.set(chunk, position);
+        return position + chunk.length;
+      }, 0);
+      return output;
+    }
+  };
+};
@@ -0,0 +1,62 @@
+import { PALETTE, createGifEncoder, lzwEncode, quantize } from './gif';
+
+// Reference LZW decoder for GIF image data with an 8-bit minimum code size.
+const lzwDecode = (bytes, count) => {
+  const output = [];
+  let bitPosition = 0;
+  const read = (size) => {
+    let code = 0;
+    for (let i = 0; i < size; i++, bitPosition++) {
+      code |= ((bytes[bitPosition >> 3] >> (bitPosition & 7)) & 1) << i;
+    }
+    return code;
+  };
+  let size = 9;
+  let table = [];
+  let previous = null;
+  while (output.length < count) {
+    const code = read(size);
+    if (code === 256) {
+      table = Array.from({ length: 258 }, (_, i) => [i]);
+      size = 9;
+      previous = null;
+      continue;
+    }
+    if (code === 257) break;
+    const entry = code < table.length ? table[code] : [...table[previous], table[previous][0]];
+    output.push(...entry);
+    if (previous !== null) table.push([...table[previous], entry[0]]);
+    if (table.length === 1 << size && size < 12) size++;
+    previous = code;
+  }
+  return output;
+};
+
+test('quantizes to the closest 3-3-2 palette entry', () => {
+  const [white, red, grey] = quantize(Uint8Array.of(255, 255, 255, 255, 250, 10, 0, 255, 128, 128, 128, 255));
+  expect(PALETTE[white]).toEqual([255, 255, 255]);
+  expect(PALETTE[red]).toEqual([255, 0, 0]);
+  expect(Math.abs(PALETTE[grey][0] - 128)).toBeLessThanOrEqual(255 / 14);
+});
+
+test('LZW output decodes back to the input, across table resets', () => {
+  const random = Array.from({ length: 20000 }, (_, i) => (i * 7919 + (i >> 3) * 31) % 256);
+  const runs = Array.from({ length: 5000 }, (_, i) => (i >> 6) % 4);
+  [random, runs, [42]].forEach((indices) => {
+    expect(lzwDecode(lzwEncode(indices), indices.length)).toEqual(indices);
+  });
+});
+
+test('writes a looping GIF89a with one image per frame', () => {
+  const gif = createGifEncoder({ width: 2, height: 2, delay: 4 });
+  gif.addFrame(new Uint8Array(16).fill(255));
+  gif.addFrame(new Uint8Array(16), 7);
+  const bytes = gif.finish();
+
+  expect(String.fromCharCode(...bytes.slice(0, 6))).toBe('GIF89a');
+  expect(String.fromCharCode(...bytes)).toContain('NETSCAPE2.0');
+  const images = [...bytes.keys()].filter((i) => bytes[i] === 0x2c && bytes[i - 8] === 0x21 && bytes[i - 7] === 0xf9);
+  expect(images.map((i) => bytes[i - 4])).toEqual([4, 7]);
+  expect(bytes[bytes.length - 1]).toBe(0x3b);
+  expect(() => gif.addFrame(new Uint8Array(4))).toThrow(RangeError);
+});
@@ -0,0 +1,4 @@
+export * from './zip';
+export * from './gif';
+export * from './sinks';
+export * from './webm';
@@ -0,0 +1,117 @@
+import { createGifEncoder } from './gif';
+import { createWebmMuxer } from './webm';
+import { createZip } from './zip';
+
+// Frame sinks for a recording: each takes rendered canvases one at a time and
+// finishes with the bytes of the exported file.
+
+export const RECORDING_FORMATS = {
+  png: { label: 'PNG sequence (.zip)', extension: 'zip', type: 'application/zip' },
+  gif: { label: 'Animated GIF (up to 50 fps)', extension: 'gif', type: 'image/gif' },
+  webm: { label: 'WebM video', extension: 'webm', type: 'video/webm' }
+};
+
+// GIF frame delays are whole hundredths of a second and browsers stretch
+// delays under two of them, so GIFs play at most 50 fps; faster recordings
+// drop frames to stay on time.
+export const GIF_MAX_FPS = 50;
+
+export const isRecordingFormatSupported = (format) => format !== 'webm' || (
+  typeof window !== 'undefined' && typeof window.VideoEncoder !== 'undefined' && typeof window.VideoFrame !== 'undefined'
+);
+
+const canvasToPng = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not read the canvas'))), 'image/png');
+});
+
+const scratchCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return { canvas, context: canvas.getContext('2d') };
+};
+
+const pngSink = () => {
+  const frames = [];
+  return {
+    add: async (canvas) => {
+      frames.push(await canvasToPng(canvas));
+    },
+    finish: async () => createZip(await Promise.all(frames.map(async (blob, index) => ({
+      name: `frame-${String(index + 1).padStart(5, '0')}.png`,
+      data: new Uint8Array(await blob.arrayBuffer())
+    }))))
+  };
+};
+
+// Each frame is held until the next kept one so its delay runs exactly to it,
+// keeping the total length right when 100 / fps is not a whole number.
+const gifSink = ({ width, height, fps }) => {
+  const encoder = createGifEncoder({ width, height });
+  const { context } = scratchCanvas(width, height);
+  const minimumDelay = 100 / GIF_MAX_FPS;
+  const timeAt = (index) => Math.round((index * 100) / fps);
+  let pending = null;
+  let count = 0;
+  return {
+    add: async (canvas) => {
+      const time = timeAt(count++);
+      if (pending && time - pending.time < minimumDelay) return;
+      context.fillStyle = '#000';
+      context.fillRect(0, 0, width, height);
+      context.drawImage(canvas, 0, 0, width, height);
+      if (pending) encoder.addFrame(pending.rgba, time - pending.time);
+      pending = { rgba: context.getImageData(0, 0, width, height).data, time };
+    },
+    finish: async () => {
+      if (pending) encoder.addFrame(pending.rgba, Math.max(timeAt(count) - pending.time, minimumDelay));
+      return encoder.finish();
+    }
+  };
+};
+
+// Frames are encoded with WebCodecs at timestamps of exactly 1/fps apart and
+// muxed here, so unlike MediaRecorder nothing depends on the wall clock.
+const webmSink = ({ width, height, fps }) => {
+  const muxer = createWebmMuxer({ width, height, frameDuration: 1000 / fps });
+  const { canvas: scratch, context } = scratchCanvas(width, height);
+  let failure = null;
+  let count = 0;
+  const encoder = new window.VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+    },
+    error: (error) => {
+      failure = error;
+    }
+  });
+  encoder.configure({ codec: 'vp8', width, height, framerate: fps, bitrate: 8e6 });
+  return {
+    add: async (canvas) => {
+      if (failure) throw failure;
+      context.fillStyle = '#000';
+      context.fillRect(0, 0, width, height);
+      context.drawImage(canvas, 0, 0, width, height);
+      const frame = new window.VideoFrame(scratch, { timestamp: Math.round((count * 1e6) / fps), duration: Math.round(1e6 / fps) });
+      encoder.encode(frame, { keyFrame: count % fps === 0 });
+      frame.close();
+      count++;
+      if (encoder.encodeQueueSize > fps) await encoder.flush();
+    },
+    finish: async () => {
+      await encoder.flush();
+      encoder.close();
+      if (failure) throw failure;
+      return new Blob([muxer.finish()], { type: RECORDING_FORMATS.webm.type });
+    }
+  };
+};
+
+const SINKS = { png: pngSink, gif: gifSink, webm: webmSink };
+
+export const createFrameSink = (format, options) => {
+  if (!SINKS[format]) throw new RangeError(`Unknown recording format "${format}"`);
+  return SINKS[format](options);
+};
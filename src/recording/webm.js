@@ -0,0 +1,103 @@
+// Single-track WebM (Matroska) muxer for already encoded video frames. Every
+// frame carries the timestamp it was given, so the file plays at the recorded
+// rate however long the frames took to produce. Timestamps are milliseconds;
+// a new cluster starts at each key frame so block offsets stay within 16 bits.
+
+const concat = (parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((position, part) => {
+    output.set(part, position);
+    return position + part.length;
+  }, 0);
+  return output;
+};
+
+// EBML variable-length size: the leading 1 bit marks how many bytes follow.
+export const encodeSize = (size) => {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1, rest = size; i >= 0; i--, rest = Math.floor(rest / 256)) bytes[i] = rest % 256;
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+};
+
+const unsigned = (value) => {
+  const bytes = [];
+  for (let rest = value; bytes.length === 0 || rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+  return Uint8Array.from(bytes);
+};
+
+const float64 = (value) => {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+};
+
+const text = (value) => Uint8Array.from(value, (char) => char.charCodeAt(0));
+
+const element = (id, content) => {
+  const payload = Array.isArray(content) ? concat(content) : content;
+  return concat([unsigned(id), encodeSize(payload.length), payload]);
+};
+
+const simpleBlock = ({ data, offset, key }) => {
+  const header = new Uint8Array(4);
+  header[0] = 0x81;
+  new DataView(header.buffer).setInt16(1, offset);
+  header[3] = key ? 0x80 : 0;
+  return element(0xa3, concat([header, data]));
+};
+
+// codec is a Matroska codec ID such as V_VP8; frameDuration (ms) sets the
+// length of the last frame.
+export const createWebmMuxer = ({ width, height, codec = 'V_VP8', frameDuration }) => {
+  const clusters = [];
+  let cluster = null;
+  let end = 0;
+
+  const closeCluster = () => {
+    if (!cluster) return;
+    clusters.push(element(0x1f43b675, [element(0xe7, unsigned(cluster.time)), ...cluster.blocks]));
+    cluster = null;
+  };
+
+  return {
+    addFrame: (data, time, key) => {
+      const at = Math.round(time);
+      if (!cluster && !key) throw new RangeError('A WebM stream must start with a key frame');
+      if (key || at - cluster.time > 32767) {
+        closeCluster();
+        cluster = { time: at, blocks: [] };
+      }
+      cluster.blocks.push(simpleBlock({ data, offset: at - cluster.time, key }));
+      end = Math.max(end, time + frameDuration);
+    },
+    finish: () => {
+      closeCluster();
+      const header = element(0x1a45dfa3, [
+        element(0x4286, unsigned(1)),
+        element(0x42f7, unsigned(1)),
+        element(0x42f2, unsigned(4)),
+        element(0x42f3, unsigned(8)),
+        element(0x4282, text('webm')),
+        element(0x4287, unsigned(2)),
+        element(0x4285, unsigned(2))
+      ]);
+      const info = element(0x1549a966, [
+        element(0x2ad7b1, unsigned(1000000)),
+        element(0x4d80, text('asteroid-simulator')),
+        element(0x5741, text('asteroid-simulator')),
+        element(0x4489, float64(end))
+      ]);
+      const tracks = element(0x1654ae6b, [element(0xae, [
+        element(0xd7, unsigned(1)),
+        element(0x73c5, unsigned(1)),
+        element(0x83, unsigned(1)),
+        element(0x86, text(codec)),
+        element(0xe0, [element(0xb0, unsigned(width)), element(0xba, unsigned(height))])
+      ])]);
+      return concat([header, element(0x18538067, [info, tracks, ...clusters])]);
+    }
+  };
+};
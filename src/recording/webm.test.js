@@ -0,0 +1,52 @@
+import { createWebmMuxer, encodeSize } from './webm';
+
+// Minimal EBML reader: [{ id, data }] for the elements in bytes.
+const readElements = (bytes) => {
+  const elements = [];
+  const readVint = (position, keepMarker) => {
+    const length = Math.clz32(bytes[position]) - 23;
+    let value = keepMarker ? bytes[position] : bytes[position] & (0xff >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[position + i];
+    return { value, length };
+  };
+  for (let position = 0; position < bytes.length;) {
+    const id = readVint(position, true);
+    const size = readVint(position + id.length, false);
+    const start = position + id.length + size.length;
+    elements.push({ id: id.value, data: bytes.slice(start, start + size.value) });
+    position = start + size.value;
+  }
+  return elements;
+};
+
+const child = (data, id) => readElements(data).find((element) => element.id === id);
+
+test('encodes EBML sizes in the fewest bytes', () => {
+  expect([...encodeSize(5)]).toEqual([0x85]);
+  expect([...encodeSize(127)]).toEqual([0x40, 0x7f]);
+  expect([...encodeSize(300)]).toEqual([0x41, 0x2c]);
+});
+
+test('writes each frame at its own timestamp, starting a cluster at every key frame', () => {
+  const muxer = createWebmMuxer({ width: 640, height: 360, frameDuration: 1000 / 30 });
+  const frames = Array.from({ length: 45 }, (_, index) => Uint8Array.of(index));
+  frames.forEach((data, index) => muxer.addFrame(data, (index * 1000) / 30, index % 30 === 0));
+  const [header, segment] = readElements(muxer.finish());
+
+  expect(header.id).toBe(0x1a45dfa3);
+  expect(String.fromCharCode(...child(header.data, 0x4282).data)).toBe('webm');
+  const info = child(segment.data, 0x1549a966);
+  expect(new DataView(child(info.data, 0x4489).data.buffer).getFloat64(0)).toBeCloseTo(1500, 6);
+  const video = child(child(child(segment.data, 0x1654ae6b).data, 0xae).data, 0xe0);
+  expect([...child(video.data, 0xb0).data]).toEqual([0x02, 0x80]);
+
+  const clusters = readElements(segment.data).filter(({ id }) => id === 0x1f43b675);
+  expect(clusters).toHaveLength(2);
+  const times = clusters.flatMap(({ data }) => {
+    const [time, ...blocks] = readElements(data);
+    const start = time.data.reduce((value, byte) => value * 256 + byte, 0);
+    return blocks.map(({ data: block }) => start + new DataView(block.buffer).getInt16(1));
+  });
+  expect(times).toEqual(frames.map((_, index) => Math.round((index * 1000) / 30)));
+  expect(() => createWebmMuxer({ width: 2, height: 2, frameDuration: 40 }).addFrame(Uint8Array.of(0), 0, false)).toThrow(RangeError);
+});
@@ -0,0 +1,70 @@
+// Uncompressed (stored) ZIP archives. PNG frames are already compressed, so
+// deflating them again would cost time for almost no gain.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Entries carry a fixed 1980-01-01 timestamp so identical frames give
+// byte-identical archives.
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+const header = (fields) => {
+  const bytes = new Uint8Array(fields.reduce((total, [, size]) => total + size, 0));
+  const view = new DataView(bytes.buffer);
+  fields.reduce((offset, [value, size]) => {
+    if (size === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+    return offset + size;
+  }, 0);
+  return bytes;
+};
+
+const asciiName = (name) => {
+  if (!/^[\x20-\x7e]+$/.test(name)) throw new RangeError(`ZIP entry names must be printable ASCII, got "${name}"`);
+  return Uint8Array.from(name, (char) => char.charCodeAt(0));
+};
+
+// files: [{ name, data: Uint8Array }] in archive order.
+export const createZip = (files) => {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const fileName = asciiName(name);
+    const crc = crc32(data);
+    const local = header([
+      [0x04034b50, 4], [20, 2], [0, 2], [0, 2], [0, 2], [DOS_DATE, 2],
+      [crc, 4], [data.length, 4], [data.length, 4], [fileName.length, 2], [0, 2]
+    ]);
+    central.push(header([
+      [0x02014b50, 4], [20, 2], [20, 2], [0, 2], [0, 2], [0, 2], [DOS_DATE, 2],
+      [crc, 4], [data.length, 4], [data.length, 4], [fileName.length, 2], [0, 2], [0, 2], [0, 2], [0, 2], [0, 4],
+      [offset, 4]
+    ]), fileName);
+    parts.push(local, fileName, data);
+    offset += local.length + fileName.length + data.length;
+  });
+
+  const centralSize = central.reduce((total, part) => total + part.length, 0);
+  const end = header([
+    [0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [centralSize, 4], [offset, 4], [0, 2]
+  ]);
+
+  const all = [...parts, ...central, end];
+  const output = new Uint8Array(all.reduce((total, part) => total + part.length, 0));
+  all.reduce((position, part) => {
+    output.set(part, position);
+    return position + part.length;
+  }, 0);
+  return output;
+};
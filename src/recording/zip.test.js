@@ -0,0 +1,33 @@
+import { crc32, createZip } from './zip';
+
+const bytes = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+test('computes the standard CRC-32', () => {
+  expect(crc32(bytes('123456789'))).toBe(0xcbf43926);
+  expect(crc32(new Uint8Array(0))).toBe(0);
+});
+
+test('writes stored entries with a central directory that points back at them', () => {
+  const files = [{ name: 'frame-00001.png', data: bytes('first') }, { name: 'frame-00002.png', data: bytes('second!') }];
+  const zip = createZip(files);
+  const view = new DataView(zip.buffer);
+
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  expect(view.getUint16(end + 10, true)).toBe(2);
+
+  let central = view.getUint32(end + 16, true);
+  files.forEach(({ name, data }) => {
+    expect(view.getUint32(central, true)).toBe(0x02014b50);
+    expect(view.getUint32(central + 16, true)).toBe(crc32(data));
+    const local = view.getUint32(central + 42, true);
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    const nameLength = view.getUint16(local + 26, true);
+    expect(String.fromCharCode(...zip.slice(local + 30, local + 30 + nameLength))).toBe(name);
+    expect(zip.slice(local + 30 + nameLength, local + 30 + nameLength + data.length)).toEqual(data);
+    central += 46 + view.getUint16(central + 28, true);
+  });
+
+  expect(createZip(files)).toEqual(zip);
+  expect(() => createZip([{ name: 'é.png', data: bytes('x') }])).toThrow(RangeError);
+});
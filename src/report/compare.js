@@ -0,0 +1,58 @@
+// Side-by-side comparison of impact reports built with buildReport. Fields are
+// lined up by key across the reports; a row differs when its values are not
+// all the same, and numeric rows also carry each value's ratio to the first.
+
+export const MAX_COMPARED_REPORTS = 4;
+
+const COMPARED_SECTIONS = [
+  { key: 'inputs', title: 'Scenario' },
+  { key: 'effects', title: 'Impact effects' },
+  { key: 'deflection', title: 'Deflection' },
+  { key: 'hazard', title: 'Hazard' }
+];
+
+const sameValue = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= 1e-9 * Math.max(Math.abs(a), Math.abs(b), 1);
+  }
+  return a === b;
+};
+
+const compareFields = (fieldLists) => {
+  const keys = [];
+  fieldLists.flat().forEach(({ key }) => {
+    if (!keys.includes(key)) keys.push(key);
+  });
+  return keys.map((key) => {
+    const fields = fieldLists.map((list) => list.find((field) => field.key === key) || null);
+    const { label, unit } = fields.find(Boolean);
+    const values = fields.map((field) => (field ? field.value : null));
+    const [first] = values;
+    return {
+      key,
+      label,
+      unit,
+      values,
+      differs: values.some((value) => !sameValue(value, first)),
+      ratios: typeof first === 'number' && first !== 0 && values.every((value) => typeof value === 'number')
+        ? values.map((value) => value / first)
+        : null
+    };
+  });
+};
+
+export const compareReports = (reports) => {
+  if (reports.length < 2 || reports.length > MAX_COMPARED_REPORTS) {
+    throw new RangeError(`Compare between 2 and ${MAX_COMPARED_REPORTS} reports`);
+  }
+  return {
+    titles: reports.map(({ title }) => title),
+    sections: COMPARED_SECTIONS.map(({ key, title }) => ({
+      key,
+      title,
+      rows: compareFields(reports.map((report) => report[key]))
+    })),
+    damageZones: compareFields(reports.map(({ damageZones }) =>
+      damageZones.map(({ key, label, radius }) => ({ key, label, value: radius, unit: 'km' }))))
+  };
+};
@@ -0,0 +1,55 @@
+import { calculateDeflection, calculateImpact, captureRadius, rateHazard } from '../engine';
+import { DEFAULT_SCENARIO } from '../scenario';
+import { compareReports } from './compare';
+import { buildReport } from './report';
+
+const reportFor = ({ composition, density, method }) => {
+  const scenario = {
+    ...DEFAULT_SCENARIO,
+    name: `${composition} ${method}`,
+    asteroid: { ...DEFAULT_SCENARIO.asteroid, size: 300, composition },
+    deflection: { ...DEFAULT_SCENARIO.deflection, method }
+  };
+  const effects = calculateImpact({ diameter: 300, velocity: 20, density, angle: 45, target: 'sedimentary', strength: 1e6 });
+  return buildReport({
+    scenario,
+    effects,
+    deflection: calculateDeflection({ method, leadTime: 10, diameter: 300, density, vInfinity: 20, impactParameter: 0.5 * captureRadius(20) }),
+    hazard: rateHazard({ probability: 1, energy: effects.energy, yearsToImpact: 10 }),
+    entryAngle: 45,
+    surface: 'land',
+    createdAt: new Date(Date.UTC(2030, 0, 1))
+  });
+};
+
+const stony = reportFor({ composition: 'stony', density: 3000, method: 'kinetic' });
+const iron = reportFor({ composition: 'iron', density: 7800, method: 'kinetic' });
+const nuclear = reportFor({ composition: 'stony', density: 3000, method: 'nuclear' });
+
+test('lines fields up across reports and flags the ones that differ', () => {
+  const comparison = compareReports([stony, iron, nuclear]);
+  expect(comparison.titles).toEqual([stony.title, iron.title, nuclear.title]);
+  expect(comparison.sections.map(({ key }) => key)).toEqual(['inputs', 'effects', 'deflection', 'hazard']);
+
+  const row = (section, key) => comparison.sections.find((entry) => entry.key === section).rows.find((entry) => entry.key === key);
+  expect(row('inputs', 'diameter')).toMatchObject({ values: [300, 300, 300], differs: false, ratios: [1, 1, 1] });
+  expect(row('inputs', 'density').differs).toBe(true);
+  expect(row('effects', 'energy').ratios[1]).toBeCloseTo(2.6, 6);
+  expect(row('effects', 'energy').ratios[2]).toBe(1);
+  expect(row('deflection', 'method')).toMatchObject({ differs: true, ratios: null });
+  expect(comparison.damageZones.find(({ key }) => key === 'crater').unit).toBe('km');
+});
+
+test('keeps fields that only some reports have', () => {
+  const airburst = reportFor({ composition: 'carbonaceous', density: 2000, method: 'kinetic' });
+  const comparison = compareReports([stony, { ...airburst, damageZones: airburst.damageZones.slice(0, 1) }]);
+  const seismic = comparison.damageZones.find(({ key }) => key === 'seismic');
+  expect(seismic.values[1]).toBeNull();
+  expect(seismic.differs).toBe(true);
+  expect(seismic.ratios).toBeNull();
+});
+
+test('needs two to four reports', () => {
+  expect(() => compareReports([stony])).toThrow(RangeError);
+  expect(() => compareReports([stony, iron, nuclear, stony, iron])).toThrow(RangeError);
+});
@@ -0,0 +1,4 @@
+export * from './compare';
+export * from './pdf';
+export * from './report';
+export * from './sweep';
@@ -0,0 +1,143 @@
+// Minimal PDF 1.4 writer for the assessment report: Helvetica text, simple
+// table rows and one JPEG image per call, paginated top to bottom on A4.
+
+export const PAGE = { width: 595.28, height: 841.89, margin: 48 };
+
+const LINE_SPACING = 1.35;
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+const REPLACEMENTS = { '–': '-', '—': '-', '−': '-', 'Δ': 'd', '⊕': 'E', '∞': 'inf', 'β': 'beta', 'σ': 'sigma', '≥': '>=', '≤': '<=', '’': "'", '“': '"', '”': '"' };
+
+// Standard fonts only cover Latin-1 reliably; anything else is approximated.
+const toLatin1 = (text) => [...String(text)]
+  .map((char) => REPLACEMENTS[char] ?? (char.charCodeAt(0) <= 0xff ? char : '?'))
+  .join('');
+
+const escape = (text) => toLatin1(text).replace(/[\\()]/g, (char) => `\\${char}`);
+
+const bytesOf = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+const wrap = (text, size, width) => {
+  const perLine = Math.max(Math.floor(width / (size * AVERAGE_CHAR_WIDTH)), 1);
+  return String(text).split('\n').flatMap((paragraph) => paragraph.split(' ').reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last && `${last} ${word}`.length <= perLine) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+    return lines;
+  }, []));
+};
+
+export const createPdfDocument = () => {
+  const pages = [];
+  const contentWidth = PAGE.width - 2 * PAGE.margin;
+  let y = 0;
+
+  const newPage = () => {
+    pages.push({ commands: [], images: [] });
+    y = PAGE.height - PAGE.margin;
+  };
+  const current = () => pages[pages.length - 1];
+  const reserve = (height) => {
+    if (!pages.length || y - height < PAGE.margin) newPage();
+  };
+  const write = (content, x, size, bold) => {
+    current().commands.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escape(content)}) Tj ET`);
+  };
+
+  const pdf = {
+    text: (content, { size = 10, bold = false, indent = 0 } = {}) => {
+      wrap(content, size, contentWidth - indent).forEach((line) => {
+        reserve(size * LINE_SPACING);
+        y -= size;
+        write(line, PAGE.margin + indent, size, bold);
+        y -= size * (LINE_SPACING - 1);
+      });
+      return pdf;
+    },
+    // Cells laid out at fractions of the content width (widths sum to 1).
+    row: (cells, { widths, size = 9, bold = false } = {}) => {
+      const fractions = widths || cells.map(() => 1 / cells.length);
+      reserve(size * LINE_SPACING);
+      y -= size;
+      let x = PAGE.margin;
+      cells.forEach((cell, index) => {
+        write(cell, x, size, bold);
+        x += fractions[index] * contentWidth;
+      });
+      y -= size * (LINE_SPACING - 1);
+      return pdf;
+    },
+    space: (height = 8) => {
+      y -= height;
+      return pdf;
+    },
+    // JPEG bytes drawn at the full content width, keeping the aspect ratio.
+    image: ({ data, width, height }) => {
+      const drawnHeight = contentWidth * (height / width);
+      reserve(drawnHeight);
+      y -= drawnHeight;
+      const page = current();
+      const name = `Im${page.images.length + 1}`;
+      page.images.push({ name, data, width, height });
+      page.commands.push(`q ${contentWidth.toFixed(2)} 0 0 ${drawnHeight.toFixed(2)} ${PAGE.margin} ${y.toFixed(2)} cm /${name} Do Q`);
+      y -= 8;
+      return pdf;
+    },
+    toBytes: () => {
+      if (!pages.length) newPage();
+      const objects = [];
+      const add = (parts) => {
+        objects.push(parts);
+        return objects.length;
+      };
+
+      add([]);
+      const pagesId = add([]);
+      const regular = add(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>']);
+      const bold = add(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>']);
+      const pageIds = pages.map((page) => {
+        const images = page.images.map((image) => `/${image.name} ${add([
+          `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB ` +
+            `/BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`,
+          image.data,
+          '\nendstream'
+        ])} 0 R`);
+        const stream = page.commands.join('\n');
+        const content = add([`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`]);
+        return add([
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+            `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> /XObject << ${images.join(' ')} >> >> /Contents ${content} 0 R >>`
+        ]);
+      });
+      objects[0] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+      objects[pagesId - 1] = [`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`];
+
+      const chunks = [bytesOf('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+      let length = chunks[0].length;
+      const push = (chunk) => {
+        const bytes = typeof chunk === 'string' ? bytesOf(chunk) : chunk;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+      const offsets = objects.map((parts, index) => {
+        const offset = length;
+        push(`${index + 1} 0 obj\n`);
+        parts.forEach(push);
+        push('\nendobj\n');
+        return offset;
+      });
+      const xref = length;
+      push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+      offsets.forEach((offset) => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+      push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+      const output = new Uint8Array(length);
+      chunks.reduce((position, chunk) => {
+        output.set(chunk, position);
+        return position + chunk.length;
+      }, 0);
+      return output;
+    }
+  };
+  return pdf;
+};
@@ -0,0 +1,195 @@
+import { COAST_UNITS, COMPOSITIONS, DEFLECTION_METHODS, IMPACT_UNITS, TSUNAMI_UNITS } from '../engine';
+import { createPdfDocument } from './pdf';
+
+// Impact assessment report: the scenario inputs, every calculateImpact field
+// with its unit, the deflection outcome and a damage-zone table, rendered to
+// JSON, CSV or PDF from one plain object.
+
+const EFFECT_LABELS = {
+  mass: 'Mass',
+  energy: 'Kinetic energy',
+  energyJoules: 'Kinetic energy',
+  impactVelocity: 'Ground impact velocity',
+  breakupAltitude: 'Breakup altitude',
+  airburst: 'Airburst',
+  airburstAltitude: 'Airburst altitude',
+  airburstEnergy: 'Airburst energy',
+  groundEnergy: 'Energy reaching the ground',
+  groundMass: 'Mass reaching the ground',
+  transientCraterDiameter: 'Transient crater diameter',
+  craterDiameter: 'Final crater diameter',
+  craterDepth: 'Crater depth',
+  craterType: 'Crater type',
+  fireballRadius: 'Fireball radius',
+  airblastRadius: 'Severe airblast radius',
+  thermalRadius: 'Third-degree burn radius',
+  seismicRadius: 'Damaging shaking radius',
+  magnitude: 'Seismic magnitude',
+  populationAtRisk: 'Population at risk',
+  casualties: 'Estimated fatalities',
+  threatLevel: 'Threat level'
+};
+
+const TSUNAMI_LABELS = {
+  waterDepth: 'Water depth',
+  waterCraterDiameter: 'Water crater diameter',
+  seafloorVelocity: 'Velocity at the seafloor',
+  reachesSeafloor: 'Reaches the seafloor',
+  rimWaveAmplitude: 'Rim wave amplitude',
+  rimRadius: 'Rim radius',
+  waveSpeed: 'Wave speed'
+};
+
+const DAMAGE_ZONES = [
+  { key: 'crater', label: 'Crater', radius: (effects) => effects.craterDiameter / 2 },
+  { key: 'fireball', label: 'Fireball', radius: (effects) => effects.fireballRadius },
+  { key: 'airblast', label: 'Severe airblast (34 kPa)', radius: (effects) => effects.airblastRadius },
+  { key: 'thermal', label: 'Third-degree burns', radius: (effects) => effects.thermalRadius },
+  { key: 'seismic', label: 'Damaging shaking (M5+)', radius: (effects) => effects.seismicRadius }
+];
+
+const field = (key, label, value, unit = '') => ({ key, label, value, unit });
+
+const fieldsFrom = (source, labels, units) => Object.keys(labels)
+  .filter((key) => key in source)
+  .map((key) => field(key, labels[key], source[key], units[key]));
+
+export const buildReport = ({ scenario, effects, deflection, hazard, entryAngle, surface, snapshot = null, createdAt = new Date() }) => {
+  const { asteroid, approach } = scenario;
+  const method = DEFLECTION_METHODS[scenario.deflection.method];
+
+  return {
+    title: `Impact assessment: ${scenario.name}`,
+    createdAt: createdAt.toISOString(),
+    inputs: [
+      field('name', 'Object', scenario.name),
+      field('diameter', 'Diameter', asteroid.size, 'm'),
+      field('composition', 'Composition', COMPOSITIONS[asteroid.composition].name),
+      field('density', 'Density', COMPOSITIONS[asteroid.composition].density, 'kg/m³'),
+      field('vInfinity', 'V∞', asteroid.velocity, 'km/s'),
+      field('impactParameter', 'Impact parameter', approach.impactParameter, 'capture radii'),
+      field('entryAngle', 'Entry angle', entryAngle, '°'),
+      field('heading', 'Approach heading', approach.heading, '°'),
+      field('latitude', 'Impact latitude', approach.site.lat, '°'),
+      field('longitude', 'Impact longitude', approach.site.lon, '°'),
+      field('surface', 'Surface', surface)
+    ],
+    effects: fieldsFrom(effects, EFFECT_LABELS, IMPACT_UNITS),
+    tsunami: effects.tsunami && {
+      fields: fieldsFrom(effects.tsunami, TSUNAMI_LABELS, TSUNAMI_UNITS),
+      coasts: effects.tsunami.coasts.map(({ name, distance, amplitude, runUp, arrivalTime }) =>
+        ({ name, distance, amplitude, runUp, arrivalTime }))
+    },
+    damageZones: DAMAGE_ZONES
+      .map(({ key, label, radius }) => ({ key, label, radius: radius(effects) }))
+      .filter(({ radius }) => radius > 0)
+      .map((zone) => ({
+        ...zone,
+        area: Math.PI * zone.radius * zone.radius,
+        exposedPopulation: effects.exposedPopulation?.[zone.key] ?? null
+      })),
+    deflection: [
+      field('method', 'Method', method.name),
+      field('leadTime', 'Lead time', scenario.deflection.leadTime, 'years'),
+      ...(scenario.deflection.mission
+        ? [
+          field('missionLaunch', 'Interceptor launch', scenario.deflection.mission.launch, 'days before impact'),
+          field('missionArrival', 'Interceptor arrival', scenario.deflection.mission.arrival, 'days before impact')
+        ]
+        : []),
+      field('deployed', 'Deployed', deflection.deployed),
+      field('deltaV', 'Δv imparted', deflection.deltaV * 1000, 'mm/s'),
+      field('displacement', 'B-plane displacement', deflection.displacement, 'km'),
+      field('missDistance', 'B-plane miss distance', deflection.missDistance, 'R⊕'),
+      field('requiredDistance', 'Required miss distance', deflection.requiredDistance, 'R⊕'),
+      field('outcome', 'Outcome', deflection.miss ? 'Miss' : 'Impact')
+    ],
+    hazard: [
+      field('torino', 'Torino scale', hazard.torino),
+      field('palermo', 'Palermo scale', hazard.palermo)
+    ],
+    snapshot
+  };
+};
+
+export const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (typeof value !== 'number') return String(value);
+  if (value !== 0 && (Math.abs(value) >= 1e7 || Math.abs(value) < 1e-3)) return value.toExponential(3);
+  return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toFixed(Math.abs(value) < 10 ? 3 : 2);
+};
+
+// The snapshot is an image for the PDF only; the data exports leave it out.
+export const reportToJson = ({ snapshot, ...report }) => JSON.stringify(report, null, 2);
+
+export const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const reportToCsv = (report) => {
+  const rows = [['section', 'key', 'label', 'value', 'unit']];
+  const section = (name, fields) => fields.forEach(({ key, label, value, unit }) => rows.push([name, key, label, value, unit]));
+
+  section('input', report.inputs);
+  section('effect', report.effects);
+  if (report.tsunami) {
+    section('tsunami', report.tsunami.fields);
+    report.tsunami.coasts.forEach((coast) => Object.entries(COAST_UNITS).forEach(([key, unit]) =>
+      rows.push(['tsunami_coast', `${coast.name}.${key}`, coast.name, coast[key], unit])));
+  }
+  report.damageZones.forEach((zone) => {
+    rows.push(['damage_zone', `${zone.key}.radius`, zone.label, zone.radius, 'km']);
+    rows.push(['damage_zone', `${zone.key}.area`, zone.label, zone.area, 'km²']);
+    rows.push(['damage_zone', `${zone.key}.exposedPopulation`, zone.label, zone.exposedPopulation, 'people']);
+  });
+  section('deflection', report.deflection);
+  section('hazard', report.hazard);
+
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\n')}\n`;
+};
+
+const FIELD_WIDTHS = [0.5, 0.3, 0.2];
+
+export const reportToPdf = (report) => {
+  const pdf = createPdfDocument();
+  const heading = (text) => pdf.space(6).text(text, { size: 13, bold: true }).space(2);
+  const fields = (list) => list.forEach(({ label, value, unit }) =>
+    pdf.row([label, formatValue(value), unit], { widths: FIELD_WIDTHS }));
+
+  pdf.text(report.title, { size: 18, bold: true });
+  pdf.text(`Generated ${report.createdAt}`, { size: 9 });
+  if (report.snapshot) pdf.space(6).image(report.snapshot);
+
+  heading('Input parameters');
+  fields(report.inputs);
+  heading('Impact effects');
+  fields(report.effects);
+
+  heading('Damage zones');
+  const zoneWidths = [0.4, 0.2, 0.2, 0.2];
+  pdf.row(['Zone', 'Radius (km)', 'Area (km²)', 'Exposed'], { widths: zoneWidths, bold: true });
+  report.damageZones.forEach((zone) => pdf.row(
+    [zone.label, formatValue(zone.radius), formatValue(zone.area), formatValue(zone.exposedPopulation)],
+    { widths: zoneWidths }
+  ));
+
+  if (report.tsunami) {
+    heading('Tsunami');
+    fields(report.tsunami.fields);
+    const coastWidths = [0.36, 0.16, 0.16, 0.16, 0.16];
+    pdf.space(4).row(['Coast', 'Distance (km)', 'Wave (m)', 'Run-up (m)', 'Arrival (h)'], { widths: coastWidths, bold: true });
+    report.tsunami.coasts.forEach((coast) => pdf.row(
+      [coast.name, formatValue(coast.distance), formatValue(coast.amplitude), formatValue(coast.runUp), formatValue(coast.arrivalTime)],
+      { widths: coastWidths }
+    ));
+  }
+
+  heading('Deflection');
+  fields(report.deflection);
+  heading('Hazard rating');
+  fields(report.hazard);
+
+  return pdf.toBytes();
+};
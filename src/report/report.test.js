@@ -0,0 +1,76 @@
+import { IMPACT_UNITS, calculateDeflection, calculateImpact, captureRadius, rateHazard } from '../engine';
+import { DEFAULT_SCENARIO } from '../scenario';
+import { createPdfDocument } from './pdf';
+import { buildReport, formatValue, reportToCsv, reportToJson, reportToPdf } from './report';
+
+const effects = calculateImpact({ diameter: 300, velocity: 20, density: 3000, angle: 45, target: 'sedimentary', strength: 1e6 });
+const report = buildReport({
+  scenario: { ...DEFAULT_SCENARIO, name: 'Test, "quoted"' },
+  effects,
+  deflection: calculateDeflection({
+    method: 'kinetic',
+    leadTime: 10,
+    diameter: 300,
+    density: 3000,
+    vInfinity: 20,
+    impactParameter: 0.5 * captureRadius(20)
+  }),
+  hazard: rateHazard({ probability: 1, energy: effects.energy, yearsToImpact: 10 }),
+  entryAngle: 45,
+  surface: 'land',
+  snapshot: { data: Uint8Array.of(0xff, 0xd8, 0xff, 0xd9), width: 4, height: 3 },
+  createdAt: new Date(Date.UTC(2030, 0, 1))
+});
+
+const text = (bytes) => String.fromCharCode(...bytes);
+
+test('lists every impact field with its unit, the deflection outcome and damage zones', () => {
+  Object.keys(IMPACT_UNITS).forEach((key) => {
+    expect(report.effects.find((effect) => effect.key === key)).toMatchObject({ unit: IMPACT_UNITS[key] });
+  });
+  expect(report.deflection.find(({ key }) => key === 'outcome').value).toMatch(/Miss|Impact/);
+  expect(report.damageZones.map(({ key }) => key)).toEqual(expect.arrayContaining(['crater', 'airblast', 'thermal']));
+  expect(report.damageZones.find(({ key }) => key === 'crater').area).toBeCloseTo(Math.PI * (effects.craterDiameter / 2) ** 2, 6);
+  expect(report.tsunami).toBeNull();
+});
+
+test('exports the same data as JSON and CSV without the snapshot', () => {
+  const json = JSON.parse(reportToJson(report));
+  expect(json.snapshot).toBeUndefined();
+  expect(json.effects).toEqual(report.effects);
+
+  const csv = reportToCsv(report).trim().split('\n');
+  expect(csv[0]).toBe('section,key,label,value,unit');
+  expect(csv).toContain('input,name,Object,"Test, ""quoted""",');
+  expect(csv).toContain(`effect,energy,Kinetic energy,${effects.energy},Mt`);
+  expect(csv.some((row) => row.startsWith('damage_zone,crater.radius'))).toBe(true);
+});
+
+test('writes a PDF with a valid cross-reference table, the snapshot and the report text', () => {
+  const pdf = text(reportToPdf(report));
+  expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+  expect(pdf).toContain('/Filter /DCTDecode');
+  expect(pdf).toContain('(Impact assessment: Test, "quoted") Tj');
+  expect(pdf).toContain('(Damage zones) Tj');
+
+  const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  expect(pdf.slice(xref, xref + 4)).toBe('xref');
+  const offsets = pdf.slice(xref).match(/^\d{10} 00000 n/gm).map((entry) => Number(entry.slice(0, 10)));
+  offsets.forEach((offset, index) => expect(pdf.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj`)));
+});
+
+test('paginates long documents and escapes PDF string syntax', () => {
+  const document = createPdfDocument();
+  for (let i = 0; i < 120; i++) document.text(`Line ${i} (with \\ parentheses) – Δv`);
+  const pdf = text(document.toBytes());
+  expect(pdf).toMatch(/\/Count [2-9]/);
+  expect(pdf).toContain('(Line 0 \\(with \\\\ parentheses\\) - dv) Tj');
+});
+
+test('formats values for display', () => {
+  expect(formatValue(null)).toBe('—');
+  expect(formatValue(true)).toBe('yes');
+  expect(formatValue(1234567)).toBe('1,234,567');
+  expect(formatValue(3.14159)).toBe('3.142');
+  expect(formatValue(6.2e20)).toBe('6.200e+20');
+});
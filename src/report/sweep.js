@@ -0,0 +1,22 @@
+import { SWEEP_OUTPUTS, SWEEP_PARAMETERS } from '../engine';
+import { csvCell } from './report';
+
+// A parameter sweep grid as CSV, one row per grid point: the swept inputs
+// followed by every output, units in the header.
+
+const column = (key, { unit }) => (unit ? `${key} [${unit}]` : key);
+
+export const sweepToCsv = ({ x, y, cells }) => {
+  const outputs = Object.keys(SWEEP_OUTPUTS);
+  const axes = y ? [x, y] : [x];
+  const header = [
+    ...axes.map(({ key }) => column(key, SWEEP_PARAMETERS[key])),
+    ...outputs.map((key) => column(key, SWEEP_OUTPUTS[key]))
+  ];
+  const rows = cells.flatMap((row, j) => row.map((cell, i) => [
+    x.values[i],
+    ...(y ? [y.values[j]] : []),
+    ...outputs.map((key) => cell[key])
+  ]));
+  return `${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n')}\n`;
+};
@@ -0,0 +1,29 @@
+import { runSweep } from '../engine';
+import { sweepToCsv } from './sweep';
+
+const base = {
+  diameter: 200,
+  density: 3000,
+  velocity: 15,
+  angle: 45,
+  leadTime: 10,
+  strength: 1e6,
+  target: 'sedimentary',
+  method: 'none'
+};
+
+test('writes one row per grid point with the swept inputs first', () => {
+  const grid = runSweep({ base, x: { key: 'diameter', min: 100, max: 300, step: 100 }, y: { key: 'density', min: 2000, max: 3000, step: 1000 } });
+  const csv = sweepToCsv(grid).trim().split('\n');
+  expect(csv[0]).toBe('diameter [m],density [kg/m³],energy [Mt],craterDiameter [km],airblastRadius [km],deflected');
+  expect(csv).toHaveLength(7);
+  const [first] = grid.cells[0];
+  expect(csv[1]).toBe(`100,2000,${first.energy},${first.craterDiameter},${first.airblastRadius},0`);
+  expect(csv[6].startsWith('300,3000,')).toBe(true);
+});
+
+test('leaves the second axis out of a one-parameter sweep', () => {
+  const csv = sweepToCsv(runSweep({ base, x: { key: 'angle', min: 30, max: 90, step: 30 } })).trim().split('\n');
+  expect(csv[0].startsWith('angle [°],energy [Mt]')).toBe(true);
+  expect(csv).toHaveLength(4);
+});
@@ -0,0 +1,10 @@
+// A scenario file or link that could not be read; path names the offending
+// field when known.
+
+export class ScenarioFormatError extends Error {
+  constructor(message, { path = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.path = path;
+  }
+}
@@ -0,0 +1,264 @@
+import {
+  COMPOSITIONS,
+  DEFAULT_SAMPLE_COUNT,
+  DEFLECTION_METHODS,
+  UNCERTAINTY_LIMITS,
+  defaultDeflectionParams,
+  uncertaintyRangesFor
+} from '../engine';
+import { CAMERA_MODES, DEFAULT_CAMERA, normalizeCamera } from '../camera';
+import { ScenarioFormatError } from './errors';
+
+// Versioned scenario documents shared as JSON files and as a `scenario` query
+// parameter. Missing fields fall back to DEFAULT_SCENARIO so documents written
+// before a field existed still load; older versions are upgraded step by step
+// through MIGRATIONS.
+
+export const SCENARIO_VERSION = 1;
+export const SCENARIO_QUERY_PARAM = 'scenario';
+
+export const DEFAULT_SCENARIO = {
+  name: 'Custom Asteroid',
+  asteroid: { size: 100, velocity: 20, composition: 'stony' },
+  approach: { impactParameter: 0.71, heading: 90, site: { lat: 0, lon: 0 } },
+  deflection: {
+    method: 'none',
+    leadTime: 10,
+    params: Object.fromEntries(Object.keys(DEFLECTION_METHODS).map((key) => [key, defaultDeflectionParams(key)])),
+    // Planned interceptor transfer { launch, arrival } in days before impact; null flies the default intercept.
+    mission: null
+  },
+  // { ranges, samples, bPlaneSigma }; null lets the app derive ranges from the asteroid.
+  uncertainty: null,
+  // Further bodies, each { name, size, velocity, composition, impactParameter, heading, site, delay }.
+  companions: [],
+  timeScale: 1,
+  camera: DEFAULT_CAMERA
+};
+
+// Bounds of the inputs that edit each field, so that a hand-edited file or link
+// cannot load values the models reject. Size and velocity take the wider range
+// of the companion inputs rather than that of the sliders: bodies picked from
+// the NEO feed can be smaller than 10 m or approach slower than 1 km/s.
+const LIMITS = {
+  size: { min: 1, max: 20000 },
+  velocity: { min: 0.5, max: 75 },
+  impactParameter: { min: 0, max: 0.99 },
+  heading: { min: 0, max: 359 },
+  lat: { min: -90, max: 90 },
+  lon: { min: -180, max: 180 },
+  leadTime: { min: 0.01, max: 30 },
+  timeScale: { min: 0.5, max: 5 },
+  samples: { min: 1, max: 20000, integer: true },
+  bPlaneSigma: { min: 0 }
+};
+
+// Companions may be set up to miss and to arrive up to a day either side of the primary.
+const COMPANION_LIMITS = {
+  ...LIMITS,
+  impactParameter: { min: 0, max: 3 },
+  delay: { min: -86400, max: 86400 }
+};
+
+// A deflection method's parameters are bounded by their sliders.
+const parameterLimits = (method) => Object.fromEntries(
+  DEFLECTION_METHODS[method].parameters.map(({ key, min, max }) => [key, { min, max }])
+);
+
+// MIGRATIONS[n] turns a version n document into a version n + 1 document.
+const MIGRATIONS = {};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const readNumber = (value, fallback, path, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new ScenarioFormatError(`${path} must be a number`, { path });
+  }
+  if (integer && !Number.isInteger(value)) throw new ScenarioFormatError(`${path} must be a whole number`, { path });
+  if (value < min || value > max) {
+    const bounds = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new ScenarioFormatError(`${path} must be ${bounds}`, { path });
+  }
+  return value;
+};
+
+const readKey = (value, fallback, allowed, path) => {
+  if (value === undefined) return fallback;
+  if (!Object.prototype.hasOwnProperty.call(allowed, value)) {
+    throw new ScenarioFormatError(`${path} "${value}" is not one of ${Object.keys(allowed).join(', ')}`, { path });
+  }
+  return value;
+};
+
+const readBoolean = (value, fallback, path) => {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'boolean') throw new ScenarioFormatError(`${path} must be true or false`, { path });
+  return value;
+};
+
+const readNumbers = (value = {}, fallback, path, limits = {}) => Object.fromEntries(
+  Object.entries(fallback).map(([key, defaultValue]) => [key, readNumber(value[key], defaultValue, `${path}.${key}`, limits[key])])
+);
+
+// Ranges for the inputs the Monte Carlo draws; inputs left out keep the ranges
+// the app derives from the asteroid.
+const readRanges = (ranges, defaults, path) => {
+  if (!isObject(ranges)) throw new ScenarioFormatError(`${path} must be an object`, { path });
+  Object.keys(ranges).forEach((key) => readKey(key, key, defaults, path));
+  return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+    const at = `${path}.${key}`;
+    const range = ranges[key];
+    if (range === undefined) return [key, fallback];
+    if (!isObject(range)) throw new ScenarioFormatError(`${at} must be an object`, { path: at });
+    const min = readNumber(range.min, undefined, `${at}.min`, UNCERTAINTY_LIMITS[key]);
+    const max = readNumber(range.max, undefined, `${at}.max`, UNCERTAINTY_LIMITS[key]);
+    if (min === undefined || max === undefined) throw new ScenarioFormatError(`${at} needs min and max`, { path: at });
+    if (min > max) throw new ScenarioFormatError(`${at}.min must not exceed its max`, { path: at });
+    return [key, { min, max }];
+  }));
+};
+
+const readCompanions = (companions, path) => {
+  if (companions === undefined) return [];
+  if (!Array.isArray(companions)) throw new ScenarioFormatError(`${path} must be a list`, { path });
+  const { asteroid, approach } = DEFAULT_SCENARIO;
+  return companions.map((body, index) => {
+    const at = `${path}[${index}]`;
+    if (!isObject(body)) throw new ScenarioFormatError(`${at} must be an object`, { path: at });
+    return {
+      name: typeof body.name === 'string' && body.name.trim() ? body.name : `Body ${index + 2}`,
+      ...readNumbers(body, { size: asteroid.size, velocity: asteroid.velocity }, at, COMPANION_LIMITS),
+      composition: readKey(body.composition, asteroid.composition, COMPOSITIONS, `${at}.composition`),
+      ...readNumbers(body, { impactParameter: approach.impactParameter, heading: approach.heading, delay: 0 }, at, COMPANION_LIMITS),
+      site: readNumbers(body.site, approach.site, `${at}.site`, COMPANION_LIMITS)
+    };
+  });
+};
+
+const readMission = (mission, path) => {
+  if (mission === undefined || mission === null) return null;
+  if (!isObject(mission)) throw new ScenarioFormatError(`${path} must be an object or null`, { path });
+  const { launch, arrival } = readNumbers(mission, { launch: undefined, arrival: undefined }, path);
+  if (!(arrival >= 0 && launch > arrival)) {
+    throw new ScenarioFormatError(`${path} needs a launch before its arrival, both in days before impact`, { path });
+  }
+  return { launch, arrival };
+};
+
+const upgrade = (document) => {
+  if (!isObject(document)) throw new ScenarioFormatError('A scenario must be a JSON object');
+  const { version } = document;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ScenarioFormatError('Missing or invalid scenario version', { path: 'version' });
+  }
+  if (version > SCENARIO_VERSION) {
+    throw new ScenarioFormatError(
+      `Scenario version ${version} is newer than this simulator supports (${SCENARIO_VERSION})`,
+      { path: 'version' }
+    );
+  }
+  let upgraded = document;
+  for (let from = version; from < SCENARIO_VERSION; from++) upgraded = MIGRATIONS[from](upgraded);
+  return upgraded;
+};
+
+// Validated scenario from a document of any supported version.
+export const parseScenario = (document) => {
+  const { name, asteroid = {}, approach = {}, deflection = {}, uncertainty, companions, timeScale, camera = {} } = upgrade(document);
+  const defaults = DEFAULT_SCENARIO;
+  const method = readKey(deflection.method, defaults.deflection.method, DEFLECTION_METHODS, 'deflection.method');
+  const body = {
+    ...readNumbers(asteroid, { size: defaults.asteroid.size, velocity: defaults.asteroid.velocity }, 'asteroid', LIMITS),
+    composition: readKey(asteroid.composition, defaults.asteroid.composition, COMPOSITIONS, 'asteroid.composition')
+  };
+
+  return {
+    name: typeof name === 'string' && name.trim() ? name : defaults.name,
+    asteroid: body,
+    approach: {
+      impactParameter: readNumber(
+        approach.impactParameter,
+        defaults.approach.impactParameter,
+        'approach.impactParameter',
+        LIMITS.impactParameter
+      ),
+      heading: readNumber(approach.heading, defaults.approach.heading, 'approach.heading', LIMITS.heading),
+      site: readNumbers(approach.site, defaults.approach.site, 'approach.site', LIMITS)
+    },
+    deflection: {
+      method,
+      leadTime: readNumber(deflection.leadTime, defaults.deflection.leadTime, 'deflection.leadTime', LIMITS.leadTime),
+      params: Object.fromEntries(Object.entries(defaults.deflection.params).map(([key, params]) =>
+        [key, readNumbers(deflection.params?.[key], params, `deflection.params.${key}`, parameterLimits(key))])),
+      mission: readMission(deflection.mission, 'deflection.mission')
+    },
+    uncertainty: isObject(uncertainty)
+      ? {
+          ranges: readRanges(uncertainty.ranges ?? {}, uncertaintyRangesFor({
+            diameter: body.size,
+            density: COMPOSITIONS[body.composition].density,
+            velocity: body.velocity,
+            entryAngle: 45
+          }), 'uncertainty.ranges'),
+          samples: readNumber(uncertainty.samples, DEFAULT_SAMPLE_COUNT, 'uncertainty.samples', LIMITS.samples),
+          bPlaneSigma: readNumber(uncertainty.bPlaneSigma, 0, 'uncertainty.bPlaneSigma', LIMITS.bPlaneSigma)
+        }
+      : null,
+    companions: readCompanions(companions, 'companions'),
+    timeScale: readNumber(timeScale, defaults.timeScale, 'timeScale', LIMITS.timeScale),
+    camera: normalizeCamera({
+      mode: readKey(camera.mode, defaults.camera.mode, CAMERA_MODES, 'camera.mode'),
+      autoRotate: readBoolean(camera.autoRotate, defaults.camera.autoRotate, 'camera.autoRotate'),
+      ...readNumbers(camera, {
+        azimuth: defaults.camera.azimuth,
+        elevation: defaults.camera.elevation,
+        distance: defaults.camera.distance,
+        chaseDistance: defaults.camera.chaseDistance,
+        craterDistance: defaults.camera.craterDistance,
+        craterAzimuth: defaults.camera.craterAzimuth
+      }, 'camera')
+    })
+  };
+};
+
+export const createScenarioDocument = (scenario) => ({ version: SCENARIO_VERSION, ...scenario });
+
+export const scenarioToJson = (scenario) => JSON.stringify(createScenarioDocument(scenario), null, 2);
+
+export const scenarioFromJson = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new ScenarioFormatError(`Invalid JSON: ${error.message}`);
+  }
+  return parseScenario(document);
+};
+
+// base64url of the UTF-8 JSON, so names with any characters survive the URL.
+const toBase64Url = (text) => btoa(
+  encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (encoded) => decodeURIComponent(
+  [...atob(encoded.replace(/-/g, '+').replace(/_/g, '/'))]
+    .map((char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`)
+    .join('')
+);
+
+export const scenarioToQuery = (scenario) =>
+  new URLSearchParams({ [SCENARIO_QUERY_PARAM]: toBase64Url(JSON.stringify(createScenarioDocument(scenario))) }).toString();
+
+// The scenario in a location.search string, or null when there is none.
+export const scenarioFromQuery = (search) => {
+  const encoded = new URLSearchParams(search).get(SCENARIO_QUERY_PARAM);
+  if (!encoded) return null;
+  let text;
+  try {
+    text = fromBase64Url(encoded);
+  } catch {
+    throw new ScenarioFormatError('The scenario link is damaged', { path: SCENARIO_QUERY_PARAM });
+  }
+  return scenarioFromJson(text);
+};
@@ -0,0 +1,137 @@
+import { COMPOSITIONS, uncertaintyRangesFor } from '../engine';
+import { ScenarioFormatError } from './errors';
+import {
+  DEFAULT_SCENARIO,
+  SCENARIO_VERSION,
+  parseScenario,
+  scenarioFromJson,
+  scenarioFromQuery,
+  scenarioToJson,
+  scenarioToQuery
+} from './serialization';
+
+const apophisRanges = uncertaintyRangesFor({ diameter: 370, density: COMPOSITIONS.iron.density, velocity: 5.9, entryAngle: 45 });
+
+const scenario = {
+  ...DEFAULT_SCENARIO,
+  name: '99942 Apophis — “2004 MN4”',
+  asteroid: { size: 370, velocity: 5.9, composition: 'iron' },
+  approach: { impactParameter: 0.4, heading: 212, site: { lat: 35.2, lon: -97.1 } },
+  deflection: {
+    ...DEFAULT_SCENARIO.deflection,
+    method: 'kinetic',
+    leadTime: 15,
+    mission: { launch: 2100, arrival: 1850 },
+    params: { ...DEFAULT_SCENARIO.deflection.params, kinetic: { ...DEFAULT_SCENARIO.deflection.params.kinetic, beta: 3 } }
+  },
+  uncertainty: { ranges: { ...apophisRanges, diameter: { min: 340, max: 400 } }, samples: 500, bPlaneSigma: 0.2 },
+  companions: [{
+    name: 'Dimorphos',
+    size: 150,
+    velocity: 5.9,
+    composition: 'carbonaceous',
+    impactParameter: 0.4,
+    heading: 212,
+    delay: 30,
+    site: { lat: 35.21, lon: -97.1 }
+  }],
+  timeScale: 2,
+  camera: { mode: 'chase', autoRotate: false, azimuth: 45, elevation: -10, distance: 20000, chaseDistance: 900, craterDistance: 12, craterAzimuth: 90 }
+};
+
+test('round-trips a complete scenario through JSON and the URL', () => {
+  expect(JSON.parse(scenarioToJson(scenario)).version).toBe(SCENARIO_VERSION);
+  expect(scenarioFromJson(scenarioToJson(scenario))).toEqual(scenario);
+
+  const query = scenarioToQuery(scenario);
+  expect(query).toMatch(/^scenario=[\w-]+$/);
+  expect(scenarioFromQuery(`?utm=1&${query}`)).toEqual(scenario);
+  expect(scenarioFromQuery('?other=1')).toBeNull();
+});
+
+test('fills fields missing from older documents with defaults', () => {
+  const loaded = parseScenario({ version: 1, asteroid: { size: 50 } });
+  expect(loaded.asteroid).toEqual({ ...DEFAULT_SCENARIO.asteroid, size: 50 });
+  expect(loaded.camera).toEqual(DEFAULT_SCENARIO.camera);
+  expect(parseScenario({ version: 1, camera: { azimuth: 45, elevation: -10, distance: 20000 } }).camera)
+    .toEqual({ ...DEFAULT_SCENARIO.camera, azimuth: 45, elevation: -10, distance: 20000 });
+  expect(loaded.deflection.params).toEqual(DEFAULT_SCENARIO.deflection.params);
+  expect(loaded.deflection.mission).toBeNull();
+  expect(loaded.uncertainty).toBeNull();
+  expect(loaded.companions).toEqual([]);
+  expect(parseScenario({ version: 1, companions: [{ size: 40 }] }).companions[0])
+    .toMatchObject({ name: 'Body 2', size: 40, delay: 0, site: DEFAULT_SCENARIO.approach.site });
+});
+
+test('completes partial uncertainty ranges from the asteroid and rejects unknown or inverted ones', () => {
+  const loaded = parseScenario({ ...scenario, version: 1, uncertainty: { ranges: { diameter: { min: 340, max: 400 } } } });
+  expect(loaded.uncertainty).toEqual({ ranges: scenario.uncertainty.ranges, samples: 2000, bPlaneSigma: 0 });
+  expect(parseScenario({ version: 1, uncertainty: {} }).uncertainty.ranges).toEqual(uncertaintyRangesFor({
+    diameter: DEFAULT_SCENARIO.asteroid.size,
+    density: COMPOSITIONS[DEFAULT_SCENARIO.asteroid.composition].density,
+    velocity: DEFAULT_SCENARIO.asteroid.velocity,
+    entryAngle: 45
+  }));
+
+  [
+    [{ samples: { min: 1, max: 2 } }, 'uncertainty.ranges'],
+    [{ diameter: { min: 400, max: 340 } }, 'uncertainty.ranges.diameter'],
+    [{ diameter: { min: 0, max: 340 } }, 'uncertainty.ranges.diameter.min'],
+    [{ density: { min: 2000 } }, 'uncertainty.ranges.density'],
+    [{ velocity: 10 }, 'uncertainty.ranges.velocity'],
+    [{ entryAngle: { min: 30, max: 120 } }, 'uncertainty.ranges.entryAngle.max'],
+    [{ deflectionPerformance: { min: -1, max: 1 } }, 'uncertainty.ranges.deflectionPerformance.min']
+  ].forEach(([ranges, path]) => {
+    expect(() => parseScenario({ version: 1, uncertainty: { ranges } })).toThrow(expect.objectContaining({ name: 'ScenarioFormatError', path }));
+  });
+});
+
+test('rejects unreadable, newer or invalid documents', () => {
+  expect(() => scenarioFromJson('{')).toThrow(ScenarioFormatError);
+  expect(() => parseScenario({ asteroid: {} })).toThrow('version');
+  expect(() => parseScenario({ version: SCENARIO_VERSION + 1 })).toThrow('newer');
+  expect(() => parseScenario({ version: 1, asteroid: { composition: 'cheese' } }))
+    .toThrow(expect.objectContaining({ path: 'asteroid.composition' }));
+  expect(() => parseScenario({ version: 1, approach: { site: { lat: '10' } } })).toThrow('approach.site.lat must be a number');
+  expect(() => parseScenario({ version: 1, camera: { mode: 'drone' } })).toThrow(expect.objectContaining({ path: 'camera.mode' }));
+  expect(() => parseScenario({ version: 1, camera: { autoRotate: 'yes' } })).toThrow('camera.autoRotate must be true or false');
+  expect(() => parseScenario({ version: 1, deflection: { mission: { launch: 100, arrival: 300 } } }))
+    .toThrow(expect.objectContaining({ path: 'deflection.mission' }));
+  expect(() => parseScenario({ version: 1, companions: {} })).toThrow('companions must be a list');
+  expect(() => parseScenario({ version: 1, companions: [{ delay: 'soon' }] })).toThrow('companions[0].delay must be a number');
+  expect(() => scenarioFromQuery('?scenario=%%%')).toThrow(ScenarioFormatError);
+});
+
+test('rejects values outside the range of the matching input', () => {
+  [
+    [{ asteroid: { size: 0 } }, 'asteroid.size'],
+    [{ asteroid: { size: -50 } }, 'asteroid.size'],
+    [{ asteroid: { velocity: 0 } }, 'asteroid.velocity'],
+    [{ approach: { impactParameter: 1 } }, 'approach.impactParameter'],
+    [{ approach: { impactParameter: -0.1 } }, 'approach.impactParameter'],
+    [{ approach: { heading: 360 } }, 'approach.heading'],
+    [{ approach: { site: { lat: 91 } } }, 'approach.site.lat'],
+    [{ approach: { site: { lon: -181 } } }, 'approach.site.lon'],
+    [{ deflection: { leadTime: -1 } }, 'deflection.leadTime'],
+    [{ deflection: { leadTime: 0 } }, 'deflection.leadTime'],
+    [{ deflection: { params: { gravity: { hoverDistance: 0 } } } }, 'deflection.params.gravity.hoverDistance'],
+    [{ deflection: { params: { gravity: { spacecraftMass: -5 } } } }, 'deflection.params.gravity.spacecraftMass'],
+    [{ uncertainty: { ranges: {}, samples: 0 } }, 'uncertainty.samples'],
+    [{ uncertainty: { ranges: {}, samples: 250.5 } }, 'uncertainty.samples'],
+    [{ uncertainty: { ranges: {}, bPlaneSigma: -1 } }, 'uncertainty.bPlaneSigma'],
+    [{ timeScale: 0 }, 'timeScale'],
+    [{ companions: [{ size: 0 }] }, 'companions[0].size'],
+    [{ companions: [{ velocity: 0 }] }, 'companions[0].velocity'],
+    [{ companions: [{ impactParameter: 3.5 }] }, 'companions[0].impactParameter'],
+    [{ companions: [{ delay: 1e6 }] }, 'companions[0].delay'],
+    [{ companions: [{ site: { lat: -100 } }] }, 'companions[0].site.lat']
+  ].forEach(([fields, path]) => {
+    expect(() => parseScenario({ version: 1, ...fields })).toThrow(expect.objectContaining({ name: 'ScenarioFormatError', path }));
+  });
+  expect(() => parseScenario({ version: 1, approach: { site: { lat: 95 } } })).toThrow('approach.site.lat must be between -90 and 90');
+  expect(parseScenario({ version: 1, companions: [{ impactParameter: 2 }] }).companions[0].impactParameter).toBe(2);
+});
+
+test('brings stored camera distances within the zoom range', () => {
+  expect(parseScenario({ version: 1, camera: { craterDistance: -3 } }).camera.craterDistance).toBeGreaterThan(0);
+});